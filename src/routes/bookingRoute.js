@@ -0,0 +1,48 @@
+import { logger } from '../utils/logger.js';
+import { listBookings } from '../services/bookingService.js';
+import { toCsv } from '../utils/csv.js';
+
+// Columns for the CSV export, in order
+const CSV_COLUMNS = [
+  { key: 'createdAt', header: 'Booked At' },
+  { key: 'lead.name', header: 'Name' },
+  { key: 'lead.phoneNumber', header: 'Phone Number' },
+  { key: 'email', header: 'Email' },
+  { key: 'slotLabel', header: 'Slot' },
+  { key: 'day', header: 'Day' },
+  { key: 'date', header: 'Date' },
+  { key: 'lead.programInterested', header: 'Program Interested' },
+  { key: 'lead.source', header: 'Source' },
+  { key: 'callSid', header: 'Call SID' },
+  { key: 'campaignId', header: 'Campaign ID' }
+];
+
+/**
+ * Registers the /bookings export route for the ops team.
+ * @param {Object} fastify - The Fastify instance to register the route.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the route with Fastify.
+ */
+export default async function bookingRoute(fastify, options) {
+  // GET /bookings?from=2025-06-01&to=2025-07-01&format=csv
+  fastify.get('/bookings', async (request, reply) => {
+    const { from, to, format } = request.query;
+
+    try {
+      const bookings = await listBookings({ from, to });
+
+      if (format === 'csv') {
+        reply
+          .type('text/csv')
+          .header('Content-Disposition', `attachment; filename="bookings-${new Date().toISOString().slice(0, 10)}.csv"`)
+          .send(toCsv(bookings, CSV_COLUMNS));
+        return;
+      }
+
+      reply.send({ success: true, count: bookings.length, bookings });
+    } catch (error) {
+      logger.error('Failed to list bookings', { error: error.message });
+      reply.status(500).send({ success: false, error: error.message });
+    }
+  });
+}
@@ -0,0 +1,100 @@
+import formbody from '@fastify/formbody';
+import { logger } from '../utils/logger.js';
+import fs from 'fs';
+import { recordStatusEvent, getCallRecord } from '../services/callLifecycleService.js';
+import { handleRecordingStatus, getRecordingFile } from '../services/recordingService.js';
+import { isValidTwilioRequest } from '../services/twilioService.js';
+import { assertCallSid } from '../utils/conversationManager.js';
+
+/**
+ * Reject webhook requests that aren't signed by Twilio
+ * @param {Object} request - The Fastify request.
+ * @param {Object} reply - The Fastify reply.
+ */
+async function requireTwilioSignature(request, reply) {
+  if (!isValidTwilioRequest(request)) {
+    logger.warn('Rejected unsigned Twilio webhook', { url: request.url, ip: request.ip });
+    return reply.status(403).send({ error: 'Invalid Twilio signature' });
+  }
+}
+
+/**
+ * Whether a CallSid is safe to use as a record key
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {boolean} False for malformed CallSids
+ */
+function isValidCallSid(callSid) {
+  try {
+    assertCallSid(callSid);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Registers the /call-status and /recording-status Twilio callbacks and the call record and recording lookup routes.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function callStatusRoute(fastify, options) {
+  // Register formbody plugin to parse application/x-www-form-urlencoded bodies
+  fastify.register(formbody);
+
+  // Twilio posts initiated / ringing / answered / completed events here
+  fastify.post('/call-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+    const { CallSid: callSid, CallStatus: status } = request.body || {};
+    logger.verbose('call-status: event received', { callSid, status, timestamp: new Date().toISOString() });
+
+    if (!isValidCallSid(callSid) || !status) {
+      return reply.status(400).send({ error: 'Missing or invalid CallSid or CallStatus' });
+    }
+
+    try {
+      await recordStatusEvent(request.body);
+    } catch (error) {
+      logger.error('Failed to record call status', { callSid, status, error: error.message, stack: error.stack });
+    }
+
+    // Always acknowledge so Twilio doesn't log webhook failures
+    reply.status(204).send();
+  });
+
+  // Twilio posts here once a call recording is ready; it is downloaded in the background
+  fastify.post('/recording-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+    const { CallSid: callSid, RecordingSid: recordingSid, RecordingStatus: status } = request.body || {};
+    logger.verbose('recording-status: event received', { callSid, recordingSid, status });
+
+    if (!isValidCallSid(callSid) || !recordingSid) {
+      return reply.status(400).send({ error: 'Missing or invalid CallSid or RecordingSid' });
+    }
+
+    handleRecordingStatus(request.body).catch(error => {
+      logger.error('Failed to handle recording status', { callSid, recordingSid, error: error.message, stack: error.stack });
+    });
+    reply.status(204).send();
+  });
+
+  fastify.get('/calls/:callSid/recording', async (request, reply) => {
+    try {
+      const recording = await getRecordingFile(request.params.callSid);
+      reply.header('Content-Length', recording.bytes);
+      reply.type(recording.contentType);
+      return reply.send(fs.createReadStream(recording.path));
+    } catch (error) {
+      return reply.status(error.statusCode || 500).send({ error: error.message });
+    }
+  });
+
+  fastify.get('/calls/:callSid', async (request, reply) => {
+    if (!isValidCallSid(request.params.callSid)) {
+      return reply.status(400).send({ error: 'Invalid CallSid' });
+    }
+    const record = await getCallRecord(request.params.callSid);
+    if (!record) {
+      return reply.status(404).send({ error: 'Call not found' });
+    }
+    reply.send(record);
+  });
+}
@@ -1,9 +1,15 @@
-import { initiateCall } from '../services/twilioService.js';
+import { placeCall, queueCall, listQueuedCalls, cancelQueuedCall } from '../services/callQueueService.js';
+import { getCallingHoursPolicy, isValidTimezone, OUTSIDE_HOURS_ERROR_CODE } from '../services/callingHoursService.js';
+import { validateVoice } from '../services/ttsService.js';
+import { validateRecording } from '../services/recordingService.js';
+import { validatePersona } from '../services/promptTemplateService.js';
 import { logger } from '../utils/logger.js';
 
 export default async function callTriggerRoute(fastify, options) {
   fastify.post('/trigger-call', async (request, reply) => {
-    const { phoneNumber } = request.body;
+    const { phoneNumber, pipeline, lead, outsideHours, voice, recording } = request.body;
+    // Explicit timezone for the calling-hours policy; otherwise it comes from the country code
+    const timezone = request.body.timezone || lead?.timezone;
 
     // Latency logging: start time
     const startTime = Date.now();
@@ -13,19 +19,64 @@ export default async function callTriggerRoute(fastify, options) {
       return reply.status(400).send({ error: 'Missing phoneNumber in request body.' });
     }
 
+    if (lead !== undefined && (typeof lead !== 'object' || lead === null || Array.isArray(lead))) {
+      return reply.status(400).send({ error: 'lead must be an object, e.g. { "name": "...", "programInterested": "...", "source": "..." }' });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return reply.status(400).send({ error: `Unknown timezone "${timezone}" (use an IANA name like "Asia/Kolkata")` });
+    }
+
+    try {
+      validateVoice(voice);
+      validateVoice(lead?.voice);
+      validateRecording(recording);
+      validatePersona(lead?.persona);
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    if (outsideHours !== undefined && !['reject', 'queue'].includes(outsideHours)) {
+      return reply.status(400).send({ error: 'outsideHours must be "reject" or "queue"' });
+    }
+
     try {
-      const webhookUrl = `${process.env.SERVER_HOST}/start`;
       const callStart = Date.now();
-      const result = await initiateCall(phoneNumber, webhookUrl);
+      const result = await placeCall(phoneNumber, { pipeline, lead, timezone, voice, recording });
       const callEnd = Date.now();
       logger.verbose('trigger-call: Twilio call initiation finished', { phoneNumber, latencyMs: callEnd - callStart });
       reply.send({ success: true, ...result });
     } catch (error) {
-      reply.status(500).send({ success: false, error: error.message });
+      // Outside the lead's calling hours: queue the call for the next window if asked to
+      const action = outsideHours || getCallingHoursPolicy().outsideHours;
+      if (error.code === OUTSIDE_HOURS_ERROR_CODE && action === 'queue' && error.callingHours.nextAllowedAt) {
+        const queuedCall = await queueCall(phoneNumber, { pipeline, lead, timezone, voice, recording }, error.callingHours);
+        reply.status(202).send({ success: true, queued: true, queuedCall, callingHours: error.callingHours });
+      } else {
+        // Suppressed numbers come back as 403 (NUMBER_SUPPRESSED), blocked hours as 409 (OUTSIDE_CALLING_HOURS)
+        reply.status(error.statusCode || 500).send({
+          success: false,
+          error: error.message,
+          code: error.code,
+          callingHours: error.callingHours
+        });
+      }
     }
 
     // Latency logging: end time
     const endTime = Date.now();
     logger.verbose('trigger-call: request finished', { phoneNumber, totalLatencyMs: endTime - startTime });
   });
+
+  fastify.get('/call-queue', async (request, reply) => {
+    reply.send({ success: true, queuedCalls: listQueuedCalls() });
+  });
+
+  fastify.delete('/call-queue/:id', async (request, reply) => {
+    try {
+      reply.send({ success: true, queuedCall: await cancelQueuedCall(request.params.id) });
+    } catch (error) {
+      reply.status(error.statusCode || 500).send({ success: false, error: error.message });
+    }
+  });
 }
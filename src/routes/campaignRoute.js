@@ -0,0 +1,69 @@
+import { logger } from '../utils/logger.js';
+import {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign
+} from '../services/campaignService.js';
+
+/**
+ * Send a campaign service error with its HTTP status
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the campaign service
+ */
+function sendError(reply, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error('Campaign request failed', { error: error.message, stack: error.stack });
+  }
+  reply.status(statusCode).send({ success: false, error: error.message });
+}
+
+/**
+ * Registers the /campaigns routes for bulk outbound dialing.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function campaignRoute(fastify, options) {
+  // Create a campaign: { name, leads: [{ phoneNumber, name, programInterested, source }], settings }
+  fastify.post('/campaigns', async (request, reply) => {
+    try {
+      const campaign = await createCampaign(request.body || {});
+      reply.status(201).send({ success: true, campaign });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  fastify.get('/campaigns', async (request, reply) => {
+    reply.send({ success: true, campaigns: listCampaigns() });
+  });
+
+  fastify.get('/campaigns/:id', async (request, reply) => {
+    try {
+      reply.send({ success: true, campaign: getCampaign(request.params.id) });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  const actions = {
+    start: startCampaign,
+    pause: pauseCampaign,
+    resume: resumeCampaign
+  };
+
+  for (const [action, handler] of Object.entries(actions)) {
+    fastify.post(`/campaigns/:id/${action}`, async (request, reply) => {
+      try {
+        const campaign = await handler(request.params.id);
+        reply.send({ success: true, campaign });
+      } catch (error) {
+        sendError(reply, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,51 @@
+import { logger } from '../utils/logger.js';
+import { getConversationDetails, findConversationsByPhoneNumber } from '../utils/conversationManager.js';
+
+/**
+ * Send a conversation store error with its HTTP status
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown while reading conversations
+ */
+function sendError(reply, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error('Conversation request failed', { error: error.message, stack: error.stack });
+  }
+  reply.status(statusCode).send({ success: false, error: error.message });
+}
+
+/**
+ * Registers the /conversations routes for reading stored transcripts.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function conversationRoute(fastify, options) {
+  // GET /conversations?phoneNumber=+91... - a lead's earlier calls, newest first
+  fastify.get('/conversations', async (request, reply) => {
+    const { phoneNumber } = request.query;
+    if (!phoneNumber) {
+      return reply.status(400).send({ success: false, error: 'phoneNumber query parameter is required' });
+    }
+
+    try {
+      const conversations = await findConversationsByPhoneNumber(phoneNumber);
+      reply.send({ success: true, count: conversations.length, conversations });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // GET /conversations/:callSid - call details and the full transcript
+  fastify.get('/conversations/:callSid', async (request, reply) => {
+    try {
+      const conversation = await getConversationDetails(request.params.callSid);
+      if (!conversation) {
+        return reply.status(404).send({ success: false, error: 'Conversation not found' });
+      }
+      reply.send({ success: true, ...conversation });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+}
@@ -0,0 +1,77 @@
+import { logger } from '../utils/logger.js';
+import {
+  createExperiment,
+  listExperiments,
+  getExperiment,
+  startExperiment,
+  stopExperiment,
+  getExperimentReport
+} from '../services/experimentService.js';
+
+/**
+ * Send an experiment service error with its HTTP status
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the experiment service
+ */
+function sendError(reply, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error('Experiment request failed', { error: error.message, stack: error.stack });
+  }
+  reply.status(statusCode).send({ success: false, error: error.message });
+}
+
+/**
+ * Registers the /experiments routes for A/B testing greetings, prompts and voices.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function experimentRoute(fastify, options) {
+  // Create an experiment: { name, variants: [{ name, weight, greeting, persona, voice }] }
+  fastify.post('/experiments', async (request, reply) => {
+    try {
+      const experiment = await createExperiment(request.body || {});
+      reply.status(201).send({ success: true, experiment });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  fastify.get('/experiments', async (request, reply) => {
+    reply.send({ success: true, experiments: listExperiments() });
+  });
+
+  fastify.get('/experiments/:id', async (request, reply) => {
+    try {
+      reply.send({ success: true, experiment: getExperiment(request.params.id) });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Booking rate, call duration and opt-out rate per variant
+  fastify.get('/experiments/:id/report', async (request, reply) => {
+    try {
+      reply.send({ success: true, report: await getExperimentReport(request.params.id) });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  const actions = {
+    start: startExperiment,
+    stop: stopExperiment
+  };
+
+  for (const [action, handler] of Object.entries(actions)) {
+    fastify.post(`/experiments/:id/${action}`, async (request, reply) => {
+      try {
+        const experiment = await handler(request.params.id);
+        reply.send({ success: true, experiment });
+      } catch (error) {
+        sendError(reply, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import { logger } from '../utils/logger.js';
+import {
+  listDocuments,
+  saveDocument,
+  deleteDocument,
+  reindexKnowledgeBase,
+  getRelevantChunks
+} from '../services/knowledgeBaseService.js';
+
+const MAX_TOP_K = 20;
+
+/**
+ * Send a knowledge base service error with its HTTP status
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the knowledge base service
+ */
+function sendError(reply, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error('Knowledge base request failed', { error: error.message, stack: error.stack });
+  }
+  reply.status(statusCode).send({ success: false, error: error.message });
+}
+
+/**
+ * Registers the /knowledge-base admin routes: documents, reindexing and test queries.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function knowledgeBaseRoute(fastify, options) {
+  // Documents can be uploaded as raw text in their own format
+  fastify.addContentTypeParser(['text/markdown', 'text/csv'], { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  fastify.get('/knowledge-base/documents', async (request, reply) => {
+    try {
+      const documents = await listDocuments();
+      reply.send({
+        success: true,
+        count: documents.length,
+        chunks: documents.reduce((total, document) => total + document.chunks, 0),
+        documents
+      });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Upload or replace a document: PUT /knowledge-base/documents/programs/fees.csv
+  // with a text body, or JSON { content }
+  fastify.put('/knowledge-base/documents/*', async (request, reply) => {
+    const content = typeof request.body === 'string' ? request.body : request.body?.content;
+    try {
+      const { document, created } = await saveDocument(request.params['*'], content);
+      reply.status(created ? 201 : 200).send({ success: true, document });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  fastify.delete('/knowledge-base/documents/*', async (request, reply) => {
+    try {
+      await deleteDocument(request.params['*']);
+      reply.send({ success: true });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Re-chunk and re-embed everything
+  fastify.post('/knowledge-base/reindex', async (request, reply) => {
+    try {
+      const counts = await reindexKnowledgeBase();
+      reply.send({ success: true, ...counts });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Test query: GET /knowledge-base/search?query=...&topK=5
+  fastify.get('/knowledge-base/search', async (request, reply) => {
+    const { query, topK } = request.query;
+    if (!query || !query.trim()) {
+      return reply.status(400).send({ success: false, error: 'query is required' });
+    }
+
+    try {
+      const limit = Math.min(Math.max(Number(topK) || 0, 0), MAX_TOP_K) || undefined;
+      const chunks = await getRelevantChunks(query, { topK: limit });
+      reply.send({ success: true, query, count: chunks.length, chunks });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+}
@@ -0,0 +1,89 @@
+import { logger } from '../utils/logger.js';
+import { createMediaStreamSession } from '../services/mediaStreamService.js';
+import { getConversation } from '../utils/conversationManager.js';
+
+/**
+ * Registers the /media-stream WebSocket route that Twilio <Connect><Stream> attaches to.
+ * @param {Object} fastify - The Fastify instance to register the route.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the route with Fastify.
+ */
+export default async function mediaStreamRoute(fastify, options) {
+  fastify.get('/media-stream', { websocket: true }, (socket, request) => {
+    let session = null;
+    logger.info('media-stream: socket connected', { ip: request.ip });
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        logger.warn('media-stream: ignoring malformed message', { error: err.message });
+        return;
+      }
+
+      try {
+        switch (message.event) {
+          case 'connected':
+            logger.debug('media-stream: Twilio connected', { protocol: message.protocol });
+            break;
+
+          case 'start': {
+            const { callSid, streamSid } = message.start;
+            session = createMediaStreamSession({ callSid, streamSid, send });
+
+            // /start saves the greeting before handing the call over; speak it now
+            getConversation(callSid).then(history => {
+              if (history.length === 1 && history[0].role === 'assistant') {
+                return session.speak(history[0].content);
+              }
+            }).catch(err => {
+              logger.error('media-stream: failed to speak greeting', { callSid, errorMessage: err.message });
+            });
+            break;
+          }
+
+          case 'media':
+            if (session && message.media.track !== 'outbound') {
+              session.handleAudio(message.media.payload);
+            }
+            break;
+
+          case 'mark':
+            session?.handleMark(message.mark.name);
+            break;
+
+          case 'stop':
+            session?.close();
+            session = null;
+            break;
+
+          default:
+            logger.debug('media-stream: unhandled event', { event: message.event });
+        }
+      } catch (err) {
+        logger.error('media-stream: failed to handle message', {
+          event: message.event,
+          errorMessage: err.message,
+          errorStack: err.stack
+        });
+      }
+    });
+
+    socket.on('close', () => {
+      session?.close();
+      session = null;
+      logger.info('media-stream: socket closed');
+    });
+
+    socket.on('error', (err) => {
+      logger.error('media-stream: socket error', { errorMessage: err.message });
+    });
+  });
+}
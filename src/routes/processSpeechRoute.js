@@ -2,18 +2,60 @@
 import pkg from 'twilio';
 const { twiml: { VoiceResponse } } = pkg;
 import { generateReply } from '../services/geminiService.js'; // Import Gemini service for AI responses
-import { synthesizeSpeech } from '../services/deepgramService.js'; // Import Deepgram service for text-to-speech
+import { resolveVoice, appendSpeech } from '../services/ttsService.js'; // Import TTS engine for the call's voice
+import { getPrompt } from '../services/promptLibraryService.js'; // Import fixed, pre-rendered prompts
 import { logger } from '../utils/logger.js'; // Import logger utility for logging
-import { handleInterruption, updateState, getConversationMetadata } from '../utils/conversationStateManager.js';
-import fs from 'fs'; // Import Node.js file system module
-import path from 'path'; // Import Node.js path module for file path handling
+import {
+  STATES,
+  handleInterruption,
+  updateState,
+  getConversationMetadata,
+  updateConversationMetadata,
+  recordSilentTurn,
+  resetSilentTurns,
+  trackObjection
+} from '../utils/conversationStateManager.js';
 import formbody from '@fastify/formbody';
 import { getConversation } from '../utils/conversationManager.js';
 import { saveMessage } from '../utils/conversationManager.js';
+import { handleBookingTurn } from '../services/bookingService.js';
+import {
+  END_REASONS,
+  detectCallerEnding,
+  shouldConfirmEnding,
+  hasTooManySilentTurns,
+  hasExceededMaxDuration,
+  endConversation
+} from '../services/callTerminationService.js';
+import { detectOptOut, recordOptOut } from '../services/suppressionService.js';
 
 // Destructure VoiceResponse from the default twilio export
 // const { VoiceResponse } = pkg;
 
+// How long to listen, by conversation phase: callers spelling an email need
+// more time, and after the wrap-up there is no point waiting long
+const GATHER_BY_STATE = {
+  [STATES.BOOKING]: { timeout: 8, hints: 'at the rate, dot com, gmail, underscore, 7 PM, 2 PM, 8:30 PM' },
+  [STATES.CLOSING]: { timeout: 3 }
+};
+
+/**
+ * Listen for the caller's next turn
+ * @param {Object} twiml - VoiceResponse to add the Gather to
+ * @param {string} [state] - Conversation phase
+ */
+function gatherSpeech(twiml, state) {
+  twiml.gather({
+    input: 'speech',
+    action: '/process-speech',
+    method: 'POST',
+    timeout: 5,
+    speechTimeout: 'auto',
+    bargeIn: true,
+    ...GATHER_BY_STATE[state]
+  });
+}
+
 /**
  * Registers the /process-speech route for handling speech input from Twilio Gather.
  * @param {Object} fastify - The Fastify instance to register the route.
@@ -41,21 +83,21 @@ export default async function processSpeechRoute(fastify, options) {
       timestamp: new Date().toISOString(),
     });
 
+    let phase;
+
     try {
+      // Every line is spoken in the voice chosen for this lead at /start
+      const conversation = await getConversationMetadata(callSid);
+      const voice = resolveVoice(conversation?.metadata?.voice);
+      phase = conversation?.phase;
+
       // Handle interruption
       if (isInterrupted) {
-        const shouldStop = handleInterruption(callSid);
+        const shouldStop = await handleInterruption(callSid);
         if (shouldStop) {
           const twiml = new VoiceResponse();
-          twiml.say('I apologize for the interruption. Please go ahead.');
-          twiml.gather({
-            input: 'speech',
-            action: '/process-speech',
-            method: 'POST',
-            timeout: 5,
-            speechTimeout: 'auto',
-            bargeIn: true
-          });
+          await appendSpeech(twiml, getPrompt('interruption'), voice, { prefix: 'prompt', callSid });
+          gatherSpeech(twiml, phase);
           reply.type('text/xml');
           reply.send(twiml.toString());
           return;
@@ -63,28 +105,40 @@ export default async function processSpeechRoute(fastify, options) {
       }
 
       // Update state to processing
-      updateState(callSid, 'processing');
+      await updateState(callSid, STATES.PROCESSING);
 
       if (!speech) {
         // Handle case where no speech input is received
         logger.warn('No speech input received');
         const twiml = new VoiceResponse();
-        twiml.say("Sorry, I didn't hear anything. Please try again.");
-        twiml.gather({
-          input: 'speech',
-          action: '/process-speech',
-          method: 'POST',
-          timeout: 5,
-          speechTimeout: 'auto',
-          bargeIn: true
-        });
+        if (phase === STATES.CLOSING) {
+          // Silence after the wrap-up: the goodbye has been said, just hang up
+          await endConversation(callSid, END_REASONS.SILENCE);
+          twiml.hangup();
+          reply.type('text/xml');
+          reply.send(twiml.toString());
+          return;
+        }
+        const silentTurns = await recordSilentTurn(callSid);
+        if (hasTooManySilentTurns(silentTurns) || await hasExceededMaxDuration(callSid)) {
+          // Nobody is responding; close politely rather than looping forever
+          const reason = hasTooManySilentTurns(silentTurns) ? END_REASONS.SILENCE : END_REASONS.MAX_DURATION;
+          await appendSpeech(twiml, await endConversation(callSid, reason), voice, { prefix: 'prompt', callSid });
+          twiml.hangup();
+          reply.type('text/xml');
+          reply.send(twiml.toString());
+          return;
+        }
+        await appendSpeech(twiml, getPrompt('noSpeech'), voice, { prefix: 'prompt', callSid });
+        gatherSpeech(twiml, phase);
         reply.type('text/xml');
         reply.send(twiml.toString());
         return;
       }
 
+      await resetSilentTurns(callSid);
+
       // Check for objections
-      const metadata = getConversationMetadata(callSid);
       const objectionKeywords = {
         'price': ['expensive', 'cost', 'price', 'money', 'payment'],
         'time': ['busy', 'schedule', 'time', 'long', 'duration'],
@@ -99,67 +153,106 @@ export default async function processSpeechRoute(fastify, options) {
         }
       }
 
+      // Pick booking details (slot, email) out of the caller's turn
+      const history = await getConversation(callSid);
+      const bookingTurn = await handleBookingTurn(callSid, speech, history);
+
+      // Read the state after the booking turn, which may have moved the call into BOOKING
+      const metadata = await getConversationMetadata(callSid);
+
+      // "Don't call me again": put the number on the do-not-call list before anything else
+      const optedOut = detectOptOut(speech);
+      if (optedOut) {
+        await recordOptOut(callSid, metadata?.metadata?.phoneNumber);
+      }
+
+      // The caller wants out, or the call has run long: close instead of replying
+      const endReason = (optedOut ? END_REASONS.OPTED_OUT : detectCallerEnding(speech, history))
+        || (await hasExceededMaxDuration(callSid) ? END_REASONS.MAX_DURATION : null);
+
       let textReply;
-      let aiStart, aiEnd, ttsStart, ttsEnd, fileStart, fileEnd, twimlStart, twimlEnd;
-      if (objectionType) {
-        textReply = 'I understand your concern. Let me provide more information or address your question.';
+      let aiReply = null;
+      let aiStart, aiEnd, ttsStart, ttsEnd, twimlStart, twimlEnd;
+      if (endReason) {
+        textReply = await endConversation(callSid, endReason);
+      } else if (shouldConfirmEnding(speech, history)) {
+        // "Not interested" may be about one option; check before hanging up
+        textReply = getPrompt('confirmEnd');
+      } else if (bookingTurn.confirmationPrompt) {
+        // Read back anything we may have misheard before moving on
+        textReply = bookingTurn.confirmationPrompt;
+      } else if (objectionType) {
+        await trackObjection(callSid, objectionType);
+        textReply = getPrompt('objection');
       } else {
         aiStart = Date.now();
         logger.verbose('process-speech: AI reply generation started', { callSid });
-        const history = getConversation(callSid);
-        textReply = await generateReply(speech, history);
+        aiReply = await generateReply(speech, history, metadata?.metadata, {
+          state: metadata?.phase,
+          booking: metadata?.booking
+        });
+        textReply = aiReply.text;
         aiEnd = Date.now();
-        logger.verbose('process-speech: AI reply generation finished', { callSid, latencyMs: aiEnd - aiStart });
+        logger.verbose('process-speech: AI reply generation finished', {
+          callSid,
+          latencyMs: aiEnd - aiStart,
+          structured: aiReply.structured,
+          intent: aiReply.intent,
+          nextState: aiReply.nextState,
+          endCall: aiReply.endCall,
+          cited: aiReply.sources?.cited,
+          flagged: aiReply.flagged
+        });
+      }
+
+      // Act on the structured reply: remember what the caller told us and follow the model's lead.
+      // Email and slot are left to the booking service, which confirms them from the caller's own words.
+      if (aiReply?.structured) {
+        const { email, workshopSlot, ...leadDetails } = aiReply.slots;
+        if (Object.keys(leadDetails).length > 0) {
+          await updateConversationMetadata(callSid, leadDetails);
+        }
       }
       // Save the user's speech and the AI's reply to the conversation history
       saveMessage(callSid, 'user', speech);
-      saveMessage(callSid, 'assistant', textReply);
+      saveMessage(callSid, 'assistant', textReply, aiReply?.sources ? { sources: aiReply.sources, flagged: aiReply.flagged } : {});
 
-      // Update state to speaking
-      updateState(callSid, 'speaking');
+      const endCall = !!endReason || !!aiReply?.endCall;
+      let replyState = STATES.CLOSING;
+      if (aiReply?.endCall) {
+        // The model said goodbye; its reply is the closing line
+        await endConversation(callSid, END_REASONS.MODEL_ENDED);
+      } else if (!endReason) {
+        // Read-backs keep the call in BOOKING; otherwise go where the model says comes next
+        const nextState = bookingTurn.confirmationPrompt ? STATES.BOOKING : (aiReply?.nextState || STATES.SPEAKING);
+        replyState = await updateState(callSid, nextState) ? nextState : phase;
+      }
 
-      // Convert the AI response to speech using Deepgram
-      ttsStart = Date.now();
-      logger.verbose('process-speech: TTS synthesis started', { callSid });
-      const audioBuffer = await synthesizeSpeech(textReply);
-      ttsEnd = Date.now();
-      logger.verbose('process-speech: TTS synthesis finished', { callSid, latencyMs: ttsEnd - ttsStart });
-      logger.debug('Generated audio buffer', { bufferSize: audioBuffer.length });
-
-      // Save the audio to a file
-      fileStart = Date.now();
-      const filename = `response-${Date.now()}.wav`;
-      const filePath = path.join('public/audio', filename);
-      logger.debug('Saving audio file', { filename, filePath });
-      fs.writeFileSync(filePath, audioBuffer);
-      fileEnd = Date.now();
-      logger.verbose('process-speech: audio file write finished', { callSid, latencyMs: fileEnd - fileStart });
-      logger.info('Audio file saved', { filename });
-
-      // Create TwiML response to play the audio and gather next input
+      // Create TwiML response to speak the reply and gather next input
       twimlStart = Date.now();
       const twiml = new VoiceResponse();
-      const audioUrl = `${process.env.SERVER_HOST}/audio/${filename}`;
-      logger.debug('Configuring TwiML to play audio', { audioUrl });
-      
+
       // Add a small pause before playing response
       twiml.pause({ length: 0.5 });
-      
-      // Play the response
-      twiml.play(audioUrl);
-      
+
+      // Speak the response with the call's TTS engine
+      ttsStart = Date.now();
+      logger.verbose('process-speech: TTS synthesis started', { callSid, engine: voice.engine });
+      // Only fixed lines are worth keeping; generated replies and read-backs are never spoken twice
+      await appendSpeech(twiml, textReply, voice, { callSid, cache: !aiReply && !bookingTurn.confirmationPrompt });
+      ttsEnd = Date.now();
+      logger.verbose('process-speech: TTS synthesis finished', { callSid, latencyMs: ttsEnd - ttsStart });
+
       // Add a small pause after response
       twiml.pause({ length: 0.5 });
 
-      // Gather next input with barge-in enabled
-      twiml.gather({
-        input: 'speech',
-        action: '/process-speech',
-        method: 'POST',
-        timeout: 5,
-        speechTimeout: 'auto',
-        bargeIn: true
-      });
+      if (endCall) {
+        // The conversation is over; hang up instead of listening again
+        twiml.hangup();
+      } else {
+        // Gather next input with barge-in enabled, listening the way the new state needs
+        gatherSpeech(twiml, replyState);
+      }
       twimlEnd = Date.now();
       logger.verbose('process-speech: TwiML generation finished', { callSid, latencyMs: twimlEnd - twimlStart });
 
@@ -181,17 +274,11 @@ export default async function processSpeechRoute(fastify, options) {
         speech
       });
 
-      // Fallback TwiML response in case of error
+      // Fallback TwiML response in case of error: a plain <Say>, so nothing
+      // here can fail the way the request just did
       const twiml = new VoiceResponse();
-      twiml.say('Sorry, an error occurred. Please try again.');
-      twiml.gather({
-        input: 'speech',
-        action: '/process-speech',
-        method: 'POST',
-        timeout: 5,
-        speechTimeout: 'auto',
-        bargeIn: true
-      });
+      twiml.say(getPrompt('error'));
+      gatherSpeech(twiml, phase);
       logger.info('Generated fallback TwiML response', { twiml: twiml.toString() });
       reply.type('text/xml');
       reply.send(twiml.toString());
@@ -4,11 +4,84 @@ const { twiml: { VoiceResponse } } = pkg;
 import { logger } from '../utils/logger.js'; // Import logger utility for logging
 import { initializeConversation } from '../utils/conversationStateManager.js';
 import formbody from '@fastify/formbody';
-import { saveMessage } from '../utils/conversationManager.js';
+import { saveMessage, startConversation } from '../utils/conversationManager.js';
+import { getLeadProfile } from '../services/leadProfileService.js';
+import { isMachine, prepareVoicemail } from '../services/voicemailService.js';
+import { getCallRecord, updateCallRecord } from '../services/callLifecycleService.js';
+import { startCallRecording } from '../services/twilioService.js';
+import { resolveRecording, RECORDING_STATUS } from '../services/recordingService.js';
+import { resolveVoice, appendSpeech } from '../services/ttsService.js';
+import { getPrompt } from '../services/promptLibraryService.js';
+import { renderTemplate, renderTemplateText, getTemplateVersion } from '../services/promptTemplateService.js';
+import { assignVariant } from '../services/experimentService.js';
 
 // Destructure VoiceResponse from the default twilio export
 // const { VoiceResponse } = pkg;
 
+/**
+ * Decide whether this call should use the real-time media-stream pipeline.
+ * Calls opt in individually with ?pipeline=stream on the webhook URL;
+ * VOICE_PIPELINE=stream flips every call over by default.
+ * @param {Object} request - The Fastify request.
+ * @returns {boolean} - True to emit <Connect><Stream> instead of <Gather>.
+ */
+function useMediaStream(request) {
+  const pipeline = request.query?.pipeline || process.env.VOICE_PIPELINE || 'gather';
+  return pipeline === 'stream';
+}
+
+/**
+ * Build the wss:// URL Twilio should stream call audio to.
+ * @returns {string} - The /media-stream WebSocket URL.
+ */
+function getMediaStreamUrl() {
+  const host = (process.env.SERVER_HOST || '').replace(/^http/, 'ws');
+  return `${host}/media-stream`;
+}
+
+/**
+ * Build the opening line from the persona's greeting template (or the experiment variant's greeting text),
+ * personalized with whatever we know about the lead.
+ * @param {Object} metadata - Conversation metadata (persona, name, programInterested, source, ...).
+ * @param {Object|null} variant - Experiment variant assigned to the call.
+ * @returns {string} - The greeting to speak.
+ */
+function buildGreeting(metadata, variant) {
+  const greeting = variant?.greeting
+    ? renderTemplateText(metadata.persona, variant.greeting, metadata)
+    : renderTemplate(metadata.persona, 'greeting', metadata);
+  return greeting.replace(/\s+/g, ' ');
+}
+
+/**
+ * Recording state for this call. Outbound calls were set up to record (or
+ * not) when they were placed; inbound calls start recording here when
+ * CALL_RECORDING is on.
+ * @param {string} callSid - The Twilio Call SID.
+ * @param {boolean} isOutbound - Whether we placed the call.
+ * @returns {Promise<Object|null>} Recording details ({ enabled, disclosure, status }) or null when not recording.
+ */
+async function getCallRecording(callSid, isOutbound) {
+  if (isOutbound) {
+    return (await getCallRecord(callSid))?.recording || null;
+  }
+
+  const recording = resolveRecording();
+  if (!recording.enabled) {
+    return null;
+  }
+  try {
+    const { sid } = await startCallRecording(callSid);
+    const details = { ...recording, sid, status: RECORDING_STATUS.PENDING };
+    await updateCallRecord(callSid, { recording: details });
+    return details;
+  } catch (error) {
+    // Don't announce a recording that isn't happening
+    logger.error('Failed to start call recording', { callSid, error: error.message });
+    return null;
+  }
+}
+
 /**
  * Registers the /start route for handling incoming voice calls with Fastify.
  * @param {Object} fastify - The Fastify instance to register the route.
@@ -40,17 +113,65 @@ export default async function startRoute(fastify, options) {
     });
 
     try {
-      // Initialize conversation with metadata
+      // Initialize conversation with metadata; outbound calls get it from the stored lead profile
+      const lead = await getLeadProfile(callSid) || {};
+      const isOutbound = (request.body.Direction || '').startsWith('outbound');
       const metadata = {
-        name: request.body.CallerName || null,
-        programInterested: request.body.ProgramInterested || null,
-        source: request.body.Source || null,
+        ...lead,
+        name: lead.name || request.body.CallerName || null,
+        programInterested: lead.programInterested || request.body.ProgramInterested || null,
+        source: lead.source || request.body.Source || null,
         day: new Date().toLocaleDateString('en-US', { weekday: 'long' }),
-        phoneNumber: from
+        phoneNumber: lead.phoneNumber || (isOutbound ? to : from)
       };
+      // A running experiment picks this call's greeting, persona and voice; the variant wins over the lead's
+      const variant = assignVariant(callSid);
+      const experiment = variant ? { id: variant.id, name: variant.name, variant: variant.variant } : null;
+      metadata.experiment = experiment;
+
+      // Every line on this call, greeting included, uses the lead's voice
+      const voice = resolveVoice(lead.voice, variant?.voice);
+      metadata.voice = voice;
+
+      // The persona (the variant's, the campaign's, or PROMPT_PERSONA) and template version the whole call uses
+      const promptTemplate = getTemplateVersion(variant?.persona || lead.persona);
+      metadata.persona = promptTemplate.persona;
+      metadata.promptTemplate = promptTemplate;
+
+      // Index the conversation by the lead's number so earlier calls can be looked up
+      await startConversation(callSid, {
+        phoneNumber: metadata.phoneNumber,
+        direction: isOutbound ? 'outbound' : 'inbound',
+        name: metadata.name,
+        promptTemplate,
+        experiment
+      });
+      // The experiment assignment sits next to the call's outcome for the report
+      await updateCallRecord(callSid, { promptTemplate, experiment });
+
+      // Answering-machine detection: leave a short voicemail and hang up instead of starting a conversation
+      const answeredBy = request.body.AnsweredBy;
+      if (isMachine(answeredBy)) {
+        logger.info('start: call answered by machine', { callSid, answeredBy });
+        const voicemail = await prepareVoicemail(callSid, metadata, answeredBy);
+        const twiml = new VoiceResponse();
+        if (voicemail.leaveMessage) {
+          await appendSpeech(twiml, voicemail.message, voice, { prefix: 'voicemail', callSid });
+          await saveMessage(callSid, 'assistant', voicemail.message);
+        }
+        twiml.hangup();
+
+        reply.type('text/xml');
+        reply.send(twiml.toString());
+        logger.verbose('start: request finished', { callSid, totalLatencyMs: Date.now() - startTime });
+        return;
+      }
+      if (answeredBy) {
+        await updateCallRecord(callSid, { answeredBy });
+      }
 
       const initStart = Date.now();
-      initializeConversation(callSid, metadata);
+      await initializeConversation(callSid, metadata);
       const initEnd = Date.now();
       logger.verbose('start: conversation initialization finished', { callSid, latencyMs: initEnd - initStart });
 
@@ -59,20 +180,33 @@ export default async function startRoute(fastify, options) {
       const twimlStart = Date.now();
       const twiml = new VoiceResponse();
 
-      // Add initial greeting
-      twiml.say('Hey, hi there! Awesome to connect! I\'m Ritwik from Crio Dot Do, here to chat about your next steps in tech. I\'d love to hear about your goals and see how our hands-on programs can fit in. We\'ve got a free-trial workshop today that could be a cool way to kick things off. What caught your eye about Crio?');
-      saveMessage(callSid, 'assistant', 'Hey, hi there! Awesome to connect! I\'m Ritwik from Crio Dot Do, here to chat about your next steps in tech. I\'d love to hear about your goals and see how our hands-on programs can fit in. We\'ve got a free-trial workshop today that could be a cool way to kick things off. What caught your eye about Crio?');
-
-      // Configure a Gather verb to collect speech input from the user
-      logger.debug('Configuring Gather verb for speech input');
-      twiml.gather({
-        input: 'speech', // Collect speech input
-        action: '/process-speech', // Endpoint to handle the gathered speech
-        method: 'POST', // Use POST method for the action
-        timeout: 5, // Wait 5 seconds for user input
-        speechTimeout: 'auto',
-        bargeIn: true
-      });
+      // Tell the caller up front when the call is being recorded
+      const recording = await getCallRecording(callSid, isOutbound);
+      const greeting = [recording?.disclosure, buildGreeting(metadata, variant)].filter(Boolean).join(' ');
+      // Saved before replying: the media-stream pipeline reads the greeting back from the store
+      await saveMessage(callSid, 'assistant', greeting);
+
+      if (useMediaStream(request)) {
+        // Hand the call over to the real-time pipeline; the greeting is spoken over the stream
+        logger.debug('Configuring Connect/Stream for real-time media pipeline');
+        const connect = twiml.connect();
+        const stream = connect.stream({ url: getMediaStreamUrl() });
+        stream.parameter({ name: 'callSid', value: callSid });
+      } else {
+        // Add initial greeting, in the same voice as the rest of the call
+        await appendSpeech(twiml, greeting, voice, { prefix: 'greeting', callSid });
+
+        // Configure a Gather verb to collect speech input from the user
+        logger.debug('Configuring Gather verb for speech input');
+        twiml.gather({
+          input: 'speech', // Collect speech input
+          action: '/process-speech', // Endpoint to handle the gathered speech
+          method: 'POST', // Use POST method for the action
+          timeout: 5, // Wait 5 seconds for user input
+          speechTimeout: 'auto',
+          bargeIn: true
+        });
+      }
       const twimlEnd = Date.now();
       logger.verbose('start: TwiML generation finished', { callSid, latencyMs: twimlEnd - twimlStart });
 
@@ -98,7 +232,7 @@ export default async function startRoute(fastify, options) {
 
       // Fallback TwiML response in case of error
       const twiml = new VoiceResponse();
-      twiml.say('Sorry, an error occurred. Please try again later.');
+      await appendSpeech(twiml, getPrompt('startError'), resolveVoice(), { prefix: 'prompt', callSid });
       reply.type('text/xml');
       reply.send(twiml.toString());
     }
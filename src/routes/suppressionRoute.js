@@ -0,0 +1,100 @@
+import { logger } from '../utils/logger.js';
+import { toCsv } from '../utils/csv.js';
+import {
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  importSuppressions
+} from '../services/suppressionService.js';
+
+// Columns for the CSV export, in order
+const CSV_COLUMNS = [
+  { key: 'phoneNumber', header: 'Phone Number' },
+  { key: 'reason', header: 'Reason' },
+  { key: 'source', header: 'Source' },
+  { key: 'callSid', header: 'Call SID' },
+  { key: 'addedAt', header: 'Added At' }
+];
+
+/**
+ * Send a suppression service error with its HTTP status
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the suppression service
+ */
+function sendError(reply, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error('Suppression request failed', { error: error.message, stack: error.stack });
+  }
+  reply.status(statusCode).send({ success: false, error: error.message });
+}
+
+/**
+ * Registers the /suppressions routes for managing the do-not-call list.
+ * @param {Object} fastify - The Fastify instance to register the routes.
+ * @param {Object} options - Fastify route options.
+ * @returns {Promise<void>} - Registers the routes with Fastify.
+ */
+export default async function suppressionRoute(fastify, options) {
+  // CSV imports are posted as raw text
+  fastify.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  // GET /suppressions?format=csv
+  fastify.get('/suppressions', async (request, reply) => {
+    try {
+      const suppressions = await listSuppressions();
+
+      if (request.query.format === 'csv') {
+        reply
+          .type('text/csv')
+          .header('Content-Disposition', `attachment; filename="do-not-call-${new Date().toISOString().slice(0, 10)}.csv"`)
+          .send(toCsv(suppressions, CSV_COLUMNS));
+        return;
+      }
+
+      reply.send({ success: true, count: suppressions.length, suppressions });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Add a number: { phoneNumber, reason }
+  fastify.post('/suppressions', async (request, reply) => {
+    const { phoneNumber, reason } = request.body || {};
+    try {
+      const suppression = await addSuppression(phoneNumber, { reason, source: 'admin' });
+      reply.status(201).send({ success: true, suppression });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  // Import a CSV with a phone number column (text/csv body, or JSON { csv })
+  fastify.post('/suppressions/import', async (request, reply) => {
+    const csv = typeof request.body === 'string' ? request.body : request.body?.csv;
+    if (!csv) {
+      return reply.status(400).send({ success: false, error: 'Send the CSV as a text/csv body or as { "csv": "..." }' });
+    }
+
+    try {
+      const result = await importSuppressions(csv);
+      reply.send({ success: true, ...result });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+
+  fastify.delete('/suppressions/:phoneNumber', async (request, reply) => {
+    try {
+      const removed = await removeSuppression(request.params.phoneNumber);
+      if (!removed) {
+        return reply.status(404).send({ success: false, error: 'Number is not on the do-not-call list' });
+      }
+      reply.send({ success: true });
+    } catch (error) {
+      sendError(reply, error);
+    }
+  });
+}
@@ -2,11 +2,29 @@ import Fastify from 'fastify';
 import dotenv from 'dotenv';
 import path from 'path';
 import fastifyStatic from '@fastify/static';
+import fastifyWebsocket from '@fastify/websocket';
 import startRoute from './routes/startRoute.js';
 import processSpeechRoute from './routes/processSpeechRoute.js';
 import callTriggerRoute from './routes/callTriggerRoute.js';
+import mediaStreamRoute from './routes/mediaStreamRoute.js';
+import campaignRoute from './routes/campaignRoute.js';
+import callStatusRoute from './routes/callStatusRoute.js';
+import bookingRoute from './routes/bookingRoute.js';
+import suppressionRoute from './routes/suppressionRoute.js';
+import conversationRoute from './routes/conversationRoute.js';
+import knowledgeBaseRoute from './routes/knowledgeBaseRoute.js';
+import experimentRoute from './routes/experimentRoute.js';
 import { logger } from './utils/logger.js';
-import { cleanupOldConversations } from './utils/conversationManager.js';
+import { startConversationRetention } from './utils/conversationManager.js';
+import { startStaleConversationSweep } from './utils/conversationStateManager.js';
+import { resumeCampaigns } from './services/campaignService.js';
+import { resumeCallQueue } from './services/callQueueService.js';
+import { renderPromptLibrary } from './services/promptLibraryService.js';
+import { AUDIO_DIR, startAudioCleanup } from './services/audioStorageService.js';
+import { getLlmChain, getLlmMetrics } from './services/llmService.js';
+import { preloadKnowledgeBase, startKnowledgeBaseWatcher } from './services/knowledgeBaseService.js';
+import { loadPromptTemplates, startPromptTemplateWatcher } from './services/promptTemplateService.js';
+import { loadExperiments } from './services/experimentService.js';
 
 dotenv.config();
 
@@ -15,12 +33,17 @@ const fastify = Fastify({
   trustProxy: true // Trust proxy for ngrok
 });
 
-// Register static file serving for audio files
+// Register static file serving for audio files (no directory listings; names are unguessable)
 fastify.register(fastifyStatic, {
-  root: path.join(process.cwd(), 'public/audio'),
+  root: path.resolve(AUDIO_DIR),
   prefix: '/audio/',
+  index: false,
+  list: false
 });
 
+// Register WebSocket support for Twilio media streams
+fastify.register(fastifyWebsocket);
+
 // Health check endpoint
 fastify.get('/health', async (request, reply) => {
   return { 
@@ -30,6 +53,10 @@ fastify.get('/health', async (request, reply) => {
       deepgram: !!process.env.DEEPGRAM_API_KEY,
       gemini: !!process.env.GEMINI_API_KEY,
       twilio: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN)
+    },
+    llm: {
+      chain: getLlmChain().map(entry => entry.id),
+      metrics: getLlmMetrics()
     }
   };
 });
@@ -38,6 +65,14 @@ fastify.get('/health', async (request, reply) => {
 fastify.register(startRoute);
 fastify.register(processSpeechRoute);
 fastify.register(callTriggerRoute);
+fastify.register(mediaStreamRoute);
+fastify.register(campaignRoute);
+fastify.register(callStatusRoute);
+fastify.register(bookingRoute);
+fastify.register(suppressionRoute);
+fastify.register(conversationRoute);
+fastify.register(knowledgeBaseRoute);
+fastify.register(experimentRoute);
 
 // Global error handler
 fastify.setErrorHandler((error, request, reply) => {
@@ -56,9 +91,25 @@ fastify.setErrorHandler((error, request, reply) => {
 
 const start = async () => {
   try {
-    // Clean up old conversations on startup
-    logger.info('Cleaning up old conversations...');
-    cleanupOldConversations(24); // Clean up conversations older than 24 hours
+    // Archive conversations past retention now and on a schedule
+    await startConversationRetention();
+
+    // Clean up in-call state for calls that went quiet without a final status callback
+    startStaleConversationSweep();
+
+    // Delete expired call audio now and on a schedule
+    await startAudioCleanup();
+
+    // Personas and prompt templates, reloaded when their files change
+    await loadPromptTemplates();
+    startPromptTemplateWatcher();
+
+    // A/B experiments, so a running one keeps assigning calls after a restart
+    await loadExperiments();
+
+    // Index the knowledge base before the first call, and keep it in step with file edits
+    await preloadKnowledgeBase();
+    startKnowledgeBaseWatcher();
     
     const port = process.env.PORT || 5000;
     const host = '0.0.0.0';
@@ -66,6 +117,13 @@ const start = async () => {
     await fastify.listen({ port, host });
     logger.info(`🚀 Fastify server started on port ${port}`);
     logger.info(`📞 Twilio webhook URL: ${process.env.SERVER_HOST || 'http://localhost:' + port}/start`);
+
+    // Pick up campaigns that were running before the restart
+    await resumeCampaigns();
+    await resumeCallQueue();
+
+    // Render the fixed prompts into the TTS audio cache so they play instantly
+    await renderPromptLibrary();
     
     // Log missing environment variables
     const missingVars = [];
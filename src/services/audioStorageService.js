@@ -0,0 +1,193 @@
+/**
+ * audioStorageService.js
+ * ----------------------
+ * Owns the audio files served to Twilio <Play> from /audio. Files live in a
+ * subdirectory per call under random names, so nobody can list or guess
+ * another call's audio. Per-call and total size quotas keep disk use bounded,
+ * and a scheduled pass deletes audio older than the retention period.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { callEvents } from './callLifecycleService.js';
+
+export const AUDIO_DIR = process.env.AUDIO_DIR || 'public/audio';
+export const AUDIO_QUOTA_ERROR_CODE = 'AUDIO_QUOTA_EXCEEDED';
+
+const RETENTION_HOURS = Number(process.env.AUDIO_RETENTION_HOURS) || 24;
+const CALL_QUOTA_BYTES = (Number(process.env.AUDIO_CALL_QUOTA_MB) || 20) * 1024 * 1024;
+const TOTAL_QUOTA_BYTES = (Number(process.env.AUDIO_TOTAL_QUOTA_MB) || 1024) * 1024 * 1024;
+const CLEANUP_INTERVAL_MINUTES = Number(process.env.AUDIO_CLEANUP_INTERVAL_MINUTES) || 60;
+
+// Directory for audio that doesn't belong to a call (e.g. /start failing before a CallSid is known)
+const SHARED_DIR = 'shared';
+const CALL_DIR_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Ensure the audio directory exists before it is served
+if (!fs.existsSync(AUDIO_DIR)) {
+  fs.mkdirSync(AUDIO_DIR, { recursive: true });
+}
+
+// Per-call usage for calls in progress: bytes written and content hash -> file name
+const callUsage = new Map();
+let totalBytes = 0;
+let cleanupTimer = null;
+let cleaning = false;
+
+/**
+ * Directory name for a call's audio
+ * @param {string} [callSid] - The Twilio Call SID
+ * @returns {string} Subdirectory name
+ * @throws {Error} With statusCode 400 if the CallSid isn't safe to use as a path
+ */
+function callDirName(callSid) {
+  if (!callSid) return SHARED_DIR;
+  if (!CALL_DIR_PATTERN.test(callSid)) {
+    const error = new Error(`Invalid CallSid for audio storage: ${callSid}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return callSid;
+}
+
+/**
+ * Total size of the files in a directory
+ * @param {string} dir - Directory path
+ * @returns {Promise<{bytes: number, newestMs: number}>} Size and newest modification time
+ */
+async function directoryUsage(dir) {
+  let bytes = 0;
+  let newestMs = 0;
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries.filter(e => e.isFile())) {
+    const stats = await fs.promises.stat(path.join(dir, entry.name)).catch(() => null);
+    if (!stats) continue;
+    bytes += stats.size;
+    newestMs = Math.max(newestMs, stats.mtimeMs);
+  }
+  return { bytes, newestMs };
+}
+
+/**
+ * Usage record for a call, loaded from disk the first time (e.g. after a restart)
+ * @param {string} dirName - Call subdirectory
+ * @returns {Promise<Object>} Mutable usage record
+ */
+async function getCallUsage(dirName) {
+  if (!callUsage.has(dirName)) {
+    const { bytes } = await directoryUsage(path.join(AUDIO_DIR, dirName));
+    callUsage.set(dirName, { bytes, files: new Map() });
+  }
+  return callUsage.get(dirName);
+}
+
+/**
+ * Store audio for a call and return the URL path it is served from. The
+ * same content (by hash) is written once per call and then reused.
+ * @param {string} callSid - The Twilio Call SID (falls back to a shared directory)
+ * @param {Buffer} audio - Audio bytes
+ * @param {string} extension - File extension, e.g. wav or mp3
+ * @param {Object} [options] - Options
+ * @param {string} [options.prefix='response'] - File name prefix
+ * @param {string} [options.contentHash] - Content hash, to reuse a file already written for this call
+ * @returns {Promise<string>} URL path under /audio
+ * @throws {Error} With code AUDIO_QUOTA_EXCEEDED (statusCode 507) if the call is over its quota
+ */
+export async function saveCallAudio(callSid, audio, extension, { prefix = 'response', contentHash } = {}) {
+  const dirName = callDirName(callSid);
+  const usage = await getCallUsage(dirName);
+
+  const existing = contentHash && usage.files.get(contentHash);
+  if (existing) {
+    return `/audio/${dirName}/${existing}`;
+  }
+
+  if (usage.bytes + audio.length > CALL_QUOTA_BYTES) {
+    const error = new Error(`Audio quota exceeded for call ${dirName}`);
+    error.statusCode = 507;
+    error.code = AUDIO_QUOTA_ERROR_CODE;
+    throw error;
+  }
+
+  const filename = `${prefix}-${crypto.randomBytes(16).toString('hex')}.${extension}`;
+  await fs.promises.mkdir(path.join(AUDIO_DIR, dirName), { recursive: true });
+  await fs.promises.writeFile(path.join(AUDIO_DIR, dirName, filename), audio);
+
+  usage.bytes += audio.length;
+  if (contentHash) usage.files.set(contentHash, filename);
+  totalBytes += audio.length;
+  logger.debug('Audio file saved', { callSid: dirName, filename, bufferSize: audio.length });
+
+  if (totalBytes > TOTAL_QUOTA_BYTES) {
+    cleanupAudio().catch(error => logger.error('Audio cleanup failed', { error: error.message }));
+  }
+  return `/audio/${dirName}/${filename}`;
+}
+
+/**
+ * Delete audio past the retention period, then the oldest calls' audio
+ * until the total is back under quota. Loose files in the audio root (from
+ * before per-call directories) are treated like a call of their own.
+ * @returns {Promise<{removed: number, totalBytes: number}>} Directories/files removed and bytes left
+ */
+export async function cleanupAudio() {
+  if (cleaning) return { removed: 0, totalBytes };
+  cleaning = true;
+
+  try {
+    const entries = await fs.promises.readdir(AUDIO_DIR, { withFileTypes: true }).catch(() => []);
+    const items = [];
+    for (const entry of entries) {
+      const itemPath = path.join(AUDIO_DIR, entry.name);
+      if (entry.isDirectory()) {
+        items.push({ name: entry.name, path: itemPath, ...(await directoryUsage(itemPath)) });
+      } else if (entry.isFile() && !entry.name.startsWith('.')) {
+        const stats = await fs.promises.stat(itemPath);
+        items.push({ name: entry.name, path: itemPath, bytes: stats.size, newestMs: stats.mtimeMs });
+      }
+    }
+
+    const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+    let remaining = items.reduce((sum, item) => sum + item.bytes, 0);
+    let removed = 0;
+
+    // Oldest first, so quota eviction takes the least recent calls
+    for (const item of items.sort((a, b) => a.newestMs - b.newestMs)) {
+      const expired = item.newestMs < cutoff;
+      if (!expired && remaining <= TOTAL_QUOTA_BYTES) break;
+
+      await fs.promises.rm(item.path, { recursive: true, force: true });
+      callUsage.delete(item.name);
+      remaining -= item.bytes;
+      removed++;
+      logger.info('Removed audio', { name: item.name, bytes: item.bytes, reason: expired ? 'retention' : 'quota' });
+    }
+
+    totalBytes = remaining;
+    return { removed, totalBytes };
+  } finally {
+    cleaning = false;
+  }
+}
+
+/**
+ * Run a cleanup pass now and then every AUDIO_CLEANUP_INTERVAL_MINUTES
+ */
+export async function startAudioCleanup() {
+  const result = await cleanupAudio();
+  logger.info('Audio storage cleaned', { ...result, retentionHours: RETENTION_HOURS });
+
+  if (!cleanupTimer) {
+    cleanupTimer = setInterval(() => {
+      cleanupAudio().catch(error => logger.error('Audio cleanup failed', { error: error.message }));
+    }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+    cleanupTimer.unref();
+  }
+}
+
+// A finished call's files stay until retention, but its in-memory usage can go
+callEvents.on('ended', (record) => {
+  callUsage.delete(record.callSid);
+});
@@ -0,0 +1,270 @@
+/**
+ * bookingService.js
+ * -----------------
+ * Pulls workshop bookings out of the conversation: the slot the caller
+ * agreed to and the email they spelled out. Anything we might have misheard
+ * is read back for confirmation before the booking is stored under
+ * data/bookings for the ops team to export.
+ */
+
+import { logger } from '../utils/logger.js';
+import { readJson, writeJson, readAllJson } from '../utils/jsonFileStore.js';
+import {
+  STATES,
+  getBookingDraft,
+  updateBookingDraft,
+  trackBookingAttempt,
+  updateState,
+  getConversationMetadata
+} from '../utils/conversationStateManager.js';
+
+const BOOKINGS_DIR = 'bookings';
+
+// Bookable slots and how they show up in speech or in the agent's reply
+export const SLOTS = {
+  'skillq-7pm': {
+    label: 'SkillQ trial - 7 PM',
+    pattern: /\b(7|seven)(:00)?\s*(pm|p\.?\s?m\.?|o'?clock)/i
+  },
+  'skillq-2pm': {
+    label: 'SkillQ trial - 2 PM',
+    pattern: /\b(2|two)(:00)?\s*(pm|p\.?\s?m\.?|o'?clock)/i
+  },
+  'workshop-830pm': {
+    label: 'Workshop - 8:30 PM',
+    pattern: /\b(8[:.]30|eight[- ]thirty|half past eight)/i
+  }
+};
+
+const AGREEMENT = /\b(yes|yeah|yep|yup|sure|absolutely|definitely|sounds (good|great)|book|lock|count me in|that works|works for me|ok|okay|perfect|great|let'?s do it|correct|right)\b/i;
+const TENTATIVE = /\b(maybe|i guess|i think|probably|might|not sure)\b/i;
+const DISAGREEMENT = /\b(no|nope|nah|not really|wrong|incorrect|can'?t|cannot|won'?t|don'?t)\b/i;
+
+// Words that end the local part when walking back from "at"
+const EMAIL_STOP_WORDS = new Set([
+  'is', 'its', "it's", 'email', 'e-mail', 'mail', 'id', 'address', 'my', 'me', 'the', 'sure', 'yes',
+  'yeah', 'ok', 'okay', 'so', 'it', 'that', 'um', 'uh', 'and', 'send', 'to', 'on', 'please', 'use'
+]);
+
+const DIGIT_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+/**
+ * Find the slots mentioned in a piece of text
+ * @param {string} text - Caller speech or agent reply
+ * @returns {Array<string>} Slot ids
+ */
+export function detectSlots(text = '') {
+  return Object.entries(SLOTS)
+    .filter(([, slot]) => slot.pattern.test(text))
+    .map(([id]) => id);
+}
+
+/**
+ * Turn a spoken email ("john dot doe at gmail dot com") into an address
+ * @param {string} text - Caller speech
+ * @returns {string|null} Email address or null if none was found
+ */
+export function parseSpokenEmail(text = '') {
+  const normalized = ` ${text.toLowerCase()} `
+    .replace(/\bat the rate( of)?\b/g, ' @ ')
+    .replace(/\bat sign\b/g, ' @ ')
+    .replace(/\s+at\s+/g, ' @ ')
+    .replace(/\b(dot|period|point)\b/g, ' . ')
+    .replace(/\bunderscore\b/g, ' _ ')
+    .replace(/\b(dash|hyphen)\b/g, ' - ')
+    .replace(/([@.])/g, ' $1 ')
+    .replace(/[,?!;:"]/g, ' ');
+
+  const tokens = normalized
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => DIGIT_WORDS[token] || token);
+
+  const at = tokens.lastIndexOf('@');
+  if (at <= 0) return null;
+
+  // Walk back from "@" collecting the local part
+  const local = [];
+  for (let i = at - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (EMAIL_STOP_WORDS.has(token) || !/^[a-z0-9._+-]+$/.test(token)) break;
+    local.unshift(token);
+  }
+
+  // Walk forward collecting label(.label)+
+  const domain = [];
+  for (let i = at + 1; i < tokens.length; i += 2) {
+    if (!/^[a-z0-9-]+$/.test(tokens[i])) break;
+    domain.push(tokens[i]);
+    if (tokens[i + 1] !== '.') break;
+  }
+
+  const email = `${local.join('').replace(/^\.+|\.+$/g, '')}@${domain.join('.')}`;
+  return EMAIL_PATTERN.test(email) ? email : null;
+}
+
+/**
+ * Spell an email back so the caller can catch a mishearing
+ * @param {string} email - Email address
+ * @returns {string} Speakable email
+ */
+export function spellEmail(email) {
+  const [local, domain] = email.split('@');
+  const spelledLocal = local
+    .split('')
+    .map(char => ({ '.': 'dot', '_': 'underscore', '-': 'dash' }[char] || char))
+    .join(' ');
+  return `${spelledLocal}, at ${domain.split('.').join(' dot ')}`;
+}
+
+/**
+ * Persist a booking (one per call; re-confirming overwrites it)
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} draft - Completed booking draft
+ * @returns {Promise<Object>} Stored booking record
+ */
+async function saveBooking(callSid, draft) {
+  const conversation = await getConversationMetadata(callSid);
+  const lead = conversation?.metadata || {};
+  const existing = await readJson(`${BOOKINGS_DIR}/${callSid}.json`);
+
+  const booking = {
+    id: callSid,
+    callSid,
+    slot: draft.slot,
+    slotLabel: SLOTS[draft.slot].label,
+    day: lead.day || null,
+    date: new Date().toISOString().slice(0, 10),
+    email: draft.email,
+    lead: {
+      name: lead.name || null,
+      phoneNumber: lead.phoneNumber || null,
+      programInterested: lead.programInterested || null,
+      source: lead.source || null
+    },
+    campaignId: lead.campaignId || null,
+    leadId: lead.leadId || null,
+    status: 'confirmed',
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await writeJson(`${BOOKINGS_DIR}/${callSid}.json`, booking);
+  logger.info('Booking saved', { callSid, slot: booking.slot, email: booking.email });
+  return booking;
+}
+
+/**
+ * Read the caller's turn for booking details before the agent replies.
+ * Returns a confirmation question when something needs to be read back;
+ * the caller should speak it instead of the LLM reply for this turn.
+ * @param {string} callSid - The Twilio Call SID
+ * @param {string} speech - What the caller just said
+ * @param {Array} history - Conversation history before this turn
+ * @returns {Promise<{confirmationPrompt: string|null, booking: Object|null}>} Booking turn result
+ */
+export async function handleBookingTurn(callSid, speech, history = []) {
+  const draft = await getBookingDraft(callSid) || {
+    slot: null,
+    slotConfirmed: false,
+    email: null,
+    emailConfirmed: false,
+    pending: null,
+    saved: false
+  };
+  const lastAgentReply = [...history].reverse().find(message => message.role === 'assistant')?.content || '';
+  const agrees = AGREEMENT.test(speech) && !DISAGREEMENT.test(speech);
+  const disagrees = DISAGREEMENT.test(speech);
+  let confirmationPrompt = null;
+
+  // 1. Answer to a question we asked last turn
+  const answered = draft.pending;
+  if (draft.pending === 'email') {
+    if (agrees) {
+      draft.emailConfirmed = true;
+    } else if (disagrees && !parseSpokenEmail(speech)) {
+      draft.email = null;
+      confirmationPrompt = 'Sorry about that! Could you spell your email out for me, letter by letter?';
+    }
+    draft.pending = null;
+  } else if (draft.pending === 'slot') {
+    // Only a clear yes to the read-back books the slot
+    if (agrees && !TENTATIVE.test(speech)) {
+      draft.slotConfirmed = true;
+    } else if (disagrees) {
+      draft.slot = null;
+    }
+    draft.pending = null;
+  }
+
+  // 2. Slot: named by the caller, or agreed to after the agent offered one.
+  // Naming a slot isn't agreeing to it ("anything other than 7 PM?"), so it is always read back.
+  const spokenSlots = detectSlots(speech);
+  const offeredSlots = detectSlots(lastAgentReply);
+  const slots = spokenSlots.length > 0 ? spokenSlots : (agrees ? offeredSlots : []);
+  let changed = false;
+
+  if (slots.length === 1 && slots[0] !== draft.slot) {
+    draft.slot = slots[0];
+    draft.slotConfirmed = false;
+    draft.saved = false;
+    changed = true;
+    await trackBookingAttempt(callSid);
+    await updateState(callSid, STATES.BOOKING);
+  } else if (slots.length > 1 && !confirmationPrompt) {
+    confirmationPrompt = `Happy to book you in! Which one works better for you: ${slots.map(id => SLOTS[id].label.split(' - ')[1]).join(' or ')}?`;
+  }
+
+  // 3. Email: always read back, speech recognition mangles addresses
+  const email = parseSpokenEmail(speech);
+  if (email && email !== draft.email) {
+    draft.email = email;
+    draft.emailConfirmed = false;
+    draft.saved = false;
+    changed = true;
+  }
+
+  // Read back whatever is unconfirmed, slot first, when something new came up
+  // or the caller just answered the last read-back
+  if (!confirmationPrompt && (changed || answered)) {
+    if (draft.slot && !draft.slotConfirmed) {
+      draft.pending = 'slot';
+      confirmationPrompt = `Just so I get it right, shall I lock you in for the ${SLOTS[draft.slot].label.replace(' - ', ' at ')} session?`;
+    } else if (draft.email && !draft.emailConfirmed) {
+      draft.pending = 'email';
+      confirmationPrompt = `Let me make sure I got that right: ${spellEmail(draft.email)}. Is that correct?`;
+    }
+  }
+
+  // 4. Store the booking once we have a confirmed slot and email
+  let booking = null;
+  if (draft.slot && draft.slotConfirmed && draft.email && draft.emailConfirmed && !draft.saved) {
+    booking = await saveBooking(callSid, draft);
+    draft.saved = true;
+  }
+
+  await updateBookingDraft(callSid, draft);
+  if (confirmationPrompt) {
+    logger.info('Asking caller to confirm booking details', { callSid, pending: draft.pending });
+  }
+  return { confirmationPrompt, booking };
+}
+
+/**
+ * List stored bookings, newest first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.from] - Only bookings created on/after this ISO date
+ * @param {string} [filters.to] - Only bookings created before this ISO date
+ * @returns {Promise<Array>} Booking records
+ */
+export async function listBookings({ from, to } = {}) {
+  const bookings = await readAllJson(BOOKINGS_DIR);
+  return bookings
+    .filter(booking => !from || booking.createdAt >= from)
+    .filter(booking => !to || booking.createdAt < to)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -34,7 +34,11 @@ const memoryCache = new Map();
 const TTL = {
   KNOWLEDGE_BASE: 15 * 60, // 15 minutes
   RESPONSE: 5 * 60,        // 5 minutes
-  CONVERSATION: 30 * 60    // 30 minutes
+  CONVERSATION: 30 * 60,   // 30 minutes
+  LEAD_PROFILE: 24 * 60 * 60, // 24 hours
+  TTS_AUDIO: 24 * 60 * 60,    // 24 hours
+  PROMPT_AUDIO: 30 * 24 * 60 * 60, // 30 days (re-rendered at every startup)
+  EMBEDDING: 30 * 24 * 60 * 60     // 30 days (keyed by content, so never stale)
 };
 
 /**
@@ -51,7 +55,7 @@ export async function getCache(key) {
       // Fallback to memory cache
       const value = memoryCache.get(key);
       if (value && Date.now() - value.timestamp < value.ttl * 1000) {
-        return value.data;
+        return JSON.parse(value.data);
       }
       return null;
     }
@@ -74,9 +78,10 @@ export async function setCache(key, value, ttl) {
         EX: ttl
       });
     } else {
-      // Fallback to memory cache
+      // Fallback to memory cache, serialized like Redis so callers get the
+      // same copy semantics (and the same losses, e.g. Sets) on both paths
       memoryCache.set(key, {
-        data: value,
+        data: JSON.stringify(value),
         timestamp: Date.now(),
         ttl: ttl
       });
@@ -110,6 +115,14 @@ export async function deleteCache(key) {
   }
 }
 
+/**
+ * The connected Redis client, for stores that need more than get/set
+ * @returns {Object|null} Redis client, or null when running on the in-memory fallback
+ */
+export function getRedisClient() {
+  return redisConnected ? redisClient : null;
+}
+
 /**
  * Generate cache key
  * @param {string} prefix - Key prefix
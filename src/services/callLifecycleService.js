@@ -0,0 +1,197 @@
+/**
+ * callLifecycleService.js
+ * -----------------------
+ * Keeps a lifecycle record for every call: status timestamps, duration and
+ * final disposition, driven by Twilio status callbacks. When a call ends the
+ * conversation state is cleaned up and a 'ended' event is emitted so other
+ * subsystems (campaigns, ...) can react.
+ */
+
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { readJson, writeJson, readAllJson } from '../utils/jsonFileStore.js';
+import { cleanupConversation } from '../utils/conversationStateManager.js';
+import { assertCallSid } from '../utils/conversationManager.js';
+
+const CALLS_DIR = 'calls';
+
+// Twilio call statuses that mean the call is over
+export const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Which timestamp field each status fills in
+const STATUS_TIMESTAMPS = {
+  queued: 'initiatedAt',
+  initiated: 'initiatedAt',
+  ringing: 'ringingAt',
+  'in-progress': 'answeredAt',
+  answered: 'answeredAt'
+};
+
+/**
+ * Emits 'ended' with the final call record once a call reaches a terminal status.
+ */
+export const callEvents = new EventEmitter();
+
+// Per-call promise chains so concurrent webhooks for one call update its record in order
+const recordLocks = new Map();
+
+/**
+ * Run an update against a call record, serialized per CallSid
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Function} update - Receives the record (or null) and returns the record to save
+ * @returns {Promise<Object|null>} The saved record
+ * @throws {Error} With statusCode 400 if the CallSid is malformed
+ */
+function withRecord(callSid, update) {
+  assertCallSid(callSid);
+  const previous = recordLocks.get(callSid) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const record = await readJson(`${CALLS_DIR}/${callSid}.json`);
+      const updated = await update(record);
+      if (updated) {
+        updated.updatedAt = new Date().toISOString();
+        await writeJson(`${CALLS_DIR}/${callSid}.json`, updated);
+      }
+      return updated;
+    });
+
+  recordLocks.set(callSid, next);
+  next.finally(() => {
+    if (recordLocks.get(callSid) === next) {
+      recordLocks.delete(callSid);
+    }
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * Build an empty lifecycle record
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} details - Known call details (to, from, direction, ...)
+ * @returns {Object} Call record
+ */
+function newRecord(callSid, details = {}) {
+  return {
+    callSid,
+    direction: details.direction || null,
+    to: details.to || null,
+    from: details.from || null,
+    status: 'queued',
+    events: [],
+    initiatedAt: null,
+    ringingAt: null,
+    answeredAt: null,
+    completedAt: null,
+    duration: null,
+    disposition: null,
+    ...details,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create the lifecycle record for a call we just placed. A status callback
+ * or /start can get there first; their record keeps its lifecycle fields
+ * and gains the call details it is missing (campaignId, leadId, ...).
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} details - Call details (to, from, direction, campaignId, ...)
+ * @returns {Promise<Object>} The new or merged record
+ */
+export async function createCallRecord(callSid, details = {}) {
+  return withRecord(callSid, (record) => {
+    if (!record) return newRecord(callSid, details);
+
+    const merged = { ...record };
+    for (const [field, value] of Object.entries(details)) {
+      if (merged[field] === null || merged[field] === undefined) {
+        merged[field] = value;
+      }
+    }
+    return merged;
+  });
+}
+
+/**
+ * Merge extra fields into a call record (e.g. the reason a call was ended)
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} The updated record
+ */
+export async function updateCallRecord(callSid, fields) {
+  return withRecord(callSid, (record) => ({ ...(record || newRecord(callSid)), ...fields }));
+}
+
+/**
+ * Get the lifecycle record for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<Object|null>} Call record or null
+ * @throws {Error} With statusCode 400 if the CallSid is malformed
+ */
+export async function getCallRecord(callSid) {
+  assertCallSid(callSid);
+  return readJson(`${CALLS_DIR}/${callSid}.json`);
+}
+
+/**
+ * Every stored call record
+ * @returns {Promise<Array>} Call records
+ */
+export async function listCallRecords() {
+  return readAllJson(CALLS_DIR);
+}
+
+/**
+ * Apply a Twilio status callback to the call's lifecycle record
+ * @param {Object} payload - Status callback body (CallSid, CallStatus, CallDuration, Timestamp, ...)
+ * @returns {Promise<Object>} The updated record
+ */
+export async function recordStatusEvent(payload) {
+  const { CallSid: callSid, CallStatus: status } = payload;
+  let ended = false;
+
+  const record = await withRecord(callSid, (existing) => {
+    const record = existing || newRecord(callSid, {
+      direction: payload.Direction || null,
+      to: payload.To || null,
+      from: payload.From || null
+    });
+
+    const parsed = payload.Timestamp ? new Date(payload.Timestamp) : new Date();
+    const timestamp = (isNaN(parsed) ? new Date() : parsed).toISOString();
+    record.events.push({
+      status,
+      timestamp,
+      sequenceNumber: payload.SequenceNumber !== undefined ? Number(payload.SequenceNumber) : null
+    });
+
+    // Twilio can deliver callbacks out of order; never move a finished call back
+    if (!TERMINAL_CALL_STATUSES.includes(record.status)) {
+      record.status = status;
+    }
+
+    const field = STATUS_TIMESTAMPS[status];
+    if (field && !record[field]) {
+      record[field] = timestamp;
+    }
+
+    if (TERMINAL_CALL_STATUSES.includes(status) && !record.completedAt) {
+      record.completedAt = timestamp;
+      record.duration = Number(payload.CallDuration) || 0;
+      // A disposition set earlier in the call (e.g. by the agent) wins over the raw status
+      record.disposition = record.disposition || status;
+      ended = true;
+    }
+
+    return record;
+  });
+
+  logger.info('Call status updated', { callSid, status, disposition: record.disposition });
+
+  if (ended) {
+    await cleanupConversation(callSid);
+    callEvents.emit('ended', record);
+  }
+  return record;
+}
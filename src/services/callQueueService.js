@@ -0,0 +1,201 @@
+/**
+ * callQueueService.js
+ * -------------------
+ * Single calls from /trigger-call go through here. A call that the
+ * calling-hours policy blocks can be queued instead of rejected; queued
+ * calls are persisted under data/call-queue and dialed once the lead's
+ * calling window opens, surviving a restart.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { writeJson, readAllJson } from '../utils/jsonFileStore.js';
+import { initiateCall } from './twilioService.js';
+import { saveLeadProfile } from './leadProfileService.js';
+import { resolveVoice } from './ttsService.js';
+
+const QUEUE_DIR = 'call-queue';
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  DIALED: 'dialed',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// Queued calls loaded in this process, keyed by id
+const queue = new Map();
+let ticker = null;
+let ticking = false;
+
+/**
+ * Persist a queued call to disk
+ * @param {Object} entry - Queued call
+ */
+async function saveEntry(entry) {
+  entry.updatedAt = new Date().toISOString();
+  await writeJson(`${QUEUE_DIR}/${entry.id}.json`, entry);
+}
+
+/**
+ * Dial a number and store its lead profile under the new CallSid
+ * @param {string} phoneNumber - Number to call
+ * @param {Object} [options] - Call options
+ * @param {string} [options.pipeline] - 'stream' for the real-time media-stream pipeline
+ * @param {Object} [options.lead] - Lead profile for personalization
+ * @param {string} [options.timezone] - Explicit lead timezone for the calling-hours policy
+ * @param {Object} [options.voice] - TTS voice profile overrides (engine, voice, language, speed, encoding)
+ * @param {Object} [options.recording] - Recording overrides ({ enabled, disclosure })
+ * @returns {Promise<Object>} Call SID, status and calling-hours decision
+ */
+export async function placeCall(phoneNumber, { pipeline, lead, timezone, voice, recording } = {}) {
+  // pipeline: 'stream' flips just this call over to the real-time media-stream pipeline
+  const webhookUrl = pipeline
+    ? `${process.env.SERVER_HOST}/start?pipeline=${encodeURIComponent(pipeline)}`
+    : `${process.env.SERVER_HOST}/start`;
+
+  const result = await initiateCall(phoneNumber, webhookUrl, { timezone, recording });
+
+  // Twilio won't send lead details back on /start, so keep them under the new CallSid
+  await saveLeadProfile(result.sid, { ...lead, phoneNumber, voice: resolveVoice(lead?.voice, voice) });
+  return result;
+}
+
+/**
+ * Queue a call until the lead's calling window opens
+ * @param {string} phoneNumber - Number to call
+ * @param {Object} options - Call options (pipeline, lead, timezone, voice, recording)
+ * @param {Object} callingHours - The calling-hours decision that blocked the call
+ * @returns {Promise<Object>} Queued call
+ */
+export async function queueCall(phoneNumber, { pipeline, lead, timezone, voice, recording } = {}, callingHours) {
+  const entry = {
+    id: crypto.randomUUID(),
+    phoneNumber,
+    pipeline: pipeline || null,
+    lead: lead || {},
+    timezone: timezone || null,
+    voice: voice || null,
+    recording: recording || null,
+    status: QUEUE_STATUS.QUEUED,
+    scheduledFor: callingHours.nextAllowedAt,
+    callingHours,
+    callSid: null,
+    error: null,
+    createdAt: new Date().toISOString()
+  };
+
+  queue.set(entry.id, entry);
+  await saveEntry(entry);
+  logger.info('Call queued until calling hours', { id: entry.id, phoneNumber, scheduledFor: entry.scheduledFor });
+  ensureTicker();
+  return entry;
+}
+
+/**
+ * List queued calls, soonest first
+ * @returns {Array} Queued calls (including ones already dialed or canceled)
+ */
+export function listQueuedCalls() {
+  return Array.from(queue.values()).sort((a, b) => (a.scheduledFor || '').localeCompare(b.scheduledFor || ''));
+}
+
+/**
+ * Cancel a call that hasn't been dialed yet
+ * @param {string} id - Queued call id
+ * @returns {Promise<Object>} The canceled entry
+ */
+export async function cancelQueuedCall(id) {
+  const entry = queue.get(id);
+  if (!entry) {
+    const error = new Error(`Queued call ${id} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (entry.status !== QUEUE_STATUS.QUEUED) {
+    const error = new Error(`Queued call ${id} is already ${entry.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  entry.status = QUEUE_STATUS.CANCELED;
+  await saveEntry(entry);
+  logger.info('Queued call canceled', { id });
+  return entry;
+}
+
+/**
+ * Dial a queued call whose window has opened
+ * @param {Object} entry - Queued call
+ */
+async function dialEntry(entry) {
+  try {
+    const result = await placeCall(entry.phoneNumber, entry);
+    entry.status = QUEUE_STATUS.DIALED;
+    entry.callSid = result.sid;
+    entry.callingHours = result.callingHours;
+    logger.info('Queued call dialed', { id: entry.id, callSid: result.sid });
+  } catch (error) {
+    if (error.callingHours?.nextAllowedAt) {
+      // Policy changed or the window closed again; wait for the next one
+      entry.scheduledFor = error.callingHours.nextAllowedAt;
+      entry.callingHours = error.callingHours;
+    } else {
+      entry.status = QUEUE_STATUS.FAILED;
+      entry.error = error.message;
+      logger.error('Queued call failed', { id: entry.id, error: error.message });
+    }
+  }
+  await saveEntry(entry);
+}
+
+/**
+ * One scheduler pass over the queue
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const waiting = Array.from(queue.values()).filter(entry => entry.status === QUEUE_STATUS.QUEUED);
+    if (waiting.length === 0) {
+      clearInterval(ticker);
+      ticker = null;
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of waiting.filter(e => e.scheduledFor && Date.parse(e.scheduledFor) <= now)) {
+      await dialEntry(entry);
+    }
+  } catch (error) {
+    logger.error('Call queue tick failed', { error: error.message, stack: error.stack });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler if it isn't running
+ */
+function ensureTicker() {
+  if (!ticker) {
+    ticker = setInterval(tick, TICK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Load persisted queued calls and keep dialing them after a restart
+ */
+export async function resumeCallQueue() {
+  const stored = await readAllJson(QUEUE_DIR);
+  stored.forEach(entry => queue.set(entry.id, entry));
+
+  const waiting = stored.filter(entry => entry.status === QUEUE_STATUS.QUEUED).length;
+  logger.info('Loaded call queue', { total: stored.length, waiting });
+  if (waiting > 0) {
+    ensureTicker();
+    tick();
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * callTerminationService.js
+ * -------------------------
+ * Decides when a conversation is over and how to close it: too many silent
+ * turns, the caller saying goodbye or "not interested", the model ending the
+ * conversation, or the maximum call duration. Every ending gets a warm
+ * closing line, moves the state machine to CLOSING and is recorded on the
+ * call's lifecycle record.
+ */
+
+import { logger } from '../utils/logger.js';
+import { STATES, updateState, getConversationMetadata } from '../utils/conversationStateManager.js';
+import { updateCallRecord } from './callLifecycleService.js';
+
+export const END_REASONS = {
+  SILENCE: 'silence',
+  CALLER_GOODBYE: 'caller-goodbye',
+  NOT_INTERESTED: 'not-interested',
+  OPTED_OUT: 'opted-out',
+  MODEL_ENDED: 'model-ended',
+  MAX_DURATION: 'max-duration'
+};
+
+const MAX_SILENT_TURNS = Number(process.env.MAX_SILENT_TURNS) || 3;
+const MAX_CALL_DURATION_SECONDS = Number(process.env.MAX_CALL_DURATION_SECONDS) || 15 * 60;
+
+export const CLOSING_LINES = {
+  [END_REASONS.SILENCE]: "It seems like this isn't a good time, so I'll let you go. Feel free to reach out to Crio anytime. Take care!",
+  [END_REASONS.CALLER_GOODBYE]: 'Thanks so much for chatting with me! Have a wonderful day, and reach out anytime.',
+  [END_REASONS.NOT_INTERESTED]: "Totally understand, thanks for your time. If anything changes, we're just a call away. Have a great day!",
+  [END_REASONS.OPTED_OUT]: "Understood, I've taken your number off our list and you won't get any more calls from us. Sorry for the trouble, and have a good day.",
+  [END_REASONS.MAX_DURATION]: "I don't want to take up too much of your time, so let's pause here. Thanks for the great chat, and we'll follow up with the details. Take care!"
+};
+
+// Asked before ending on "not interested", which callers also say about one
+// option while still wanting another
+export const CONFIRM_END_LINE = 'No problem at all. Just to check, would you like me to end the call here?';
+
+// A goodbye counts only as the caller's whole utterance ("okay, bye", "I have
+// to go now"), never as a phrase inside a longer sentence
+const CLOSING_UTTERANCE = new RegExp(
+  '^(?:(?:ok(?:ay)?|alright|all right|no|nope|thanks|thank you(?: so much)?|cool|great|sure)[\\s,.!]+)*'
+  + '(?:bye(?:[\\s-]bye)?|good ?bye|bye for now|see (?:you|ya)(?: later| soon| then)?|talk (?:to you )?(?:later|soon)'
+  + '|take care|have a (?:good|nice|great) (?:day|evening|one)|(?:i )?(?:have|need|got|gotta) (?:to )?go(?: now)?'
+  + "|i'?m hanging up(?: now)?)"
+  + '(?:[\\s,.!]+(?:bye|thanks|thank you|take care|then))*[\\s.!]*$',
+  'i'
+);
+// The agent's wrap-up questions, after which a short "no" or a goodbye ends the call
+const CLOSING_QUESTION = /\b(anything else|any other questions?|any more questions|is that all)\b[^.!?]*\?\s*$/i;
+const CLOSING_ANSWER = /^(?:no|nope|nah|nothing(?: else)?|that'?s (?:all|it)|i'?m good|all good)(?:[\s,.!]+(?:that'?s (?:all|it)|i'?m good|thanks|thank you|bye|goodbye))*[\s,.!]*$/i;
+const GOODBYE_WORDS = /\b(bye|goodbye|good bye|see you|talk to you later|take care)\b/i;
+const NOT_INTERESTED_PATTERN = /\b(not interested|no interest|not for me)\b/i;
+// A yes to CONFIRM_END_LINE
+const CONFIRMATION = /^(?:yes|yeah|yep|yup|sure|please|ok(?:ay)?|correct|right|go ahead|that'?s right)\b/i;
+const HESITATION = /\b(no|wait|actually|but|hold on)\b/i;
+
+/**
+ * What the agent said last
+ * @param {Array} history - Conversation messages ({ role, content })
+ * @returns {string} The last assistant line, or '' if there is none
+ */
+function lastAgentLine(history = []) {
+  return history.findLast(message => message.role === 'assistant')?.content || '';
+}
+
+/**
+ * Detect the caller ending the conversation themselves: a goodbye as the
+ * whole utterance or in answer to a wrap-up question, or a yes after the
+ * agent asked whether to end on "not interested"
+ * @param {string} speech - What the caller said
+ * @param {Array} [history] - Conversation so far, before this utterance
+ * @returns {string|null} End reason or null
+ */
+export function detectCallerEnding(speech = '', history = []) {
+  const text = speech.trim();
+  const previous = lastAgentLine(history);
+
+  if (previous === CONFIRM_END_LINE
+    && (NOT_INTERESTED_PATTERN.test(text) || (CONFIRMATION.test(text) && !HESITATION.test(text)))) {
+    return END_REASONS.NOT_INTERESTED;
+  }
+  if (CLOSING_UTTERANCE.test(text)) return END_REASONS.CALLER_GOODBYE;
+  if (CLOSING_QUESTION.test(previous) && (CLOSING_ANSWER.test(text) || GOODBYE_WORDS.test(text))) {
+    return END_REASONS.CALLER_GOODBYE;
+  }
+  return null;
+}
+
+/**
+ * Whether the caller said "not interested" and should be asked
+ * CONFIRM_END_LINE before the call ends
+ * @param {string} speech - What the caller said
+ * @param {Array} [history] - Conversation so far, before this utterance
+ * @returns {boolean} True to ask
+ */
+export function shouldConfirmEnding(speech = '', history = []) {
+  return NOT_INTERESTED_PATTERN.test(speech) && lastAgentLine(history) !== CONFIRM_END_LINE;
+}
+
+/**
+ * Whether the caller has now been silent for too many turns
+ * @param {number} silentTurns - Consecutive silent turns
+ * @returns {boolean} True if the call should end
+ */
+export function hasTooManySilentTurns(silentTurns) {
+  return silentTurns >= MAX_SILENT_TURNS;
+}
+
+/**
+ * Whether the call has run past the maximum duration
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<boolean>} True if the call should end
+ */
+export async function hasExceededMaxDuration(callSid) {
+  const conversation = await getConversationMetadata(callSid);
+  if (!conversation?.startedAt) return false;
+  return Date.now() - conversation.startedAt > MAX_CALL_DURATION_SECONDS * 1000;
+}
+
+/**
+ * Close the conversation: move to CLOSING and record why the call ended
+ * @param {string} callSid - The Twilio Call SID
+ * @param {string} reason - One of END_REASONS
+ * @returns {Promise<string|null>} Closing line to speak (null when the model already said goodbye)
+ */
+export async function endConversation(callSid, reason) {
+  await updateState(callSid, STATES.CLOSING, { endReason: reason });
+  await updateCallRecord(callSid, { endReason: reason, endedBy: 'agent' });
+  logger.info('Ending conversation', { callSid, reason });
+  return CLOSING_LINES[reason] || null;
+}
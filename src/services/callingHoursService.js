@@ -0,0 +1,310 @@
+/**
+ * callingHoursService.js
+ * ----------------------
+ * Calling-hours policy in front of initiateCall. Works out the lead's local
+ * time from an explicit timezone or the number's country code, then checks
+ * it against per-weekday calling windows and holiday blackouts. Every
+ * decision carries a reason and, when calling is not allowed, the next time
+ * it will be.
+ */
+
+import { logger } from '../utils/logger.js';
+
+// Error code initiateCall uses when it refuses to dial outside calling hours
+export const OUTSIDE_HOURS_ERROR_CODE = 'OUTSIDE_CALLING_HOURS';
+
+export const DECISION_REASONS = {
+  WITHIN_WINDOW: 'within-window',
+  OUTSIDE_WINDOW: 'outside-window',
+  NO_WINDOW_TODAY: 'no-window-today',
+  HOLIDAY: 'holiday',
+  POLICY_DISABLED: 'policy-disabled'
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// E.164 country calling code -> timezone. Countries spanning several zones get their
+// most populous one; send an explicit timezone for those leads.
+const COUNTRY_TIMEZONES = {
+  '1': 'America/New_York',
+  '7': 'Europe/Moscow',
+  '27': 'Africa/Johannesburg',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '44': 'Europe/London',
+  '49': 'Europe/Berlin',
+  '60': 'Asia/Kuala_Lumpur',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '94': 'Asia/Colombo',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '353': 'Europe/Dublin',
+  '880': 'Asia/Dhaka',
+  '966': 'Asia/Riyadh',
+  '971': 'Asia/Dubai',
+  '974': 'Asia/Qatar',
+  '977': 'Asia/Kathmandu'
+};
+
+// How far ahead to look for the next calling window
+const LOOKAHEAD_DAYS = 14;
+
+// Intl formatters are expensive to build; keep one per timezone
+const formatters = new Map();
+
+/**
+ * Parse a "09:00" style time into minutes after midnight
+ * @param {string} value - HH:MM
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" in CALLING_HOURS_WINDOWS (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse CALLING_HOURS_WINDOWS, e.g. "mon-fri=09:00-13:00|14:00-21:00;sat=10:00-18:00".
+ * Days that aren't listed have no calling window.
+ * @param {string} spec - Window specification
+ * @returns {Object} Weekday -> [{start, end}] in minutes after midnight
+ */
+function parseWindows(spec) {
+  const windows = Object.fromEntries(WEEKDAYS.map(day => [day, []]));
+
+  for (const entry of spec.split(';').map(part => part.trim()).filter(Boolean)) {
+    const [days, ranges = ''] = entry.split('=');
+    const [from, to = from] = days.trim().toLowerCase().split('-');
+    const fromIndex = WEEKDAYS.indexOf(from);
+    const toIndex = WEEKDAYS.indexOf(to);
+    if (fromIndex === -1 || toIndex === -1) {
+      throw new Error(`Invalid days "${days}" in CALLING_HOURS_WINDOWS (use sun, mon, ... sat)`);
+    }
+
+    const parsed = ranges.split('|').filter(range => range.trim()).map(range => {
+      const [start, end] = range.split('-');
+      return { start: parseTime(start), end: parseTime(end || '') };
+    });
+
+    // mon-fri, or a wrap-around range like fri-mon
+    for (let i = fromIndex; ; i = (i + 1) % 7) {
+      windows[WEEKDAYS[i]] = parsed;
+      if (i === toIndex) break;
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Read the calling-hours policy from the environment
+ * @returns {Object} Policy
+ */
+export function getCallingHoursPolicy() {
+  return {
+    enabled: process.env.CALLING_HOURS_ENABLED !== 'false',
+    defaultTimezone: process.env.CALLING_HOURS_TIMEZONE || 'Asia/Kolkata',
+    windows: parseWindows(process.env.CALLING_HOURS_WINDOWS || 'mon-sun=09:00-21:00'),
+    // YYYY-MM-DD for a single date, MM-DD for a holiday that repeats every year
+    holidays: (process.env.CALLING_HOURS_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean),
+    outsideHours: process.env.CALLING_HOURS_OUTSIDE === 'queue' ? 'queue' : 'reject'
+  };
+}
+
+/**
+ * Get (and validate) the formatter for a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a timezone name is one Intl understands
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {{date: string, weekday: string, minutes: number}} Local date, weekday and minutes after midnight
+ */
+function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to an instant
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function fromLocalTime(localDate, minutes, timezone) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Offset of the timezone at a given instant, in ms
+  const offsetAt = (instant) => {
+    const local = getLocalTime(new Date(instant), timezone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 0, local.minutes) - Math.floor(instant / 60000) * 60000;
+  };
+
+  // Second pass settles times right after a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * Work out which timezone a lead is in
+ * @param {string} phoneNumber - Lead phone number (E.164 with a leading +)
+ * @param {string} [timezone] - Explicit timezone from the lead
+ * @param {Object} policy - Calling-hours policy
+ * @returns {{timezone: string, source: string}} Timezone and where it came from
+ */
+export function resolveTimezone(phoneNumber, timezone, policy = getCallingHoursPolicy()) {
+  if (timezone) {
+    return { timezone, source: 'lead' };
+  }
+
+  const number = String(phoneNumber || '').trim();
+  if (number.startsWith('+')) {
+    const digits = number.replace(/\D/g, '');
+    // Calling codes are 1-3 digits; prefer the longest match
+    for (const length of [3, 2, 1]) {
+      const zone = COUNTRY_TIMEZONES[digits.slice(0, length)];
+      if (zone) {
+        return { timezone: zone, source: 'country-code' };
+      }
+    }
+  }
+
+  return { timezone: policy.defaultTimezone, source: 'default' };
+}
+
+/**
+ * Whether a local date is a holiday blackout
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {Array<string>} holidays - YYYY-MM-DD or MM-DD entries
+ * @returns {boolean} True on a holiday
+ */
+function isHoliday(localDate, holidays) {
+  return holidays.includes(localDate) || holidays.includes(localDate.slice(5));
+}
+
+/**
+ * Find the next time calling opens, from a given instant
+ * @param {Date} now - Starting instant
+ * @param {string} timezone - Lead timezone
+ * @param {Object} policy - Calling-hours policy
+ * @returns {Date|null} Start of the next window or null if none within the lookahead
+ */
+function findNextWindow(now, timezone, policy) {
+  const today = getLocalTime(now, timezone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    // Noon avoids DST edges when stepping through days
+    const day = getLocalTime(fromLocalTime(today.date, 12 * 60 + offset * 24 * 60, timezone), timezone);
+    if (isHoliday(day.date, policy.holidays)) continue;
+
+    const windows = [...policy.windows[day.weekday]].sort((a, b) => a.start - b.start);
+    for (const window of windows) {
+      if (offset > 0 || window.start > today.minutes) {
+        return fromLocalTime(day.date, window.start, timezone);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether a number may be called right now
+ * @param {string} phoneNumber - Lead phone number
+ * @param {Object} [options] - Options
+ * @param {string} [options.timezone] - Explicit lead timezone
+ * @param {Date} [options.now] - Instant to evaluate (defaults to now)
+ * @returns {Object} Decision: { allowed, reason, timezone, timezoneSource, localTime, nextAllowedAt }
+ */
+export function evaluateCallingHours(phoneNumber, { timezone, now = new Date() } = {}) {
+  const policy = getCallingHoursPolicy();
+  const resolved = resolveTimezone(phoneNumber, timezone, policy);
+
+  if (!isValidTimezone(resolved.timezone)) {
+    const error = new Error(`Unknown timezone "${resolved.timezone}"`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const local = getLocalTime(now, resolved.timezone);
+  const hh = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+  const mm = String(local.minutes % 60).padStart(2, '0');
+  const decision = {
+    allowed: true,
+    reason: DECISION_REASONS.WITHIN_WINDOW,
+    timezone: resolved.timezone,
+    timezoneSource: resolved.source,
+    localTime: `${local.date} ${hh}:${mm} (${local.weekday})`,
+    nextAllowedAt: null
+  };
+
+  if (!policy.enabled) {
+    decision.reason = DECISION_REASONS.POLICY_DISABLED;
+  } else if (isHoliday(local.date, policy.holidays)) {
+    decision.allowed = false;
+    decision.reason = DECISION_REASONS.HOLIDAY;
+  } else if (policy.windows[local.weekday].length === 0) {
+    decision.allowed = false;
+    decision.reason = DECISION_REASONS.NO_WINDOW_TODAY;
+  } else if (!policy.windows[local.weekday].some(w => local.minutes >= w.start && local.minutes < w.end)) {
+    decision.allowed = false;
+    decision.reason = DECISION_REASONS.OUTSIDE_WINDOW;
+  }
+
+  if (!decision.allowed) {
+    decision.nextAllowedAt = findNextWindow(now, resolved.timezone, policy)?.toISOString() || null;
+  }
+
+  logger.info('Calling-hours decision', { phoneNumber, ...decision });
+  return decision;
+}
@@ -0,0 +1,566 @@
+/**
+ * campaignService.js
+ * ------------------
+ * Bulk outbound dialing. A campaign holds a named list of leads and dials
+ * them through initiateCall with concurrency and calls-per-minute pacing,
+ * retrying no-answer / busy / failed outcomes according to its retry rules.
+ * Campaigns are persisted under data/campaigns so they survive a restart.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { writeJson, readAllJson } from '../utils/jsonFileStore.js';
+import { initiateCall, getCallStatus } from './twilioService.js';
+import { saveLeadProfile } from './leadProfileService.js';
+import { callEvents, recordStatusEvent, getCallRecord, TERMINAL_CALL_STATUSES } from './callLifecycleService.js';
+import { SUPPRESSED_ERROR_CODE, OPT_OUT_DISPOSITION } from './suppressionService.js';
+import { evaluateCallingHours, isValidTimezone } from './callingHoursService.js';
+import { resolveVoice, validateVoice } from './ttsService.js';
+import { validateRecording } from './recordingService.js';
+import { validatePersona } from './promptTemplateService.js';
+
+const CAMPAIGNS_DIR = 'campaigns';
+const TICK_INTERVAL_MS = 5000;
+
+const CAMPAIGN_STATUS = {
+  DRAFT: 'draft',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+const LEAD_STATUS = {
+  PENDING: 'pending',
+  CALLING: 'calling',
+  DONE: 'done'
+};
+
+// Outcomes that must never be retried, whatever the campaign's retry rules say
+const NEVER_RETRY = ['suppressed', OPT_OUT_DISPOSITION];
+
+// Status callbacks normally settle calls; poll Twilio only for calls silent this long
+const RECONCILE_AFTER_MS = 5 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  concurrency: 1,
+  callsPerMinute: 10,
+  retry: {
+    'no-answer': { maxAttempts: 3, delayMinutes: 60 },
+    busy: { maxAttempts: 3, delayMinutes: 15 },
+    failed: { maxAttempts: 2, delayMinutes: 30 },
+    'voicemail-left': { maxAttempts: 3, delayMinutes: 240 }
+  }
+};
+
+// Campaigns loaded in this process, keyed by id
+const campaigns = new Map();
+let ticker = null;
+let ticking = false;
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode property
+ */
+function campaignError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Persist a campaign to disk
+ * @param {Object} campaign - Campaign record
+ */
+async function saveCampaign(campaign) {
+  campaign.updatedAt = new Date().toISOString();
+  await writeJson(`${CAMPAIGNS_DIR}/${campaign.id}.json`, campaign);
+}
+
+/**
+ * Merge user supplied settings over the defaults
+ * @param {Object} settings - Settings from the request body
+ * @returns {Object} Complete campaign settings
+ */
+function normalizeSettings(settings = {}) {
+  const concurrency = Number(settings.concurrency ?? DEFAULT_SETTINGS.concurrency);
+  const callsPerMinute = Number(settings.callsPerMinute ?? DEFAULT_SETTINGS.callsPerMinute);
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw campaignError(400, 'settings.concurrency must be a positive integer');
+  }
+  if (!(callsPerMinute > 0)) {
+    throw campaignError(400, 'settings.callsPerMinute must be a positive number');
+  }
+  if (settings.timezone && !isValidTimezone(settings.timezone)) {
+    throw campaignError(400, `Unknown settings.timezone "${settings.timezone}"`);
+  }
+  validateVoice(settings.voice);
+  validateRecording(settings.recording);
+  validatePersona(settings.persona);
+
+  const retry = { ...DEFAULT_SETTINGS.retry };
+  for (const [outcome, rule] of Object.entries(settings.retry || {})) {
+    retry[outcome] = { ...retry[outcome], ...rule };
+  }
+
+  return { ...settings, concurrency, callsPerMinute, retry };
+}
+
+/**
+ * Build a lead record from request input
+ * @param {Object} input - Lead from the request body
+ * @returns {Object} Lead record
+ */
+function createLead(input) {
+  const { phoneNumber, name, programInterested, source, ...metadata } = input || {};
+  if (!phoneNumber) {
+    throw campaignError(400, 'Every lead needs a phoneNumber');
+  }
+  if (metadata.timezone && !isValidTimezone(metadata.timezone)) {
+    throw campaignError(400, `Unknown timezone "${metadata.timezone}" for lead ${phoneNumber}`);
+  }
+  validateVoice(metadata.voice);
+  validatePersona(metadata.persona);
+
+  return {
+    id: crypto.randomUUID(),
+    phoneNumber,
+    name: name || null,
+    programInterested: programInterested || null,
+    source: source || null,
+    metadata,
+    status: LEAD_STATUS.PENDING,
+    nextAttemptAt: null,
+    attempts: [],
+    outcome: null
+  };
+}
+
+/**
+ * Summarize lead progress for a campaign
+ * @param {Object} campaign - Campaign record
+ * @returns {Object} Counts by lead status and final outcome
+ */
+function getCampaignStats(campaign) {
+  const stats = { total: campaign.leads.length, pending: 0, calling: 0, done: 0, outcomes: {} };
+  for (const lead of campaign.leads) {
+    stats[lead.status]++;
+    if (lead.outcome) {
+      stats.outcomes[lead.outcome] = (stats.outcomes[lead.outcome] || 0) + 1;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Campaign without its lead list, for listings
+ * @param {Object} campaign - Campaign record
+ * @returns {Object} Campaign summary
+ */
+function summarize(campaign) {
+  const { leads, dialedAt, ...summary } = campaign;
+  return { ...summary, stats: getCampaignStats(campaign) };
+}
+
+/**
+ * Look up a campaign or throw a 404
+ * @param {string} id - Campaign id
+ * @returns {Object} Campaign record
+ */
+function requireCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (!campaign) {
+    throw campaignError(404, `Campaign not found: ${id}`);
+  }
+  return campaign;
+}
+
+/**
+ * Create a new campaign in draft state
+ * @param {Object} input - Campaign definition
+ * @param {string} input.name - Campaign name
+ * @param {Array} input.leads - Leads ({ phoneNumber, name, programInterested, source, ... })
+ * @param {Object} [input.settings] - concurrency, callsPerMinute, retry rules, pipeline
+ * @returns {Promise<Object>} Campaign summary
+ */
+export async function createCampaign({ name, leads, settings } = {}) {
+  if (!name) {
+    throw campaignError(400, 'Campaign name is required');
+  }
+  if (!Array.isArray(leads) || leads.length === 0) {
+    throw campaignError(400, 'Campaign needs a non-empty leads array');
+  }
+
+  const now = new Date().toISOString();
+  const campaign = {
+    id: crypto.randomUUID(),
+    name,
+    status: CAMPAIGN_STATUS.DRAFT,
+    settings: normalizeSettings(settings),
+    leads: leads.map(createLead),
+    // Timestamps of recent dials, used for calls-per-minute pacing
+    dialedAt: [],
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  campaigns.set(campaign.id, campaign);
+  await saveCampaign(campaign);
+  logger.info('Campaign created', { campaignId: campaign.id, name, leads: campaign.leads.length });
+  return summarize(campaign);
+}
+
+/**
+ * List all campaigns
+ * @returns {Array} Campaign summaries
+ */
+export function listCampaigns() {
+  return Array.from(campaigns.values()).map(summarize);
+}
+
+/**
+ * Get a campaign with its leads and progress
+ * @param {string} id - Campaign id
+ * @returns {Object} Campaign with stats
+ */
+export function getCampaign(id) {
+  const campaign = requireCampaign(id);
+  const { dialedAt, ...rest } = campaign;
+  return { ...rest, stats: getCampaignStats(campaign) };
+}
+
+/**
+ * Move a campaign between states
+ * @param {string} id - Campaign id
+ * @param {Array<string>} from - States the transition is allowed from
+ * @param {string} to - Target state
+ * @returns {Promise<Object>} Campaign summary
+ */
+async function transitionCampaign(id, from, to) {
+  const campaign = requireCampaign(id);
+  if (!from.includes(campaign.status)) {
+    throw campaignError(409, `Cannot move campaign from ${campaign.status} to ${to}`);
+  }
+
+  campaign.status = to;
+  if (to === CAMPAIGN_STATUS.RUNNING && !campaign.startedAt) {
+    campaign.startedAt = new Date().toISOString();
+  }
+  await saveCampaign(campaign);
+  logger.info('Campaign state changed', { campaignId: id, status: to });
+
+  if (to === CAMPAIGN_STATUS.RUNNING) {
+    ensureTicker();
+  }
+  return summarize(campaign);
+}
+
+// Campaign lifecycle: draft -> running <-> paused, running -> completed once every lead is done
+export const startCampaign = (id) => transitionCampaign(id, [CAMPAIGN_STATUS.DRAFT], CAMPAIGN_STATUS.RUNNING);
+export const pauseCampaign = (id) => transitionCampaign(id, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.PAUSED);
+export const resumeCampaign = (id) => transitionCampaign(id, [CAMPAIGN_STATUS.PAUSED], CAMPAIGN_STATUS.RUNNING);
+
+/**
+ * Find the campaign lead that owns a call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {{campaign: Object, lead: Object, attempt: Object}|null} Owning lead or null
+ */
+function findLeadByCallSid(callSid) {
+  for (const campaign of campaigns.values()) {
+    for (const lead of campaign.leads) {
+      const attempt = lead.attempts.find(a => a.callSid === callSid);
+      if (attempt) {
+        return { campaign, lead, attempt };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a finished call's outcome to its lead, scheduling a retry if the rules allow
+ * @param {Object} campaign - Campaign record
+ * @param {Object} lead - Lead record
+ * @param {Object} attempt - The attempt that finished
+ * @param {string} outcome - Twilio call status (completed, busy, no-answer, failed, canceled)
+ * @param {number} [duration] - Call duration in seconds
+ */
+function applyOutcome(campaign, lead, attempt, outcome, duration) {
+  attempt.outcome = outcome;
+  attempt.endedAt = new Date().toISOString();
+  if (duration !== undefined) attempt.duration = duration;
+
+  // maxAttempts counts every dial of the lead, including this one
+  const rule = NEVER_RETRY.includes(outcome) ? null : campaign.settings.retry[outcome];
+  if (rule && lead.attempts.length < rule.maxAttempts) {
+    lead.status = LEAD_STATUS.PENDING;
+    lead.nextAttemptAt = new Date(Date.now() + rule.delayMinutes * 60 * 1000).toISOString();
+    logger.info('Campaign lead scheduled for retry', {
+      campaignId: campaign.id,
+      leadId: lead.id,
+      outcome,
+      attempts: lead.attempts.length,
+      nextAttemptAt: lead.nextAttemptAt
+    });
+  } else {
+    lead.status = LEAD_STATUS.DONE;
+    lead.outcome = outcome;
+    lead.nextAttemptAt = null;
+    logger.info('Campaign lead finished', { campaignId: campaign.id, leadId: lead.id, outcome });
+  }
+}
+
+/**
+ * Record the final status of a campaign call
+ * @param {string} callSid - The Twilio Call SID
+ * @param {string} outcome - Twilio call status
+ * @param {number} [duration] - Call duration in seconds
+ * @returns {Promise<boolean>} True if the call belonged to a campaign
+ */
+export async function handleCallOutcome(callSid, outcome, duration) {
+  const owner = findLeadByCallSid(callSid);
+  if (!owner || owner.attempt.outcome) {
+    return false;
+  }
+
+  applyOutcome(owner.campaign, owner.lead, owner.attempt, outcome, duration);
+  await saveCampaign(owner.campaign);
+  return true;
+}
+
+/**
+ * Settle an attempt from its lifecycle record if the call has already ended.
+ * Covers calls whose 'ended' event fired before the attempt knew its CallSid,
+ * or before this process had loaded the campaign.
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<boolean>} True if the stored record was terminal
+ */
+async function settleFromCallRecord(callSid) {
+  const record = await getCallRecord(callSid);
+  if (!record || !TERMINAL_CALL_STATUSES.includes(record.status)) {
+    return false;
+  }
+  await handleCallOutcome(callSid, record.disposition || record.status, record.duration ?? undefined);
+  return true;
+}
+
+/**
+ * Settle in-flight calls that have already ended, and poll Twilio for
+ * those whose status callback never arrived
+ * @param {Object} campaign - Campaign record
+ */
+async function reconcileInFlightCalls(campaign) {
+  const now = Date.now();
+  const inFlight = campaign.leads.filter(lead => lead.status === LEAD_STATUS.CALLING);
+
+  for (const lead of inFlight) {
+    const attempt = lead.attempts[lead.attempts.length - 1];
+    const stale = now - Date.parse(attempt.startedAt) >= RECONCILE_AFTER_MS;
+    try {
+      if (!attempt.callSid) {
+        // The process stopped while the call was being placed; nothing to poll
+        if (stale) applyOutcome(campaign, lead, attempt, 'failed');
+        continue;
+      }
+      if (await settleFromCallRecord(attempt.callSid) || !stale) continue;
+
+      const { status, duration } = await getCallStatus(attempt.callSid);
+      if (TERMINAL_CALL_STATUSES.includes(status)) {
+        // Goes through the lifecycle record so the 'ended' listener settles the lead
+        await recordStatusEvent({ CallSid: attempt.callSid, CallStatus: status, CallDuration: duration });
+      }
+    } catch (error) {
+      logger.error('Failed to fetch campaign call status', {
+        campaignId: campaign.id,
+        callSid: attempt.callSid,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Dial one lead
+ * @param {Object} campaign - Campaign record
+ * @param {Object} lead - Lead record
+ */
+async function dialLead(campaign, lead) {
+  const webhookUrl = campaign.settings.pipeline
+    ? `${process.env.SERVER_HOST}/start?pipeline=${encodeURIComponent(campaign.settings.pipeline)}`
+    : `${process.env.SERVER_HOST}/start`;
+
+  lead.status = LEAD_STATUS.CALLING;
+  campaign.dialedAt.push(Date.now());
+  // Recorded before dialing, so the lead is never 'calling' without an attempt
+  const attempt = { callSid: null, startedAt: new Date().toISOString(), outcome: null };
+  lead.attempts.push(attempt);
+
+  try {
+    const { sid } = await initiateCall(lead.phoneNumber, webhookUrl, {
+      campaignId: campaign.id,
+      leadId: lead.id,
+      timezone: getLeadTimezone(campaign, lead),
+      recording: campaign.settings.recording
+    });
+    attempt.callSid = sid;
+    // Persisted straight away, so a crash before the end of the tick can't lose the in-flight call
+    await saveCampaign(campaign);
+    await saveLeadProfile(sid, {
+      ...lead.metadata,
+      name: lead.name,
+      programInterested: lead.programInterested,
+      source: lead.source,
+      phoneNumber: lead.phoneNumber,
+      campaignId: campaign.id,
+      leadId: lead.id,
+      // The lead's own voice settings and persona win over the campaign's
+      voice: resolveVoice(campaign.settings.voice, lead.metadata?.voice),
+      persona: lead.metadata?.persona || campaign.settings.persona || null
+    });
+    logger.info('Campaign lead dialed', { campaignId: campaign.id, leadId: lead.id, callSid: sid });
+    // A fast status callback may have ended the call before its CallSid was known here
+    await settleFromCallRecord(sid);
+  } catch (error) {
+    if (attempt.callSid) {
+      logger.error('Failed to finish setting up campaign call', { campaignId: campaign.id, callSid: attempt.callSid, error: error.message });
+      return;
+    }
+    // Treat an initiation error like a failed call so the retry rules apply;
+    // numbers on the do-not-call list are settled as 'suppressed' and never retried
+    attempt.error = error.message;
+    applyOutcome(campaign, lead, attempt, error.code === SUPPRESSED_ERROR_CODE ? 'suppressed' : 'failed');
+  }
+}
+
+/**
+ * Explicit timezone for a lead: its own, else the campaign's; otherwise the policy uses the country code
+ * @param {Object} campaign - Campaign record
+ * @param {Object} lead - Lead record
+ * @returns {string|undefined} IANA timezone
+ */
+function getLeadTimezone(campaign, lead) {
+  return lead.metadata?.timezone || campaign.settings.timezone;
+}
+
+/**
+ * Hold a lead back until its calling window opens. Not counted as an attempt.
+ * @param {Object} campaign - Campaign record
+ * @param {Object} lead - Lead record
+ * @returns {boolean} True if the lead may be dialed now
+ */
+function checkCallingHours(campaign, lead) {
+  const callingHours = evaluateCallingHours(lead.phoneNumber, { timezone: getLeadTimezone(campaign, lead) });
+  if (callingHours.allowed) {
+    return true;
+  }
+
+  if (callingHours.nextAllowedAt) {
+    lead.nextAttemptAt = callingHours.nextAllowedAt;
+  } else {
+    // No calling window at all in the lookahead; give up on the lead rather than spin
+    lead.status = LEAD_STATUS.DONE;
+    lead.outcome = 'outside-calling-hours';
+  }
+  lead.callingHours = callingHours;
+  logger.info('Campaign lead deferred by calling hours', {
+    campaignId: campaign.id,
+    leadId: lead.id,
+    reason: callingHours.reason,
+    nextAttemptAt: lead.nextAttemptAt
+  });
+  return false;
+}
+
+/**
+ * Dial whatever the campaign's concurrency and pacing allow right now
+ * @param {Object} campaign - Campaign record
+ */
+async function dialEligibleLeads(campaign) {
+  const now = Date.now();
+  const { concurrency, callsPerMinute } = campaign.settings;
+
+  campaign.dialedAt = campaign.dialedAt.filter(t => now - t < 60 * 1000);
+  const inFlight = campaign.leads.filter(lead => lead.status === LEAD_STATUS.CALLING).length;
+  let slots = Math.min(concurrency - inFlight, Math.floor(callsPerMinute) - campaign.dialedAt.length);
+  if (slots <= 0) return;
+
+  const due = campaign.leads
+    .filter(lead => lead.status === LEAD_STATUS.PENDING)
+    .filter(lead => !lead.nextAttemptAt || Date.parse(lead.nextAttemptAt) <= now);
+
+  // Leads outside their calling hours don't use up a slot
+  for (const lead of due) {
+    if (slots <= 0) break;
+    if (!checkCallingHours(campaign, lead)) continue;
+    await dialLead(campaign, lead);
+    slots--;
+  }
+}
+
+/**
+ * One scheduler pass over every running campaign
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const running = Array.from(campaigns.values()).filter(c => c.status === CAMPAIGN_STATUS.RUNNING);
+    if (running.length === 0) {
+      clearInterval(ticker);
+      ticker = null;
+      return;
+    }
+
+    for (const campaign of running) {
+      await reconcileInFlightCalls(campaign);
+      await dialEligibleLeads(campaign);
+
+      if (campaign.leads.every(lead => lead.status === LEAD_STATUS.DONE)) {
+        campaign.status = CAMPAIGN_STATUS.COMPLETED;
+        campaign.completedAt = new Date().toISOString();
+        logger.info('Campaign completed', { campaignId: campaign.id, stats: getCampaignStats(campaign) });
+      }
+      await saveCampaign(campaign);
+    }
+  } catch (error) {
+    logger.error('Campaign scheduler tick failed', { error: error.message, stack: error.stack });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler if it is not already running
+ */
+function ensureTicker() {
+  if (!ticker) {
+    ticker = setInterval(tick, TICK_INTERVAL_MS);
+    tick();
+  }
+}
+
+/**
+ * Load persisted campaigns and pick running ones back up after a restart
+ */
+export async function resumeCampaigns() {
+  const stored = await readAllJson(CAMPAIGNS_DIR);
+  stored.forEach(campaign => campaigns.set(campaign.id, campaign));
+
+  const running = stored.filter(c => c.status === CAMPAIGN_STATUS.RUNNING).length;
+  logger.info('Loaded campaigns', { total: stored.length, running });
+  if (running > 0) {
+    ensureTicker();
+  }
+}
+
+// Status callbacks settle campaign calls as soon as Twilio reports them finished
+callEvents.on('ended', (record) => {
+  handleCallOutcome(record.callSid, record.disposition, record.duration).catch(error => {
+    logger.error('Failed to apply call outcome to campaign', { callSid: record.callSid, error: error.message });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * fileStore.js
+ * ------------
+ * Conversation store on the local filesystem. Messages are appended one
+ * JSON line at a time to conversations/<CallSid>.jsonl, so a turn never
+ * rewrites the transcript; call details live in <CallSid>.info.json and
+ * by-phone/<digits>.log lists the calls made to each number.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Read a file, treating a missing file as empty
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} Contents, or null if the file doesn't exist
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Create a filesystem conversation store.
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Directory for transcripts (defaults to CONVERSATIONS_DIR or ./conversations)
+ * @returns {Object} Conversation store
+ */
+export function createFileConversationStore({ dir = process.env.CONVERSATIONS_DIR || 'conversations' } = {}) {
+  const phoneDir = path.join(dir, 'by-phone');
+  fs.mkdirSync(phoneDir, { recursive: true });
+
+  const messagesPath = (callSid) => path.join(dir, `${callSid}.jsonl`);
+  const legacyPath = (callSid) => path.join(dir, `${callSid}.txt`);
+  const infoPath = (callSid) => path.join(dir, `${callSid}.info.json`);
+
+  const getInfo = async (callSid) => {
+    const content = await readIfExists(infoPath(callSid));
+    return content ? JSON.parse(content) : null;
+  };
+
+  return {
+    name: 'file',
+
+    async appendMessage(callSid, message) {
+      await fs.promises.appendFile(messagesPath(callSid), `${JSON.stringify(message)}\n`);
+    },
+
+    async getMessages(callSid) {
+      const content = await readIfExists(messagesPath(callSid));
+      if (content === null) {
+        // Transcripts written before the append-only format: one JSON array per file
+        const legacy = await readIfExists(legacyPath(callSid));
+        return legacy ? JSON.parse(legacy) : [];
+      }
+
+      const messages = [];
+      for (const line of content.split('\n').filter(Boolean)) {
+        try {
+          messages.push(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-append can leave a partial last line; keep everything before it
+          logger.warn('Skipping unreadable conversation line', { callSid, error: error.message });
+        }
+      }
+      return messages;
+    },
+
+    async saveInfo(callSid, info) {
+      const existing = await getInfo(callSid);
+      await fs.promises.writeFile(infoPath(callSid), JSON.stringify({ ...existing, ...info }, null, 2));
+      if (info.phoneKey && info.phoneKey !== existing?.phoneKey) {
+        await fs.promises.appendFile(path.join(phoneDir, `${info.phoneKey}.log`), `${callSid}\n`);
+      }
+    },
+
+    getInfo,
+
+    async findByPhoneKey(phoneKey) {
+      const content = await readIfExists(path.join(phoneDir, `${phoneKey}.log`));
+      const callSids = [...new Set((content || '').split('\n').filter(Boolean))];
+      const infos = await Promise.all(callSids.map(getInfo));
+      return infos.filter(Boolean);
+    },
+
+    async listConversations() {
+      const files = await fs.promises.readdir(dir);
+      const conversations = [];
+      for (const file of files) {
+        const match = file.match(/^(.+)\.(jsonl|txt)$/);
+        if (!match) continue;
+        const stats = await fs.promises.stat(path.join(dir, file));
+        conversations.push({ callSid: match[1], updatedAt: stats.mtime.toISOString() });
+      }
+      return conversations;
+    },
+
+    async removeConversation(callSid) {
+      await Promise.all([messagesPath, legacyPath, infoPath].map(filePath =>
+        fs.promises.rm(filePath(callSid), { force: true })
+      ));
+    }
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * redisStore.js
+ * -------------
+ * Conversation store in Redis, on the cacheService connection. Each call's
+ * messages are a list (RPUSH per message), its details a JSON string, and
+ * sorted sets index calls by phone number and by last activity.
+ */
+
+import { getRedisClient } from '../cacheService.js';
+
+const PREFIX = 'conversation';
+const ACTIVITY_INDEX = `${PREFIX}:index`;
+
+/**
+ * Create a Redis conversation store.
+ * @returns {Object} Conversation store
+ * @throws {Error} If Redis isn't connected
+ */
+export function createRedisConversationStore() {
+  const client = getRedisClient();
+  if (!client) {
+    throw new Error('Redis is not connected (check REDIS_URL)');
+  }
+
+  const messagesKey = (callSid) => `${PREFIX}:${callSid}:messages`;
+  const infoKey = (callSid) => `${PREFIX}:${callSid}:info`;
+  const phoneKey = (key) => `${PREFIX}:phone:${key}`;
+
+  const getInfo = async (callSid) => {
+    const value = await client.get(infoKey(callSid));
+    return value ? JSON.parse(value) : null;
+  };
+
+  return {
+    name: 'redis',
+
+    async appendMessage(callSid, message) {
+      await client.multi()
+        .rPush(messagesKey(callSid), JSON.stringify(message))
+        .zAdd(ACTIVITY_INDEX, { score: Date.now(), value: callSid })
+        .exec();
+    },
+
+    async getMessages(callSid) {
+      const values = await client.lRange(messagesKey(callSid), 0, -1);
+      return values.map(value => JSON.parse(value));
+    },
+
+    async saveInfo(callSid, info) {
+      const merged = { ...(await getInfo(callSid)), ...info };
+      const transaction = client.multi()
+        .set(infoKey(callSid), JSON.stringify(merged))
+        .zAdd(ACTIVITY_INDEX, { score: Date.now(), value: callSid });
+      if (info.phoneKey) {
+        transaction.zAdd(phoneKey(info.phoneKey), { score: Date.parse(merged.startedAt) || Date.now(), value: callSid });
+      }
+      await transaction.exec();
+    },
+
+    getInfo,
+
+    async findByPhoneKey(key) {
+      const callSids = await client.zRange(phoneKey(key), 0, -1);
+      const infos = await Promise.all(callSids.map(getInfo));
+      return infos.filter(Boolean);
+    },
+
+    async listConversations() {
+      const entries = await client.zRangeWithScores(ACTIVITY_INDEX, 0, -1);
+      return entries.map(({ value, score }) => ({ callSid: value, updatedAt: new Date(score).toISOString() }));
+    },
+
+    async removeConversation(callSid) {
+      const info = await getInfo(callSid);
+      const transaction = client.multi()
+        .del([messagesKey(callSid), infoKey(callSid)])
+        .zRem(ACTIVITY_INDEX, callSid);
+      if (info?.phoneKey) {
+        transaction.zRem(phoneKey(info.phoneKey), callSid);
+      }
+      await transaction.exec();
+    }
+  };
+}
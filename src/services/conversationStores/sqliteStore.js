@@ -0,0 +1,122 @@
+/**
+ * sqliteStore.js
+ * --------------
+ * Conversation store in a SQLite database (better-sqlite3, installed
+ * separately: npm install better-sqlite3). Messages are appended as rows;
+ * call details are kept in a conversations table indexed by phone number.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    call_sid TEXT PRIMARY KEY,
+    phone_key TEXT,
+    info TEXT NOT NULL DEFAULT '{}',
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS conversations_phone_key ON conversations (phone_key);
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_sid TEXT NOT NULL,
+    message TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_call_sid ON messages (call_sid, id);
+`;
+
+/**
+ * Create a SQLite conversation store.
+ * @param {Object} [options] - Options
+ * @param {string} [options.file] - Database file (defaults to CONVERSATION_SQLITE_PATH or DATA_DIR/conversations.db)
+ * @returns {Promise<Object>} Conversation store
+ * @throws {Error} If better-sqlite3 isn't installed
+ */
+export async function createSqliteConversationStore({
+  file = process.env.CONVERSATION_SQLITE_PATH || path.join(process.env.DATA_DIR || 'data', 'conversations.db')
+} = {}) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('The sqlite conversation store needs better-sqlite3 (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    insertMessage: db.prepare('INSERT INTO messages (call_sid, message) VALUES (?, ?)'),
+    touch: db.prepare(`
+      INSERT INTO conversations (call_sid, updated_at) VALUES (?, ?)
+      ON CONFLICT (call_sid) DO UPDATE SET updated_at = excluded.updated_at
+    `),
+    selectMessages: db.prepare('SELECT message FROM messages WHERE call_sid = ? ORDER BY id'),
+    selectInfo: db.prepare('SELECT info FROM conversations WHERE call_sid = ?'),
+    upsertInfo: db.prepare(`
+      INSERT INTO conversations (call_sid, phone_key, info, updated_at) VALUES (@callSid, @phoneKey, @info, @updatedAt)
+      ON CONFLICT (call_sid) DO UPDATE SET
+        phone_key = COALESCE(excluded.phone_key, phone_key), info = excluded.info, updated_at = excluded.updated_at
+    `),
+    selectByPhone: db.prepare("SELECT info FROM conversations WHERE phone_key = ? AND info <> '{}'"),
+    selectAll: db.prepare('SELECT call_sid, updated_at FROM conversations'),
+    deleteMessages: db.prepare('DELETE FROM messages WHERE call_sid = ?'),
+    deleteConversation: db.prepare('DELETE FROM conversations WHERE call_sid = ?')
+  };
+
+  const appendMessage = db.transaction((callSid, message) => {
+    statements.insertMessage.run(callSid, JSON.stringify(message));
+    statements.touch.run(callSid, Date.now());
+  });
+  const removeConversation = db.transaction((callSid) => {
+    statements.deleteMessages.run(callSid);
+    statements.deleteConversation.run(callSid);
+  });
+
+  const getInfo = async (callSid) => {
+    const row = statements.selectInfo.get(callSid);
+    const info = row ? JSON.parse(row.info) : null;
+    return info && Object.keys(info).length > 0 ? info : null;
+  };
+
+  return {
+    name: 'sqlite',
+
+    async appendMessage(callSid, message) {
+      appendMessage(callSid, message);
+    },
+
+    async getMessages(callSid) {
+      return statements.selectMessages.all(callSid).map(row => JSON.parse(row.message));
+    },
+
+    async saveInfo(callSid, info) {
+      const merged = { ...(await getInfo(callSid)), ...info };
+      statements.upsertInfo.run({
+        callSid,
+        phoneKey: info.phoneKey || null,
+        info: JSON.stringify(merged),
+        updatedAt: Date.now()
+      });
+    },
+
+    getInfo,
+
+    async findByPhoneKey(phoneKey) {
+      return statements.selectByPhone.all(phoneKey).map(row => JSON.parse(row.info));
+    },
+
+    async listConversations() {
+      return statements.selectAll.all().map(row => ({
+        callSid: row.call_sid,
+        updatedAt: new Date(row.updated_at).toISOString()
+      }));
+    },
+
+    async removeConversation(callSid) {
+      removeConversation(callSid);
+    }
+  };
+}
@@ -29,17 +29,43 @@ function initializeDeepgramClient() {
 // Initialize the Deepgram client
 const deepgram = initializeDeepgramClient();
 
+// Output formats understood by the Deepgram speak endpoint
+const AUDIO_FORMATS = {
+  // Full WAV file served to Twilio <Play>
+  wav: { encoding: 'linear16', container: 'wav' },
+  // MP3, also playable by Twilio <Play> and much smaller
+  mp3: { encoding: 'mp3' },
+  // Raw 8kHz μ-law frames written straight onto a Twilio media stream
+  mulaw: { encoding: 'mulaw', sample_rate: 8000, container: 'none' }
+};
+
+/**
+ * Returns the shared Deepgram client (used by the streaming STT provider).
+ * @returns {Object} - The initialized Deepgram client.
+ */
+export function getDeepgramClient() {
+  return deepgram;
+}
+
 /**
  * Synthesizes speech from text using Deepgram's text-to-speech API.
  * @param {string} text - The text to convert to speech.
- * @returns {Promise<Buffer>} - A buffer containing the audio data in WAV format.
+ * @param {Object} [options] - Synthesis options.
+ * @param {string} [options.format='wav'] - Output format, one of the keys of AUDIO_FORMATS.
+ * @param {string} [options.model='aura-asteria-en'] - Deepgram voice model.
+ * @returns {Promise<Buffer>} - A buffer containing the audio data in the requested format.
  * @throws {Error} - Throws an error if the synthesis fails or input is invalid.
  */
-export async function synthesizeSpeech(text) {
+export async function synthesizeSpeech(text, options = {}) {
+  const format = options.format || 'wav';
+  const model = options.model || 'aura-asteria-en';
+
   // Log the start of the speech synthesis process
   logger.info('Starting speech synthesis via Deepgram TTS', {
     inputText: text,
     textLength: text?.length || 0,
+    format,
+    model,
     timestamp: new Date().toISOString(),
   });
 
@@ -52,15 +78,16 @@ export async function synthesizeSpeech(text) {
     throw new Error('Text input must be a non-empty string');
   }
 
+  if (!AUDIO_FORMATS[format]) {
+    throw new Error(`Unsupported audio format: ${format}`);
+  }
+
   try {
     // Use direct HTTP fetch to call Deepgram REST TTS endpoint
-    logger.debug('Sending text-to-speech HTTP request to Deepgram', {
-      model: 'aura-asteria-en',
-      encoding: 'linear16',
-      container: 'wav',
-    });
+    const params = new URLSearchParams({ model, ...AUDIO_FORMATS[format] });
+    logger.debug('Sending text-to-speech HTTP request to Deepgram', Object.fromEntries(params));
 
-    const url = `https://api.deepgram.com/v1/speak?model=aura-asteria-en&encoding=linear16&container=wav`;
+    const url = `https://api.deepgram.com/v1/speak?${params.toString()}`;
     const resp = await fetch(url, {
       method: 'POST',
       headers: {
@@ -0,0 +1,140 @@
+/**
+ * embeddingService.js
+ * -------------------
+ * Pluggable text embeddings. EMBEDDING_MODEL picks provider:model (e.g.
+ * gemini:text-embedding-004 or local); if the provider can't be created the
+ * deterministic local embedder is used instead. Vectors are cached by
+ * embedder and content, so re-indexing unchanged text costs nothing.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { getCache, setCache, generateCacheKey, TTL } from './cacheService.js';
+import { createGeminiEmbedder } from './embeddings/geminiEmbedder.js';
+import { createLocalEmbedder } from './embeddings/localEmbedder.js';
+
+const CACHE_PREFIX = 'embedding';
+// Query embeddings sit on the live reply path, so they get a short deadline
+const DEFAULT_QUERY_TIMEOUT_MS = 2000;
+
+// Registered embedders, keyed by name
+const embedders = new Map([
+  ['gemini', createGeminiEmbedder],
+  ['local', createLocalEmbedder]
+]);
+
+let embedder = null;
+
+/**
+ * Register an additional embedder.
+ * @param {string} name - Provider name used in EMBEDDING_MODEL
+ * @param {Function} factory - Receives a model name and returns { id, embed(texts, { type, signal }) }
+ */
+export function registerEmbedder(name, factory) {
+  embedders.set(name, factory);
+  logger.info('Registered embedder', { name });
+}
+
+/**
+ * The configured embedder, created on first use
+ * @returns {Object} Embedder
+ */
+function getEmbedder() {
+  if (embedder) return embedder;
+
+  const configured = process.env.EMBEDDING_MODEL || (process.env.GEMINI_API_KEY ? 'gemini:text-embedding-004' : 'local');
+  const [provider, ...model] = configured.split(':');
+  try {
+    const factory = embedders.get(provider);
+    if (!factory) {
+      throw new Error(`Unknown embedder: ${provider}`);
+    }
+    embedder = factory(model.join(':'));
+  } catch (error) {
+    logger.error('Embedder unavailable, using the local embedder', { embedder: configured, error: error.message });
+    embedder = createLocalEmbedder();
+  }
+  logger.info('Embedder ready', { embedder: embedder.id });
+  return embedder;
+}
+
+/**
+ * Id of the embedder in use (vectors from different embedders can't be compared)
+ * @returns {string} provider:model
+ */
+export function getEmbedderId() {
+  return getEmbedder().id;
+}
+
+/**
+ * Cache key for one text's vector
+ * @param {string} id - Embedder id
+ * @param {string} type - 'document' or 'query'
+ * @param {string} text - Embedded text
+ * @returns {string} Cache key
+ */
+function embeddingCacheKey(id, type, text) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([id, type, text])).digest('hex').slice(0, 32);
+  return generateCacheKey(CACHE_PREFIX, hash);
+}
+
+/**
+ * Embed texts, reusing cached vectors and embedding only the rest
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} [options] - Options
+ * @param {string} [options.type='document'] - 'document' for indexed content, 'query' for searches
+ * @param {AbortSignal} [options.signal] - Aborts the embedder's request
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+export async function embedTexts(texts, { type = 'document', signal } = {}) {
+  const current = getEmbedder();
+  const keys = texts.map(text => embeddingCacheKey(current.id, type, text));
+  const vectors = await Promise.all(keys.map(key => getCache(key)));
+
+  const missing = vectors.map((vector, i) => (vector ? null : i)).filter(i => i !== null);
+  if (missing.length > 0) {
+    const startTime = Date.now();
+    const computed = await current.embed(missing.map(i => texts[i]), { type, signal });
+    await Promise.all(missing.map((textIndex, i) => {
+      vectors[textIndex] = computed[i];
+      return setCache(keys[textIndex], computed[i], TTL.EMBEDDING);
+    }));
+    logger.info('Computed embeddings', {
+      embedder: current.id,
+      type,
+      computed: missing.length,
+      cached: texts.length - missing.length,
+      latencyMs: Date.now() - startTime
+    });
+  }
+  return vectors;
+}
+
+/**
+ * Embed a search query, giving up after EMBEDDING_TIMEOUT_MS so a slow
+ * embedding API can't hold up the caller's reply
+ * @param {string} query - Query text
+ * @returns {Promise<Array<number>>} Query vector
+ * @throws {Error} With timedOut set if the embedder doesn't answer in time
+ */
+export async function embedQuery(query) {
+  const timeoutMs = Number(process.env.EMBEDDING_TIMEOUT_MS) || DEFAULT_QUERY_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Query embedding timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    const [vector] = await Promise.race([embedTexts([query], { type: 'query', signal: controller.signal }), timeout]);
+    return vector;
+  } finally {
+    clearTimeout(timer);
+  }
+}
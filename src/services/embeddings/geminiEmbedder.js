@@ -0,0 +1,53 @@
+/**
+ * geminiEmbedder.js
+ * -----------------
+ * Google Gemini text embeddings (text-embedding-004 by default). Documents
+ * and queries are embedded with their own task types, as Gemini recommends
+ * for retrieval.
+ */
+
+import { GoogleGenerativeAI, TaskType } from '@google/generative-ai';
+
+const DEFAULT_MODEL = 'text-embedding-004';
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Create a Gemini embedder.
+ * @param {string} [modelName] - Embedding model
+ * @returns {Object} Embedder with id and embed(texts, options)
+ * @throws {Error} If GEMINI_API_KEY is not set
+ */
+export function createGeminiEmbedder(modelName = DEFAULT_MODEL) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required but not set');
+  }
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName || DEFAULT_MODEL });
+
+  return {
+    id: `gemini:${modelName || DEFAULT_MODEL}`,
+
+    /**
+     * Embed a batch of texts
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} [options] - Options
+     * @param {string} [options.type='document'] - 'document' or 'query'
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts, { type = 'document', signal } = {}) {
+      const taskType = type === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+        const { embeddings } = await model.batchEmbedContents({
+          requests: texts.slice(i, i + MAX_BATCH_SIZE).map(text => ({
+            content: { role: 'user', parts: [{ text }] },
+            taskType
+          }))
+        }, { signal });
+        vectors.push(...embeddings.map(embedding => embedding.values));
+      }
+      return vectors;
+    }
+  };
+}
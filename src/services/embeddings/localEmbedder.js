@@ -0,0 +1,76 @@
+/**
+ * localEmbedder.js
+ * ----------------
+ * Deterministic local embedder for tests and offline development. Words and
+ * their character trigrams are hashed into a fixed number of dimensions
+ * (feature hashing), so texts sharing words or word parts ("analyst"/
+ * "analytics") land close together. No network, and the same text always gives the same
+ * vector.
+ */
+
+import { tokenize } from '../../utils/vectorIndex.js';
+
+const DEFAULT_DIMENSIONS = 256;
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed one text
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {Array<number>} Unit-length vector (all zeros for text without words)
+ */
+function embedText(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const add = (feature, weight) => {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so unrelated features cancel out rather than pile up
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  for (const word of tokenize(text)) {
+    add(`w:${word}`, 1);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create a local embedder.
+ * @param {string} [model] - Number of dimensions (defaults to 256)
+ * @returns {Object} Embedder with id and embed(texts, options)
+ */
+export function createLocalEmbedder(model) {
+  const dimensions = Number(model) || DEFAULT_DIMENSIONS;
+
+  return {
+    id: `local:${dimensions}`,
+
+    /**
+     * Embed a batch of texts
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+      return texts.map(text => embedText(text, dimensions));
+    }
+  };
+}
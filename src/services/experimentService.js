@@ -0,0 +1,296 @@
+/**
+ * experimentService.js
+ * --------------------
+ * A/B experiments on how calls open and sound. An experiment holds weighted
+ * variants, each of which may set its own greeting text, persona (and so
+ * its prompt templates) and TTS voice. While an experiment is running,
+ * /start assigns every CallSid a variant, deterministically, so a retried
+ * webhook lands in the same arm. The assignment is kept on the call record
+ * next to its outcome and the report compares the variants on bookings,
+ * call duration and opt-outs. Experiments are persisted under
+ * data/experiments.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { writeJson, readAllJson } from '../utils/jsonFileStore.js';
+import { listCallRecords } from './callLifecycleService.js';
+import { listBookings } from './bookingService.js';
+import { OPT_OUT_DISPOSITION } from './suppressionService.js';
+import { isMachine } from './voicemailService.js';
+import { validateVoice } from './ttsService.js';
+import { validatePersona } from './promptTemplateService.js';
+
+const EXPERIMENTS_DIR = 'experiments';
+
+const EXPERIMENT_STATUS = {
+  DRAFT: 'draft',
+  RUNNING: 'running',
+  STOPPED: 'stopped'
+};
+
+// Experiments loaded in this process, keyed by id
+const experiments = new Map();
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode property
+ */
+function experimentError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Persist an experiment to disk
+ * @param {Object} experiment - Experiment record
+ */
+async function saveExperiment(experiment) {
+  experiment.updatedAt = new Date().toISOString();
+  await writeJson(`${EXPERIMENTS_DIR}/${experiment.id}.json`, experiment);
+}
+
+/**
+ * Build a variant record from request input
+ * @param {Object} input - Variant from the request body
+ * @returns {Object} Variant record
+ */
+function createVariant(input) {
+  const { name, weight = 1, greeting, persona, voice } = input || {};
+  if (!name || typeof name !== 'string') {
+    throw experimentError(400, 'Every variant needs a name');
+  }
+  if (!(Number(weight) > 0)) {
+    throw experimentError(400, `Variant "${name}" needs a positive weight`);
+  }
+  if (greeting !== undefined && greeting !== null && (typeof greeting !== 'string' || !greeting.trim())) {
+    throw experimentError(400, `Variant "${name}" greeting must be non-empty template text`);
+  }
+  validatePersona(persona);
+  validateVoice(voice);
+
+  return {
+    name,
+    weight: Number(weight),
+    greeting: greeting || null,
+    persona: persona || null,
+    voice: voice || null
+  };
+}
+
+/**
+ * Look up an experiment or throw a 404
+ * @param {string} id - Experiment id
+ * @returns {Object} Experiment record
+ */
+function requireExperiment(id) {
+  const experiment = experiments.get(id);
+  if (!experiment) {
+    throw experimentError(404, `Experiment not found: ${id}`);
+  }
+  return experiment;
+}
+
+/**
+ * The experiment calls are currently assigned to
+ * @returns {Object|null} Running experiment
+ */
+function getRunningExperiment() {
+  return Array.from(experiments.values()).find(e => e.status === EXPERIMENT_STATUS.RUNNING) || null;
+}
+
+/**
+ * Create a new experiment in draft state
+ * @param {Object} input - Experiment definition
+ * @param {string} input.name - Experiment name
+ * @param {Array} input.variants - Variants ({ name, weight, greeting, persona, voice })
+ * @returns {Promise<Object>} Experiment
+ */
+export async function createExperiment({ name, variants } = {}) {
+  if (!name) {
+    throw experimentError(400, 'Experiment name is required');
+  }
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw experimentError(400, 'Experiment needs at least two variants');
+  }
+
+  const records = variants.map(createVariant);
+  const names = new Set(records.map(variant => variant.name));
+  if (names.size !== records.length) {
+    throw experimentError(400, 'Variant names must be unique');
+  }
+
+  const now = new Date().toISOString();
+  const experiment = {
+    id: crypto.randomUUID(),
+    name,
+    status: EXPERIMENT_STATUS.DRAFT,
+    variants: records,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    stoppedAt: null
+  };
+
+  experiments.set(experiment.id, experiment);
+  await saveExperiment(experiment);
+  logger.info('Experiment created', { experimentId: experiment.id, name, variants: records.map(v => v.name) });
+  return experiment;
+}
+
+/**
+ * List all experiments
+ * @returns {Array} Experiments
+ */
+export function listExperiments() {
+  return Array.from(experiments.values());
+}
+
+/**
+ * Get an experiment
+ * @param {string} id - Experiment id
+ * @returns {Object} Experiment
+ */
+export function getExperiment(id) {
+  return requireExperiment(id);
+}
+
+/**
+ * Start assigning calls to an experiment. Only one runs at a time, so a
+ * call's outcome can be put down to a single variant.
+ * @param {string} id - Experiment id
+ * @returns {Promise<Object>} Experiment
+ */
+export async function startExperiment(id) {
+  const experiment = requireExperiment(id);
+  if (experiment.status !== EXPERIMENT_STATUS.DRAFT) {
+    throw experimentError(409, `Cannot start an experiment that is ${experiment.status}`);
+  }
+  const running = getRunningExperiment();
+  if (running) {
+    throw experimentError(409, `Experiment ${running.id} is already running; stop it first`);
+  }
+
+  experiment.status = EXPERIMENT_STATUS.RUNNING;
+  experiment.startedAt = new Date().toISOString();
+  await saveExperiment(experiment);
+  logger.info('Experiment state changed', { experimentId: id, status: experiment.status });
+  return experiment;
+}
+
+/**
+ * Stop assigning calls to an experiment; its results stay reportable
+ * @param {string} id - Experiment id
+ * @returns {Promise<Object>} Experiment
+ */
+export async function stopExperiment(id) {
+  const experiment = requireExperiment(id);
+  if (experiment.status !== EXPERIMENT_STATUS.RUNNING) {
+    throw experimentError(409, `Cannot stop an experiment that is ${experiment.status}`);
+  }
+
+  experiment.status = EXPERIMENT_STATUS.STOPPED;
+  experiment.stoppedAt = new Date().toISOString();
+  await saveExperiment(experiment);
+  logger.info('Experiment state changed', { experimentId: id, status: experiment.status });
+  return experiment;
+}
+
+/**
+ * Assign a call to a variant of the running experiment. The pick is a hash
+ * of the experiment id and CallSid mapped onto the cumulative weights, so
+ * the same call always gets the same variant.
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Object|null} { id, name, variant, greeting, persona, voice }, or null when no experiment is running
+ */
+export function assignVariant(callSid) {
+  const experiment = getRunningExperiment();
+  if (!experiment || !callSid) return null;
+
+  const digest = crypto.createHash('sha256').update(`${experiment.id}:${callSid}`).digest('hex');
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (parseInt(digest.slice(0, 8), 16) / 0x100000000) * total;
+
+  const variant = experiment.variants.find(candidate => (point -= candidate.weight) < 0)
+    || experiment.variants[experiment.variants.length - 1];
+
+  logger.info('Experiment variant assigned', { callSid, experimentId: experiment.id, variant: variant.name });
+  return {
+    id: experiment.id,
+    name: experiment.name,
+    variant: variant.name,
+    greeting: variant.greeting,
+    persona: variant.persona,
+    voice: variant.voice
+  };
+}
+
+/**
+ * Ratio rounded for reporting
+ * @param {number} count - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} Ratio to 4 places, or null with nothing to divide by
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Compare an experiment's variants. Calls answered by a machine never
+ * heard the variant and are left out; rates are over calls that have ended.
+ * @param {string} id - Experiment id
+ * @returns {Promise<Object>} { experiment, variants: [{ variant, weight, calls, ended, bookings, bookingRate,
+ *   averageDurationSeconds, optOuts, optOutRate }] }
+ */
+export async function getExperimentReport(id) {
+  const experiment = requireExperiment(id);
+  const [records, bookings] = await Promise.all([listCallRecords(), listBookings()]);
+  const booked = new Set(bookings.map(booking => booking.callSid));
+
+  const stats = new Map(experiment.variants.map(variant => [variant.name, {
+    variant: variant.name,
+    weight: variant.weight,
+    calls: 0,
+    ended: 0,
+    bookings: 0,
+    totalDuration: 0,
+    optOuts: 0
+  }]));
+
+  for (const record of records) {
+    if (record.experiment?.id !== id || isMachine(record.answeredBy)) continue;
+    const variant = stats.get(record.experiment.variant);
+    if (!variant) continue;
+
+    variant.calls++;
+    if (!record.completedAt) continue;
+    variant.ended++;
+    variant.totalDuration += Number(record.duration) || 0;
+    if (booked.has(record.callSid)) variant.bookings++;
+    if (record.disposition === OPT_OUT_DISPOSITION) variant.optOuts++;
+  }
+
+  return {
+    experiment,
+    variants: Array.from(stats.values()).map(({ totalDuration, ...variant }) => ({
+      ...variant,
+      bookingRate: rate(variant.bookings, variant.ended),
+      averageDurationSeconds: variant.ended > 0 ? Math.round(totalDuration / variant.ended) : null,
+      optOutRate: rate(variant.optOuts, variant.ended)
+    }))
+  };
+}
+
+/**
+ * Load persisted experiments after a restart
+ */
+export async function loadExperiments() {
+  const stored = await readAllJson(EXPERIMENTS_DIR);
+  stored.forEach(experiment => experiments.set(experiment.id, experiment));
+
+  const running = getRunningExperiment();
+  logger.info('Loaded experiments', { total: stored.length, running: running?.id || null });
+}
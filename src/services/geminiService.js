@@ -1,37 +1,174 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { SchemaType } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
+import { STATES, REPLY_STATES } from '../utils/conversationStateManager.js';
 import { getCache, setCache, generateCacheKey, TTL } from './cacheService.js';
 import { getRelevantChunks, formatChunksForContext } from './knowledgeBaseService.js';
+import { generateText, streamText } from './llmService.js';
+import { SLOTS } from './bookingService.js';
+import { renderTemplate, getPhaseTemplate } from './promptTemplateService.js';
+import { getPrompt } from './promptLibraryService.js';
+import { findUngroundedFacts, findCitedChunks } from './groundingService.js';
+import { splitSentences } from '../utils/sentences.js';
 
-// Initialize Gemini client with error handling
-let genAI = null;
-let model = null;
+// Lead details shown to the model, and the conversation metadata fields that hold them
+const LEAD_FIELDS = {
+  'Name': 'name',
+  'Program Interested': 'programInterested',
+  'Source': 'source',
+  'Working Status': 'workingStatus',
+  'Current Role': 'currentRole',
+  'Work Experience': 'workExperience',
+  'Day': 'day'
+};
 
-try {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY is required but not set');
+// What the model is trying to do with a reply
+const INTENTS = ['greeting', 'question', 'answer', 'objection_handling', 'pitch', 'booking', 'confirmation', 'small_talk', 'closing', 'other'];
+
+// Details the model may pull out of the caller's turn
+const SLOT_FIELDS = ['name', 'email', 'workshopSlot', 'currentRole', 'workingStatus', 'workExperience', 'programInterested'];
+
+// JSON envelope the model must return for every reply
+const REPLY_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    text: { type: SchemaType.STRING, description: 'Exactly what the agent says aloud next' },
+    intent: { type: SchemaType.STRING, enum: INTENTS, description: 'What this reply is doing' },
+    nextState: { type: SchemaType.STRING, enum: REPLY_STATES, description: 'Conversation state after this reply' },
+    slots: {
+      type: SchemaType.OBJECT,
+      description: 'Details the caller has shared so far; omit anything unknown',
+      properties: Object.fromEntries(SLOT_FIELDS.map(field => [field, { type: SchemaType.STRING }]))
+    },
+    endCall: { type: SchemaType.BOOLEAN, description: 'True once the conversation is over and the call should end' },
+    citations: {
+      type: SchemaType.ARRAY,
+      items: { type: SchemaType.STRING },
+      description: 'IDs of the knowledge base entries this reply relies on'
+    }
+  },
+  required: ['text', 'intent', 'nextState', 'endCall']
+};
+
+const STRUCTURED_OUTPUT_INSTRUCTIONS = `OUTPUT FORMAT:
+Reply with a single JSON object, no markdown:
+- "text": exactly what you say aloud next (plain speech, no formatting)
+- "intent": one of ${INTENTS.join(', ')}
+- "nextState": one of ${REPLY_STATES.join(', ')} (use "booking" while locking in a slot or email, "closing" when wrapping up)
+- "slots": any of ${SLOT_FIELDS.join(', ')} the caller has told you (omit unknown ones)
+- "endCall": true only when the conversation is finished and you have said goodbye
+- "citations": the IDs (the part in square brackets before the colon, e.g. "fees.md#2") of the Knowledge Base Context entries your reply relies on; empty if none`;
+
+
+/**
+ * Wrap a free-text reply in the envelope shape (used when structured output fails)
+ * @param {string} text - Reply text
+ * @returns {Object} Reply envelope
+ */
+function toFreeTextEnvelope(text) {
+  return { text, intent: 'other', nextState: null, slots: {}, endCall: false, structured: false };
+}
+
+/**
+ * Parse and validate a structured reply from the model
+ * @param {string} raw - Raw response text
+ * @returns {Object|null} Reply envelope, or null if it is malformed
+ */
+function parseReplyEnvelope(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return null;
   }
-  genAI = new GoogleGenerativeAI(apiKey);
-  
-  // Try different model names in order of preference
-  const modelNames = ['gemini-2.0-flash-exp', 'gemini-2.0-flash', 'gemini-1.5-flash', 'gemini-pro'];
-  
-  for (const modelName of modelNames) {
+
+  if (!parsed || typeof parsed !== 'object') return null;
+  if (typeof parsed.text !== 'string' || !parsed.text.trim()) return null;
+  if (!INTENTS.includes(parsed.intent)) return null;
+  if (!REPLY_STATES.includes(parsed.nextState)) return null;
+  if (typeof parsed.endCall !== 'boolean') return null;
+
+  const slots = {};
+  for (const field of SLOT_FIELDS) {
+    if (typeof parsed.slots?.[field] === 'string' && parsed.slots[field].trim()) {
+      slots[field] = parsed.slots[field].trim();
+    }
+  }
+
+  return {
+    text: parsed.text.trim(),
+    intent: parsed.intent,
+    nextState: parsed.nextState,
+    slots,
+    endCall: parsed.endCall,
+    citations: Array.isArray(parsed.citations) ? parsed.citations.filter(id => typeof id === 'string') : [],
+    structured: true
+  };
+}
+
+/**
+ * Every value in the lead's metadata, nested ones included, as text
+ * @param {Object} metadata - Lead metadata
+ * @returns {Array<string>} Values
+ */
+function metadataValues(metadata) {
+  return Object.values(metadata || {}).flatMap(value => {
+    if (value === null || value === undefined) return [];
+    return typeof value === 'object' ? metadataValues(value) : [String(value)];
+  });
+}
+
+/**
+ * Text a reply may take figures from: the retrieved chunks, the persona's
+ * pricing and schedule, the lead's metadata and everything the caller has
+ * said, this turn included, so reading a phone number or a preferred time
+ * back is fine. The agent's own earlier lines don't count, so a figure the
+ * model made up can't ground itself by being repeated.
+ * @param {Object} parts - Prompt parts
+ * @param {string} parts.query - The caller's latest utterance
+ * @param {Array} parts.history - Conversation history
+ * @param {Object} parts.metadata - Lead metadata (picks the persona and fills its templates)
+ * @param {Array} parts.chunks - Retrieved knowledge base chunks
+ * @returns {Array<string>} Source texts
+ */
+function getGroundingSources({ query, history, metadata, chunks }) {
+  const persona = (template) => {
     try {
-      model = genAI.getGenerativeModel({ model: modelName });
-      logger.info(`Gemini client initialized successfully with model: ${modelName}`);
-      break;
-    } catch (modelError) {
-      logger.warn(`Failed to initialize model ${modelName}`, { error: modelError.message });
-      if (modelName === modelNames[modelNames.length - 1]) {
-        throw new Error('All Gemini models failed to initialize');
-      }
+      return renderTemplate(metadata.persona, template, metadata);
+    } catch (error) {
+      return '';
     }
+  };
+  return [
+    ...chunks.map(chunk => chunk.content),
+    persona('pricing'),
+    persona('schedule'),
+    ...metadataValues(metadata),
+    ...history.filter(message => message.role === 'user').map(message => message.content),
+    query
+  ];
+}
+
+/**
+ * Check a reply envelope against its sources and record which chunks it
+ * drew on. A reply quoting figures none of the sources mention is swapped
+ * for the "I'll check with my team" line.
+ * @param {Object} response - Reply envelope
+ * @param {Object} turn - The prompt's chunks and grounding sources
+ * @returns {Object} Envelope with sources ({ retrieved, cited }) and flagged figures
+ */
+function groundReply(response, { chunks, groundingSources }) {
+  const { citations = [], ...reply } = response;
+  const retrieved = chunks.map(chunk => chunk.id);
+  const flagged = findUngroundedFacts(reply.text, groundingSources);
+  if (flagged.length > 0) {
+    logger.warn('Reply quoted figures not found in its sources', { flagged, text: reply.text });
+    return { ...reply, text: getPrompt('checkWithTeam'), sources: { retrieved, cited: [] }, flagged };
   }
-} catch (error) {
-  logger.error('Failed to initialize Gemini client', { error: error.message });
-  // Don't throw here, let the service handle missing client gracefully
+
+  const cited = reply.structured
+    ? citations.filter(id => retrieved.includes(id))
+    : findCitedChunks(reply.text, chunks);
+  return { ...reply, sources: { retrieved, cited }, flagged: [] };
 }
 
 // Initialize response cache
@@ -42,21 +179,27 @@ const CACHE_TTL = TTL.RESPONSE;
  * Generate cache key for response
  * @param {string} query - User query
  * @param {Array} history - Conversation history
+ * @param {Object} metadata - Lead metadata the prompt was personalized with
+ * @param {string} [state] - Conversation state the prompt was picked for
  * @returns {string} Cache key
  */
-function generateResponseCacheKey(query, history) {
+function generateResponseCacheKey(query, history, metadata = {}, state) {
   const historyString = history.map(h => `${h.role}:${h.content}`).join('|');
-  return `${query}|${historyString}`;
+  const leadString = Object.values(LEAD_FIELDS).map(field => metadata[field] || '').join('|');
+  const { persona, version, hash } = metadata.promptTemplate || {};
+  return `${persona || metadata.persona || ''}@${version || ''}:${hash || ''}|${state || ''}|${query}|${historyString}|${leadString}`;
 }
 
 /**
  * Get cached response
  * @param {string} query - User query
  * @param {Array} history - Conversation history
- * @returns {string|null} Cached response or null
+ * @param {Object} metadata - Lead metadata
+ * @param {string} [state] - Conversation state
+ * @returns {Object|null} Cached reply envelope or null
  */
-function getCachedResponse(query, history) {
-  const key = generateResponseCacheKey(query, history);
+function getCachedResponse(query, history, metadata, state) {
+  const key = generateResponseCacheKey(query, history, metadata, state);
   const cached = responseCache.get(key);
   
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
@@ -71,10 +214,12 @@ function getCachedResponse(query, history) {
  * Cache response
  * @param {string} query - User query
  * @param {Array} history - Conversation history
- * @param {string} response - AI response
+ * @param {Object} metadata - Lead metadata
+ * @param {string} state - Conversation state
+ * @param {Object} response - AI reply envelope
  */
-function cacheResponse(query, history, response) {
-  const key = generateResponseCacheKey(query, history);
+function cacheResponse(query, history, metadata, state, response) {
+  const key = generateResponseCacheKey(query, history, metadata, state);
   responseCache.set(key, {
     response,
     timestamp: Date.now()
@@ -95,133 +240,199 @@ function formatHistory(history) {
     .join('\n');
 }
 
+/**
+ * Describe the lead for the prompt
+ * @param {Object} metadata - Lead metadata
+ * @returns {string} Lead profile section
+ */
+function formatLeadProfile(metadata) {
+  const known = Object.entries(LEAD_FIELDS)
+    .filter(([, field]) => metadata[field])
+    .map(([placeholder, field]) => `- ${placeholder}: ${metadata[field]}`);
+
+  return `LEAD PROFILE:
+${known.length > 0 ? known.join('\n') : '- Nothing known yet'}
+Anything not listed is unknown—never guess it; ask naturally or leave it out.`;
+}
+
+/**
+ * Describe the booking so far for the booking prompt
+ * @param {Object|null} booking - Booking draft from the conversation state
+ * @returns {string} Booking section
+ */
+function formatBookingDraft(booking) {
+  const slot = booking?.slot ? `${SLOTS[booking.slot]?.label || booking.slot}${booking.slotConfirmed ? ' (confirmed)' : ' (not confirmed yet)'}` : 'not chosen yet';
+  const email = booking?.email ? `${booking.email}${booking.emailConfirmed ? ' (confirmed)' : ' (not confirmed yet)'}` : 'not given yet';
+  return `BOOKING SO FAR:
+- Slot: ${slot}
+- Email: ${email}`;
+}
+
+/**
+ * Build the full LLM prompt for a user turn
+ * @param {string} query - User query
+ * @param {Array} history - Conversation history
+ * @param {Object} metadata - Lead metadata that fills the template (metadata.persona picks the persona)
+ * @param {Object} [options] - Prompt options
+ * @param {boolean} [options.structured=false] - Ask for the JSON reply envelope instead of plain text
+ * @param {string} [options.state] - Conversation state, which picks the template
+ * @param {Object} [options.booking] - Booking draft, for the booking prompt
+ * @returns {Promise<{prompt: string, chunks: Array, groundingSources: Array<string>}>} Prompt text,
+ *   the chunks it was given and the text its reply may take figures from
+ */
+async function buildPrompt(query, history, metadata, { structured = false, state, booking = null } = {}) {
+  // Get relevant knowledge base chunks in parallel with other operations
+  const [relevantChunks, formattedHistory] = await Promise.all([
+    getRelevantChunks(query),
+    formatHistory(history)
+  ]);
+
+  const context = formatChunksForContext(relevantChunks);
+  
+  metadata = {
+    day: new Date().toLocaleDateString('en-US', { weekday: 'long' }),
+    ...metadata
+  };
+
+  const turn = {
+    chunks: relevantChunks,
+    groundingSources: getGroundingSources({ query, history, metadata, chunks: relevantChunks })
+  };
+
+  // The persona's template for this phase, filled from the lead's metadata
+  const prompt = renderTemplate(metadata.persona, getPhaseTemplate(state), {
+    ...metadata,
+    query,
+    context,
+    history: formattedHistory,
+    firstTurn: history.length <= 1,
+    leadProfile: formatLeadProfile(metadata),
+    bookingDraft: formatBookingDraft(booking),
+    outputFormat: structured ? STRUCTURED_OUTPUT_INSTRUCTIONS : ''
+  });
+
+  return { ...turn, prompt };
+}
+
 /**
  * Generate AI reply with context
  * @param {string} query - User query
  * @param {Array} history - Conversation history
- * @returns {Promise<string>} AI response
+ * @param {Object} metadata - Lead metadata (name, programInterested, source, day, ...)
+ * @param {Object} [options] - Conversation context
+ * @param {string} [options.state] - Conversation state; BOOKING and CLOSING get focused prompts
+ * @param {Object} [options.booking] - Booking draft for the booking prompt
+ * @returns {Promise<Object>} Reply envelope: { text, intent, nextState, slots, endCall, structured,
+ *   sources: { retrieved, cited }, flagged }
  */
-export async function generateReply(query, history = []) {
+export async function generateReply(query, history = [], metadata = {}, { state, booking } = {}) {
   try {
-    // Check if Gemini is available
-    if (!model) {
-      logger.error('Gemini model not available');
-      return 'I apologize, but I am currently unable to process your request. Please try again later.';
-    }
-
     // Check cache first
-    const cachedResponse = getCachedResponse(query, history);
+    const cachedResponse = getCachedResponse(query, history, metadata, state);
     if (cachedResponse) {
       return cachedResponse;
     }
 
-    // Get relevant knowledge base chunks in parallel with other operations
-    const [relevantChunks, formattedHistory] = await Promise.all([
-      getRelevantChunks(query),
-      formatHistory(history)
-    ]);
-
-    const context = formatChunksForContext(relevantChunks);
-    
-    // Check if this is the first interaction (no history)
-    const isFirstInteraction = history.length <= 1;
-    
-    // Comprehensive prompt for Ritwik from Crio
-    const prompt = `You are Ritwik, a Program Advisor from Crio, engaging in natural, flowing conversations with potential learners.
-
-ULTIMATE GOAL: Nurture leads by understanding their needs and booking them into a free-trial workshop.
-
-CONVERSATIONAL STYLE: 
-- Avoid rigid scripts—adapt dynamically to the user's responses and metadata from the knowledge base
-- Listen fully to their input, responding promptly (within 2-3 seconds) after they finish
-- Use warm verbal cues like "I hear you," "That makes sense," or "Got it" to build rapport
-- Adjust tone based on their vibe—keep it casual and friendly for enthusiasts, slightly more structured for skeptics, or concise for busy folks
-- Keep responses concise and focused - avoid repeating previous statements
-- Do NOT repeat the greeting or introduction if the conversation has already started
-
-LEVERAGE THE KNOWLEDGE BASE: Use metadata (e.g., {Name}, {Working Status}, {Program Interested}, {Current Role}, {Work Experience}, {Source}, {Day}) to personalize naturally. Reference Crio program details (e.g., project-based learning, portfolio-building), success stories (e.g., learner transitions), or industry trends to make responses relevant.
-
-${isFirstInteraction ? `
-CONVERSATION FLOW:
-1. Start with a warm greeting: "Hey, hi there! Am I speaking with {Name}?"
-2. Casual intro: "Awesome to connect! I'm Ritwik from Crio Dot Do, here to chat about your next steps in tech."
-3. Hook their interest: "I saw you checked us out on {Source} recently—what caught your eye?"
-4. Set the stage: "I'd love to hear about your goals and see how our hands-on programs can fit in. We've got a free-trial workshop today that could be a cool way to kick things off."
-
-CONTEXTUALIZE WITH DAY:
-- If {Program Interested} is "Crio SkillQ - Data Analytics" or "Crio SkillQ - Full Stack Development":
-  - Mon/Tue/Wed/Thu/Fri: "Since it's {Day}, the SkillQ trial starts at **7 PM** tonight—perfect after work."
-  - Sat/Sun: "It's {Day}, so the SkillQ trial is at **2 PM**—ideal for a weekend deep dive."
-- Otherwise:
-  - Mon/Wed/Fri: "It's {Day}, so the workshop's tonight at **8:30 PM**, with an Ask-Me-Anything after."
-  - Tue/Thu: "Since it's {Day}, the workshop's at **8:30 PM** tonight—great for a quick skill boost."
-  - Sat/Sun: "It's {Day}, so we've got a **2 PM** session—perfect for weekend learning."
-` : `
-CONTINUE THE CONVERSATION:
-- Build on what they've shared
-- Ask follow-up questions to understand their needs better
-- Guide toward workshop booking naturally
-- Keep responses conversational and concise
-`}
-
-BUILD THE CONVERSATION:
-- Start with what you know: "I see you're into {Program Interested}—what sparked that interest?"
-- Reflect and explore: Respond to their answers naturally
-- Topics to weave in:
-  - "What's your professional world like right now?"
-  - "Any cool projects you've tackled in {Current Role}?"
-  - "Where do you want to take your career in the next year or two?"
-  - "What's been tricky about leveling up your skills?"
-- Connect to Crio: "Since you mentioned {skill/challenge}, our real-world projects could really help you shine."
-
-PITCH THE WORKSHOP:
-- Highlight Value: "One learner went from {similar_situation} to {achievement} with us—pretty inspiring stuff!"
-- Create Urgency: "With it being {Day}, today's workshop at [time] is a no-pressure way to test-drive our approach."
-- Reassure: "If you miss anything, we'll catch up later—I've got your back."
-
-CLOSE NATURALLY:
-- Book It: "How does the [time] workshop sound? I can lock you in!"
-- Confirm: "Sweet, you're set for {Day} at [time]. What's the best email for the details?"
-- Set Expectations: "It's about an hour—just bring a computer and internet. You'll dive into our learn-by-doing style."
-
-HANDLE OBJECTIONS:
-- Validate: "I totally get why {concern} might feel big."
-- Pivot: "The workshop's perfect for dipping your toes in—you'll know if it's your thing, no commitment."
-
-PRICING (quote only in INR when asked):
-- Fellowship Program in Software Development: ₹2,70,000
-- Fellowship Program in QA Automation / NextGen Data Analytics with AI: ₹2,40,000
-- SkillQ - Data Analytics / Full Stack Development: **₹1,20,000**
-(No refunds and no pay-after-placement options—emphasize the free trial first. Scholarships and loans up to 36 months are available.)
-
-IF UNSURE: "Good one! I'm not 100% on {user_query}, but I'll check with my team and get back to you."
-
-WRAP UP:
-- Booked: "You're in for [time]—I'll ping you an hour before. Excited for you!"
-- Not Ready: "No worries—when's a good time to reconnect? Want some info on {topic} in the meantime?"
-- Warm Exit: "I thoroughly enjoyed chatting with you, {Name}. I'm pumped about where Crio's {Program Interested} could take you—reach out anytime!"
-
-IMPORTANT: Keep your response concise and focused. Do not repeat previous statements or greetings. Respond naturally to what the user just said.
-
-Knowledge Base Context:
-${context}
-
-${formattedHistory ? `Previous conversation:
-${formattedHistory}` : ''}
-
-User: ${query}
-
-Respond as Ritwik from Crio, keeping the conversation natural and flowing. Focus on understanding their needs and booking them for a workshop. Keep your response concise and avoid repetition.`;
-
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
-
-    // Cache the response
-    cacheResponse(query, history, response);
+    const turn = await buildPrompt(query, history, metadata, { structured: true, state, booking });
+    const result = await generateText(turn.prompt, { schema: REPLY_SCHEMA });
+
+    let response = parseReplyEnvelope(result.text);
+    if (!response) {
+      // Malformed JSON: fall back to a plain free-text reply
+      logger.warn('Structured reply was malformed, falling back to free text', { llm: result.llm, raw: result.text });
+      const fallback = await generateText((await buildPrompt(query, history, metadata, { state, booking })).prompt);
+      response = toFreeTextEnvelope(fallback.text);
+    }
+
+    response = groundReply(response, turn);
+
+    // Cache the response, unless it had to be swapped for the holding line
+    if (response.flagged.length === 0) {
+      cacheResponse(query, history, metadata, state, response);
+    }
 
     return response;
   } catch (error) {
     logger.error('Failed to generate reply', { error: error.message });
-    return 'I apologize, but I encountered an error while processing your request. Please try again.';
+    return toFreeTextEnvelope('I apologize, but I encountered an error while processing your request. Please try again.');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Stream an AI reply for the real-time media-stream pipeline. Text is
+ * released a sentence at a time once the sentence's figures have been
+ * checked; if one isn't backed by the sources the stream stops there and
+ * the "I'll check with my team" line is spoken instead.
+ * @param {string} query - User query
+ * @param {Array} history - Conversation history
+ * @param {Object} metadata - Lead metadata (name, programInterested, source, day, ...)
+ * @param {Object} [options] - Conversation context ({ state, booking }, as for generateReply)
+ * @param {Function} [options.onSources] - Called when the stream ends with
+ *   { retrieved, cited, flagged } for the reply that was spoken
+ * @returns {AsyncGenerator<string>} Checked text, a sentence at a time
+ */
+export async function* generateReplyStream(query, history = [], metadata = {}, { state, booking, onSources } = {}) {
+  const cachedResponse = getCachedResponse(query, history, metadata, state);
+  if (cachedResponse) {
+    onSources?.({ ...cachedResponse.sources, flagged: [] });
+    yield cachedResponse.text;
+    return;
+  }
+
+  let response = '';
+  let turn = { chunks: [], groundingSources: [] };
+  let flagged = [];
+  try {
+    turn = await buildPrompt(query, history, metadata, { state, booking });
+
+    // A sentence is released only if every figure in it is backed by a source
+    const check = (sentence) => {
+      flagged = findUngroundedFacts(sentence, turn.groundingSources);
+      if (flagged.length > 0) {
+        logger.warn('Streamed reply quoted figures not found in its sources', { flagged, sentence });
+      }
+      return flagged.length === 0;
+    };
+
+    let buffer = '';
+    tokens: for await (const text of streamText(turn.prompt)) {
+      buffer += text;
+      const { sentences, rest } = splitSentences(buffer);
+      buffer = rest;
+      for (const sentence of sentences) {
+        if (!check(sentence)) break tokens;
+        response += `${sentence} `;
+        yield `${sentence} `;
+      }
+    }
+
+    if (flagged.length === 0 && buffer.trim() && check(buffer.trim())) {
+      response += buffer.trim();
+      yield buffer.trim();
+    }
+    if (flagged.length > 0) {
+      const holdingLine = getPrompt('checkWithTeam');
+      response += holdingLine;
+      yield holdingLine;
+      return;
+    }
+
+    cacheResponse(query, history, metadata, state, {
+      ...toFreeTextEnvelope(response.trim()),
+      sources: { retrieved: turn.chunks.map(chunk => chunk.id), cited: findCitedChunks(response, turn.chunks) },
+      flagged: []
+    });
+  } catch (error) {
+    logger.error('Failed to stream reply', { error: error.message });
+    // Only apologise if nothing has been spoken yet
+    if (!response) {
+      yield 'I apologize, but I encountered an error while processing your request. Please try again.';
+    }
+  } finally {
+    onSources?.({
+      retrieved: turn.chunks.map(chunk => chunk.id),
+      cited: findCitedChunks(response, turn.chunks),
+      flagged
+    });
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * groundingService.js
+ * -------------------
+ * Post-generation checks on agent replies. Figures the model says aloud
+ * (prices, numbers, dates and times) must appear somewhere it was given
+ * them: the retrieved knowledge base chunks, the persona's pricing and
+ * schedule sections, the lead's details or the caller's own words. Figures
+ * are compared by value, so
+ * "2.7 lakh" matches "₹2,70,000" and "March 5th" matches "5 Mar".
+ */
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH = `(${Object.keys(MONTHS).join('|')})\\.?`;
+
+const SCALES = { thousand: 1e3, k: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7 };
+
+const DAY_MONTH = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\b`, 'gi');
+const MONTH_DAY = new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'gi');
+const NUMERIC_DATE = /\b(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})\b/g;
+const TIME = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am\b|pm\b|a\.m\.|p\.m\.)|\b(\d{1,2}):(\d{2})\b/gi;
+const NUMBER = new RegExp(`(₹|\\brs\\.?|\\binr)?\\s*\\b(\\d(?:[\\d,]*\\d)?(?:\\.\\d+)?)(?:\\s*(${Object.keys(SCALES).join('|')})\\b)?(\\s*%)?`, 'gi');
+
+/**
+ * Pull the figures out of a piece of text. Dates and times are taken out
+ * first so their digits aren't read again as plain numbers; bare counts
+ * below 10 ("2 quick questions") are conversational and left out.
+ * @param {string} text - Text to scan
+ * @returns {Array<{text: string, value: string}>} Figures with a normalized value for comparison
+ */
+export function extractFacts(text = '') {
+  const facts = [];
+  let rest = String(text);
+
+  const take = (pattern, toValue) => {
+    rest = rest.replace(pattern, (match, ...groups) => {
+      const value = toValue(...groups);
+      if (value) facts.push({ text: match.trim(), value });
+      return ' ';
+    });
+  };
+
+  take(DAY_MONTH, (day, month) => `date:${MONTHS[month.toLowerCase()]}-${Number(day)}`);
+  take(MONTH_DAY, (month, day) => `date:${MONTHS[month.toLowerCase()]}-${Number(day)}`);
+  take(NUMERIC_DATE, (day, month, year) => {
+    // Dates are written day first here (05/03/2025 is 5 March)
+    facts.push({ text: year, value: `number:${year.length === 2 ? 2000 + Number(year) : Number(year)}` });
+    return `date:${Number(month)}-${Number(day)}`;
+  });
+  take(TIME, (hour, minutes, meridiem, clockHour, clockMinutes) => {
+    const h = Number(hour ?? clockHour) % 12;
+    return `time:${h}:${minutes ?? clockMinutes ?? '00'}`;
+  });
+  take(NUMBER, (currency, digits, scale, percent) => {
+    const value = Number(digits.replace(/,/g, '')) * (scale ? SCALES[scale.toLowerCase()] : 1);
+    if (!Number.isFinite(value)) return null;
+    if (!currency && !scale && !percent && Number.isInteger(value) && value < 10) return null;
+    return `number:${value}`;
+  });
+
+  return facts;
+}
+
+/**
+ * Figures in a reply that none of the sources mention
+ * @param {string} text - Reply text
+ * @param {Array<string>} sources - Text the reply may draw on
+ * @returns {Array<string>} The unsupported figures as written in the reply
+ */
+export function findUngroundedFacts(text, sources) {
+  const known = new Set(sources.flatMap(source => extractFacts(source).map(fact => fact.value)));
+  return extractFacts(text)
+    .filter(fact => !known.has(fact.value))
+    .map(fact => fact.text);
+}
+
+/**
+ * Knowledge base chunks a reply draws on, judged by the figures it repeats
+ * from them (used when the model doesn't cite chunks itself)
+ * @param {string} text - Reply text
+ * @param {Array<Object>} chunks - Retrieved chunks ({ id, content })
+ * @returns {Array<string>} IDs of the chunks the reply repeats figures from
+ */
+export function findCitedChunks(text, chunks) {
+  const values = new Set(extractFacts(text).map(fact => fact.value));
+  if (values.size === 0) return [];
+  return chunks
+    .filter(chunk => extractFacts(chunk.content).some(fact => values.has(fact.value)))
+    .map(chunk => chunk.id);
+}
@@ -1,15 +1,35 @@
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
-import { Worker } from 'worker_threads';
 import { getCache, setCache, generateCacheKey, TTL } from './cacheService.js';
+import { embedTexts, embedQuery, getEmbedderId } from './embeddingService.js';
+import { createVectorIndex } from '../utils/vectorIndex.js';
+import { createWorkerPool } from '../utils/workerPool.js';
+import { watchDirectory } from '../utils/directoryWatcher.js';
+import { SUPPORTED_EXTENSIONS, chunkDocument } from './knowledgeChunker.js';
 
 const KNOWLEDGE_BASE_DIR = process.env.KNOWLEDGE_BASE_DIR || path.join(process.cwd(), 'knowledge-base');
 const CACHE_PREFIX = 'kb';
+const WORKER_URL = new URL('./knowledgeWorker.js', import.meta.url);
 
-// Initialize in-memory cache for frequently accessed chunks
-const memoryCache = new Map();
-const MEMORY_CACHE_SIZE = 1000; // Maximum number of chunks to keep in memory
+// Retrieval settings: how many chunks reach the prompt, how much of the
+// hybrid score comes from embeddings (the rest is BM25), and the cut-off
+const TOP_K = Number(process.env.KB_TOP_K) || 3;
+const SEMANTIC_WEIGHT = process.env.KB_SEMANTIC_WEIGHT !== undefined ? Number(process.env.KB_SEMANTIC_WEIGHT) : 0.6;
+const MIN_SCORE = process.env.KB_MIN_SCORE !== undefined ? Number(process.env.KB_MIN_SCORE) : 0.2;
+
+const DOCUMENTS_CACHE_KEY = generateCacheKey(CACHE_PREFIX, 'documents');
+const WATCH_DEBOUNCE_MS = 500;
+
+// Indexed documents by source (path relative to KNOWLEDGE_BASE_DIR):
+// { source, format, mtimeMs, size, chunks }
+let documents = new Map();
+// Search index over every chunk, built once per process (lazily if not preloaded)
+let indexPromise = null;
+// Reloads run one at a time so overlapping file events can't interleave
+let reloadChain = Promise.resolve();
+let watcher = null;
+let workerPool = null;
 
 /**
  * Preload knowledge base at startup
@@ -24,29 +44,14 @@ export async function preloadKnowledgeBase() {
         path: KNOWLEDGE_BASE_DIR 
       });
       fs.mkdirSync(KNOWLEDGE_BASE_DIR, { recursive: true });
-      return;
     }
     
-    const chunks = await loadKnowledgeBase();
-    
-    // Cache in Redis
-    await setCache(
-      generateCacheKey(CACHE_PREFIX, 'all'),
-      chunks,
-      TTL.KNOWLEDGE_BASE
-    );
-    
-    // Cache most relevant chunks in memory
-    chunks
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, MEMORY_CACHE_SIZE)
-      .forEach(chunk => {
-        memoryCache.set(chunk.content, chunk);
-      });
+    // Chunk, embed and index every document now rather than on the first caller's turn
+    const index = await reloadKnowledgeBase();
     
     logger.info('Knowledge base preloaded', {
-      totalChunks: chunks.length,
-      memoryCachedChunks: memoryCache.size
+      totalDocuments: documents.size,
+      indexedChunks: index.size
     });
   } catch (error) {
     logger.error('Failed to preload knowledge base', { error: error.message });
@@ -54,108 +59,282 @@ export async function preloadKnowledgeBase() {
 }
 
 /**
- * Load and index knowledge base files
- * @returns {Promise<Array>} Indexed knowledge base chunks
+ * Knowledge base files with their modification time and size
+ * @returns {Promise<Array<{file: string, source: string, mtimeMs: number, size: number}>>} Files
  */
-async function loadKnowledgeBase() {
-  try {
-    // Check Redis cache first
-    const cachedChunks = await getCache(generateCacheKey(CACHE_PREFIX, 'all'));
-    if (cachedChunks) {
-      logger.info('Using cached knowledge base');
-      return cachedChunks;
-    }
+async function listFiles() {
+  if (!fs.existsSync(KNOWLEDGE_BASE_DIR)) return [];
+  const files = await getAllFiles(KNOWLEDGE_BASE_DIR, SUPPORTED_EXTENSIONS);
+  return Promise.all(files.map(async file => {
+    const stats = await fs.promises.stat(file);
+    return { file, source: path.relative(KNOWLEDGE_BASE_DIR, file), mtimeMs: stats.mtimeMs, size: stats.size };
+  }));
+}
 
-    const chunks = [];
-    const files = await getAllFiles(KNOWLEDGE_BASE_DIR, '.txt');
-    
-    if (files.length === 0) {
-      logger.info('No knowledge base files found', { directory: KNOWLEDGE_BASE_DIR });
-      return [];
+/**
+ * The shared pool of chunking workers (KB_WORKERS threads, default up to 4)
+ * @returns {Object} Worker pool
+ */
+function getWorkerPool() {
+  if (!workerPool) {
+    const size = Number(process.env.KB_WORKERS) || undefined;
+    workerPool = createWorkerPool(WORKER_URL, { size });
+  }
+  return workerPool;
+}
+
+/**
+ * Chunk files on the worker pool; a large directory queues behind the pool
+ * rather than starting a thread per file
+ * @param {Array<string>} files - Absolute file paths
+ * @returns {Promise<{chunked: Map<string, Array>, failed: Map<string, string>}>} Chunks, and errors, by file
+ */
+async function chunkFiles(files) {
+  const pool = getWorkerPool();
+  const results = await Promise.allSettled(files.map(async file => {
+    try {
+      return await pool.run({ file, baseDir: KNOWLEDGE_BASE_DIR });
+    } catch (error) {
+      if (error.code !== 'WORKER_FAILED') throw error;
+      // Fallback to synchronous processing if worker threads fail
+      logger.warn('Worker thread failed, using fallback processing', { file, error: error.message });
+      return processFileSync(file);
     }
-    
-    // Process files in parallel using worker threads with fallback
-    const workers = files.map(file => {
-      return new Promise((resolve, reject) => {
-        try {
-          const worker = new Worker(`
-            const { parentPort } = require('worker_threads');
-            const fs = require('fs');
-            const path = require('path');
-
-            parentPort.on('message', async (file) => {
-              try {
-                const content = await fs.promises.readFile(file, 'utf-8');
-                const relativePath = path.relative(process.env.KNOWLEDGE_BASE_DIR || '.', file);
-                
-                const chunks = content
-                  .split(/\\n\\s*\\n/)
-                  .filter(chunk => chunk.trim().length > 0)
-                  .map(chunk => ({
-                    content: chunk.trim(),
-                    source: relativePath,
-                    keywords: extractKeywords(chunk)
-                  }));
-                
-                parentPort.postMessage(chunks);
-              } catch (error) {
-                parentPort.postMessage({ error: error.message });
-              }
-            });
-
-            function extractKeywords(text) {
-              const words = text.toLowerCase()
-                .replace(/[^\\w\\s]/g, '')
-                .split(/\\s+/)
-                .filter(word => word.length > 3);
-              return new Set(words);
-            }
-          `, { eval: true });
-
-          worker.on('message', (result) => {
-            if (result.error) {
-              reject(new Error(result.error));
-            } else {
-              resolve(result);
-            }
-            worker.terminate();
-          });
-
-          worker.on('error', reject);
-          worker.postMessage(file);
-        } catch (error) {
-          // Fallback to synchronous processing if worker threads fail
-          logger.warn('Worker thread failed, using fallback processing', { file, error: error.message });
-          resolve(processFileSync(file));
-        }
+  }));
+  const chunked = new Map();
+  const failed = new Map();
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      chunked.set(files[index], result.value);
+    } else {
+      failed.set(files[index], result.reason.message);
+      logger.error('Failed to process file', { 
+        file: files[index], 
+        error: result.reason.message 
       });
-    });
+    }
+  });
+  return { chunked, failed };
+}
 
-    const results = await Promise.allSettled(workers);
-    
-    // Collect successful results
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        chunks.push(...result.value);
-      } else {
-        logger.error('Failed to process file', { 
-          file: files[index], 
-          error: result.reason.message 
+/**
+ * Documents this process hasn't indexed yet may already be chunked by
+ * another instance, or before a restart
+ * @returns {Promise<Map>} Cached documents by source
+ */
+async function loadCachedDocuments() {
+  const cached = await getCache(DOCUMENTS_CACHE_KEY);
+  return new Map(Object.entries(cached || {}));
+}
+
+/**
+ * Re-read the knowledge base directory and swap in a new index. Only files
+ * that are new or whose modification time or size changed are re-chunked;
+ * a file that fails to parse keeps its previous version (if any) and is
+ * listed with the error until it changes again. The index is
+ * replaced in one step, so searches see either the old or the new one.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Re-chunk every file
+ * @returns {Promise<Object>} The search index in use afterwards
+ */
+export function reloadKnowledgeBase({ force = false } = {}) {
+  const reload = reloadChain.then(() => applyReload(force));
+  reloadChain = reload.catch(() => {});
+  return reload;
+}
+
+/**
+ * One knowledge base reload (see reloadKnowledgeBase)
+ * @param {boolean} force - Re-chunk every file
+ * @returns {Promise<Object>} Search index
+ */
+async function applyReload(force) {
+  const files = await listFiles();
+  const known = documents.size > 0 || indexPromise ? documents : await loadCachedDocuments();
+  const isUnchanged = (file) => {
+    const document = known.get(file.source);
+    return document && document.mtimeMs === file.mtimeMs && document.size === file.size;
+  };
+
+  const changed = files.filter(file => force || !isUnchanged(file));
+  const removed = [...known.keys()].filter(source => !files.some(file => file.source === source));
+  if (indexPromise && changed.length === 0 && removed.length === 0) {
+    return indexPromise;
+  }
+
+  const { chunked, failed } = await chunkFiles(changed.map(file => file.file));
+  const next = new Map();
+  for (const file of files) {
+    const chunks = chunked.get(file.file);
+    const previous = known.get(file.source);
+    if (chunks) {
+      const format = chunks[0]?.metadata.format || null;
+      next.set(file.source, { source: file.source, format, mtimeMs: file.mtimeMs, size: file.size, chunks });
+    } else if (failed.has(file.file)) {
+      next.set(file.source, {
+        source: file.source,
+        format: previous?.format || null,
+        chunks: previous?.chunks || [],
+        mtimeMs: file.mtimeMs,
+        size: file.size,
+        error: failed.get(file.file)
+      });
+    } else if (previous) {
+      next.set(file.source, previous);
+    }
+  }
+
+  const index = await buildIndex([...next.values()].flatMap(document => document.chunks));
+  documents = next;
+  indexPromise = Promise.resolve(index);
+  await setCache(DOCUMENTS_CACHE_KEY, Object.fromEntries(next), TTL.KNOWLEDGE_BASE);
+
+  logger.info('Knowledge base loaded', {
+    totalFiles: files.length,
+    changedFiles: changed.length,
+    removedFiles: removed.length,
+    failedFiles: failed.size,
+    totalChunks: index.size
+  });
+  return index;
+}
+
+/**
+ * Watch KNOWLEDGE_BASE_DIR and reload (debounced) whenever a file changes.
+ * Disabled with KB_WATCH=false.
+ */
+export function startKnowledgeBaseWatcher() {
+  if (watcher || process.env.KB_WATCH === 'false') return;
+
+  let timer = null;
+  try {
+    watcher = watchDirectory(KNOWLEDGE_BASE_DIR, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reloadKnowledgeBase().catch(error => {
+          logger.error('Knowledge base reload failed', { error: error.message });
         });
-      }
+      }, WATCH_DEBOUNCE_MS);
+    }, {
+      onError: error => logger.error('Knowledge base watcher failed', { error: error.message })
     });
+    logger.info('Watching knowledge base for changes', { path: KNOWLEDGE_BASE_DIR });
+  } catch (error) {
+    logger.error('Failed to watch knowledge base', { path: KNOWLEDGE_BASE_DIR, error: error.message });
+  }
+}
 
-    logger.info('Knowledge base loaded', {
-      totalFiles: files.length,
-      totalChunks: chunks.length,
-      successfulFiles: results.filter(r => r.status === 'fulfilled').length
-    });
+/**
+ * Resolve a document's source path inside the knowledge base directory
+ * @param {string} source - Path relative to KNOWLEDGE_BASE_DIR, e.g. programs/fees.csv
+ * @returns {string} Absolute file path
+ * @throws {Error} With statusCode 400 for paths outside the directory or unsupported formats
+ */
+function resolveDocumentPath(source) {
+  const normalized = path.normalize(String(source || '')).replace(/^[/\\]+/, '');
+  const file = path.resolve(KNOWLEDGE_BASE_DIR, normalized);
+  let message = null;
+  if (!normalized || normalized.startsWith('..') || !file.startsWith(path.resolve(KNOWLEDGE_BASE_DIR) + path.sep)) {
+    message = `Invalid document path: ${source}`;
+  } else if (!SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    message = `Unsupported document type; use one of ${SUPPORTED_EXTENSIONS.join(', ')}`;
+  }
 
-    return chunks;
-  } catch (error) {
-    logger.error('Failed to load knowledge base', { error: error.message });
-    return [];
+  if (message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
   }
+  return file;
+}
+
+/**
+ * Summarize a document for the admin API
+ * @param {Object} document - Indexed document
+ * @returns {Object} { source, format, chunks, bytes, updatedAt, error }
+ */
+function describeDocument(document) {
+  return {
+    source: document.source,
+    format: document.format,
+    chunks: document.chunks.length,
+    bytes: document.size,
+    updatedAt: new Date(document.mtimeMs).toISOString(),
+    error: document.error || null
+  };
+}
+
+/**
+ * Indexed documents with their chunk counts
+ * @returns {Promise<Array>} Documents sorted by source
+ */
+export async function listDocuments() {
+  await getIndex();
+  return [...documents.values()]
+    .map(describeDocument)
+    .sort((a, b) => a.source.localeCompare(b.source));
+}
+
+/**
+ * Upload or replace a document and reindex it straight away
+ * @param {string} source - Path relative to KNOWLEDGE_BASE_DIR
+ * @param {string} content - File contents
+ * @returns {Promise<{document: Object, created: boolean}>} The indexed document
+ * @throws {Error} With statusCode 400 if the path is invalid or the content can't be parsed
+ */
+export async function saveDocument(source, content) {
+  const file = resolveDocumentPath(source);
+  const relative = path.relative(KNOWLEDGE_BASE_DIR, file);
+  if (typeof content !== 'string' || !content.trim()) {
+    const error = new Error('Document content is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Parse before writing, so a broken upload never replaces a good document
+  try {
+    chunkDocument(content, relative);
+  } catch (parseError) {
+    const error = new Error(`Could not parse ${relative}: ${parseError.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const created = !fs.existsSync(file);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, content);
+  await reloadKnowledgeBase();
+
+  logger.info('Knowledge base document saved', { source: relative, created });
+  return { document: describeDocument(documents.get(relative)), created };
+}
+
+/**
+ * Delete a document and drop its chunks from the index
+ * @param {string} source - Path relative to KNOWLEDGE_BASE_DIR
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 404 if there is no such document
+ */
+export async function deleteDocument(source) {
+  const file = resolveDocumentPath(source);
+  if (!fs.existsSync(file)) {
+    const error = new Error(`No knowledge base document ${source}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await fs.promises.rm(file);
+  await reloadKnowledgeBase();
+  logger.info('Knowledge base document deleted', { source });
+}
+
+/**
+ * Re-chunk and re-embed every document
+ * @returns {Promise<{documents: number, chunks: number}>} Counts
+ */
+export async function reindexKnowledgeBase() {
+  const index = await reloadKnowledgeBase({ force: true });
+  return { documents: documents.size, chunks: index.size };
 }
 
 /**
@@ -166,16 +345,7 @@ async function loadKnowledgeBase() {
 function processFileSync(file) {
   try {
     const content = fs.readFileSync(file, 'utf-8');
-    const relativePath = path.relative(KNOWLEDGE_BASE_DIR, file);
-    
-    return content
-      .split(/\n\s*\n/)
-      .filter(chunk => chunk.trim().length > 0)
-      .map(chunk => ({
-        content: chunk.trim(),
-        source: relativePath,
-        keywords: extractKeywords(chunk)
-      }));
+    return chunkDocument(content, path.relative(KNOWLEDGE_BASE_DIR, file));
   } catch (error) {
     logger.error('Failed to process file synchronously', { file, error: error.message });
     return [];
@@ -183,20 +353,20 @@ function processFileSync(file) {
 }
 
 /**
- * Get all files with specific extension recursively
+ * Get all files with the given extensions recursively
  * @param {string} dir - Directory to search
- * @param {string} ext - File extension
+ * @param {Array<string>} extensions - File extensions, e.g. ['.md', '.csv']
  * @returns {Promise<Array>} Array of file paths
  */
-async function getAllFiles(dir, ext) {
+async function getAllFiles(dir, extensions) {
   const files = [];
   const entries = await fs.promises.readdir(dir, { withFileTypes: true });
 
   for (const entry of entries) {
     const fullPath = path.join(dir, entry.name);
     if (entry.isDirectory()) {
-      files.push(...await getAllFiles(fullPath, ext));
-    } else if (entry.isFile() && entry.name.endsWith(ext)) {
+      files.push(...await getAllFiles(fullPath, extensions));
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
       files.push(fullPath);
     }
   }
@@ -205,95 +375,78 @@ async function getAllFiles(dir, ext) {
 }
 
 /**
- * Get relevant knowledge base chunks
- * @param {string} query - Search query
- * @returns {Promise<Array>} Relevant chunks
+ * Embed chunks and build the hybrid search index. If embedding fails the
+ * index still works, on BM25 alone.
+ * @param {Array} chunks - Knowledge base chunks ({ content, source })
+ * @returns {Promise<Object>} Search index
  */
-export async function getRelevantChunks(query) {
+async function buildIndex(chunks) {
+  let embeddings = [];
   try {
-    // Check memory cache first
-    const memoryCachedChunks = Array.from(memoryCache.values())
-      .filter(chunk => {
-        const queryWords = query.toLowerCase().split(/\s+/);
-        return queryWords.some(word => chunk.keywords.has(word));
-      })
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, 3);
-
-    if (memoryCachedChunks.length > 0) {
-      logger.debug('Using memory cached chunks', { count: memoryCachedChunks.length });
-      return memoryCachedChunks;
-    }
-
-    // Get all chunks from Redis
-    const allChunks = await getCache(generateCacheKey(CACHE_PREFIX, 'all'));
-    if (!allChunks) {
-      return [];
-    }
-
-    const queryKeywords = extractKeywords(query);
-    const relevantChunks = allChunks
-      .map(chunk => {
-        const relevanceScore = calculateRelevanceScore(chunk.keywords, queryKeywords);
-        return { ...chunk, relevanceScore };
-      })
-      .filter(chunk => chunk.relevanceScore > 0)
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, 3);
-
-    // Update memory cache with new chunks
-    relevantChunks.forEach(chunk => {
-      if (memoryCache.size >= MEMORY_CACHE_SIZE) {
-        const oldestKey = memoryCache.keys().next().value;
-        memoryCache.delete(oldestKey);
-      }
-      memoryCache.set(chunk.content, chunk);
-    });
-
-    return relevantChunks;
+    embeddings = await embedTexts(chunks.map(chunk => chunk.content));
   } catch (error) {
-    logger.error('Failed to get relevant chunks', { error: error.message });
-    return [];
+    logger.error('Failed to embed knowledge base, searching by keywords only', { error: error.message });
   }
+
+  const index = createVectorIndex(chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] || null })));
+  logger.info('Knowledge base indexed', { chunks: index.size, embedder: getEmbedderId(), embedded: embeddings.length });
+  return index;
 }
 
 /**
- * Extract keywords from text
- * @param {string} text - Text to extract keywords from
- * @returns {Set<string>} Set of keywords
+ * The knowledge base search index, built on first use
+ * @returns {Promise<Object>} Search index
  */
-function extractKeywords(text) {
-  const words = text.toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .split(/\s+/)
-    .filter(word => word.length > 3);
-  
-  return new Set(words);
+function getIndex() {
+  return indexPromise || reloadKnowledgeBase();
 }
 
 /**
- * Calculate relevance score between chunk and query
- * @param {Set<string>} chunkKeywords - Chunk keywords
- * @param {Set<string>} queryKeywords - Query keywords
- * @returns {number} Relevance score
+ * Get relevant knowledge base chunks
+ * @param {string} query - Search query
+ * @param {Object} [options] - Options
+ * @param {number} [options.topK] - Maximum chunks to return (defaults to KB_TOP_K)
+ * @returns {Promise<Array>} Relevant chunks ({ id, content, source, metadata, relevanceScore, scores }), best first
  */
-function calculateRelevanceScore(chunkKeywords, queryKeywords) {
-  let score = 0;
-  for (const keyword of queryKeywords) {
-    if (chunkKeywords.has(keyword)) {
-      score += 1;
+export async function getRelevantChunks(query, { topK = TOP_K } = {}) {
+  try {
+    const index = await getIndex();
+    if (index.size === 0) {
+      return [];
     }
+
+    let queryEmbedding = null;
+    try {
+      queryEmbedding = await embedQuery(query);
+    } catch (error) {
+      logger.warn('Failed to embed query, searching by keywords only', { error: error.message });
+    }
+
+    const results = index.search(query, queryEmbedding, { topK, semanticWeight: SEMANTIC_WEIGHT, minScore: MIN_SCORE });
+    logger.debug('Knowledge base search', { query, results: results.length });
+
+    return results.map(({ entry: { embedding, ...chunk }, score, bm25, cosine }) => ({
+      ...chunk,
+      relevanceScore: score,
+      scores: { bm25, cosine }
+    }));
+  } catch (error) {
+    logger.error('Failed to get relevant chunks', { error: error.message });
+    return [];
   }
-  return score;
 }
 
 /**
- * Format knowledge base chunks for AI context
+ * Format knowledge base chunks for AI context, each headed by the ID the
+ * model cites it with
  * @param {Array} chunks - Knowledge base chunks
  * @returns {string} Formatted context
  */
 export function formatChunksForContext(chunks) {
   return chunks
-    .map(chunk => `[From ${chunk.source}]\n${chunk.content}`)
+    .map(chunk => {
+      const about = [chunk.metadata?.program, chunk.metadata?.section].filter(Boolean).join(' - ');
+      return `[${chunk.id}${about ? `: ${about}` : ''}]\n${chunk.content}`;
+    })
     .join('\n\n');
 } 
\ No newline at end of file
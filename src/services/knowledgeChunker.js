@@ -0,0 +1,76 @@
+/**
+ * knowledgeChunker.js
+ * -------------------
+ * Turns a knowledge base file into chunks with the loader for its format
+ * (Markdown, CSV, JSON FAQs or plain/PDF-extracted text). Every chunk gets
+ * its source path and metadata: format, program and section, plus whatever
+ * the loader adds. Used by the knowledge base service and its worker
+ * threads, so it must stay free of server-only imports.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadText } from './knowledgeLoaders/textLoader.js';
+import { loadMarkdown } from './knowledgeLoaders/markdownLoader.js';
+import { loadCsv } from './knowledgeLoaders/csvLoader.js';
+import { loadJson } from './knowledgeLoaders/jsonLoader.js';
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 150;
+
+// Loaders by file extension
+const LOADERS = {
+  '.txt': { format: 'text', load: loadText },
+  '.md': { format: 'markdown', load: loadMarkdown },
+  '.markdown': { format: 'markdown', load: loadMarkdown },
+  '.csv': { format: 'csv', load: loadCsv },
+  '.json': { format: 'json', load: loadJson }
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(LOADERS);
+
+/**
+ * Chunk size and overlap, from KB_CHUNK_SIZE and KB_CHUNK_OVERLAP (characters)
+ * @returns {{chunkSize: number, chunkOverlap: number}} Options
+ */
+export function getChunkOptions() {
+  const chunkSize = Number(process.env.KB_CHUNK_SIZE) || DEFAULT_CHUNK_SIZE;
+  const overlap = process.env.KB_CHUNK_OVERLAP !== undefined ? Number(process.env.KB_CHUNK_OVERLAP) : DEFAULT_CHUNK_OVERLAP;
+  // The overlap has to leave room for new text in every chunk
+  return { chunkSize, chunkOverlap: Math.min(Math.max(overlap || 0, 0), Math.floor(chunkSize / 2)) };
+}
+
+/**
+ * Chunk a document's contents
+ * @param {string} content - File contents
+ * @param {string} source - Path relative to the knowledge base directory
+ * @returns {Array<{id: string, content: string, source: string, metadata: Object}>} Chunks, with
+ *   IDs of the form <source>#<n> that replies cite them by
+ * @throws {Error} If the format isn't supported or the file can't be parsed
+ */
+export function chunkDocument(content, source) {
+  const loader = LOADERS[path.extname(source).toLowerCase()];
+  if (!loader) {
+    throw new Error(`Unsupported knowledge base file: ${source}`);
+  }
+
+  return loader.load(content, { source, ...getChunkOptions() })
+    .filter(chunk => chunk.content.trim())
+    .map((chunk, i) => ({
+      id: `${source}#${i + 1}`,
+      content: chunk.content.trim(),
+      source,
+      metadata: { program: null, section: null, ...chunk.metadata, format: loader.format }
+    }));
+}
+
+/**
+ * Read and chunk a knowledge base file
+ * @param {string} file - Absolute file path
+ * @param {string} baseDir - Knowledge base directory (sources are relative to it)
+ * @returns {Promise<Array>} Chunks
+ */
+export async function chunkFile(file, baseDir) {
+  const content = await fs.promises.readFile(file, 'utf-8');
+  return chunkDocument(content, path.relative(baseDir, file));
+}
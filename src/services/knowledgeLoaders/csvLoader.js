@@ -0,0 +1,43 @@
+/**
+ * csvLoader.js
+ * ------------
+ * Tables such as fee sheets: one chunk per row, written out as
+ * "Header: value" lines so each row makes sense on its own. A program,
+ * course or name column fills the program; a section or category column
+ * (or else the file name) fills the section.
+ */
+
+import { parseCsv } from '../../utils/csv.js';
+
+const PROGRAM_COLUMN = /^(program|programme|course|program name|course name)$/i;
+const SECTION_COLUMN = /^(section|category|topic)$/i;
+
+/**
+ * Load a CSV document
+ * @param {string} content - File contents
+ * @param {Object} options - Options
+ * @param {string} options.source - File path relative to the knowledge base
+ * @returns {Array<{content: string, metadata: Object}>} Chunks
+ */
+export function loadCsv(content, { source }) {
+  const rows = parseCsv(content);
+  const table = source.replace(/\.[^./\\]+$/, '').split(/[/\\]/).pop();
+
+  return rows
+    .map((row, index) => {
+      const cells = Object.entries(row).filter(([header, value]) => header && value);
+      if (cells.length === 0) return null;
+
+      const programColumn = cells.find(([header]) => PROGRAM_COLUMN.test(header));
+      const sectionColumn = cells.find(([header]) => SECTION_COLUMN.test(header));
+      return {
+        content: cells.map(([header, value]) => `${header}: ${value}`).join('\n'),
+        metadata: {
+          program: programColumn?.[1] || null,
+          section: sectionColumn?.[1] || table,
+          row: index + 1
+        }
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,60 @@
+/**
+ * jsonLoader.js
+ * -------------
+ * FAQ exports: one chunk per question/answer pair. Accepts an array of
+ * pairs or an object holding one under "faqs", "faq", "items" or
+ * "questions"; a pair's other text fields (program, category, ...) become
+ * metadata.
+ */
+
+const QUESTION_KEYS = ['question', 'q', 'title'];
+const ANSWER_KEYS = ['answer', 'a', 'response'];
+const LIST_KEYS = ['faqs', 'faq', 'items', 'questions'];
+
+/**
+ * First non-empty string among the given keys
+ * @param {Object} item - FAQ entry
+ * @param {Array<string>} keys - Candidate keys
+ * @returns {string|null} Value
+ */
+function pick(item, keys) {
+  const key = keys.find(candidate => typeof item[candidate] === 'string' && item[candidate].trim());
+  return key ? item[key].trim() : null;
+}
+
+/**
+ * Load a JSON FAQ document
+ * @param {string} content - File contents
+ * @returns {Array<{content: string, metadata: Object}>} Chunks
+ * @throws {Error} If the file isn't JSON or holds no question/answer pairs
+ */
+export function loadJson(content) {
+  const parsed = JSON.parse(content);
+  const items = Array.isArray(parsed) ? parsed : LIST_KEYS.map(key => parsed?.[key]).find(Array.isArray);
+  if (!items) {
+    throw new Error('Expected an array of question/answer pairs');
+  }
+
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map((item, index) => {
+      const question = pick(item, QUESTION_KEYS);
+      const answer = pick(item, ANSWER_KEYS);
+      if (!question || !answer) return null;
+
+      const extra = Object.fromEntries(Object.entries(item).filter(([key, value]) =>
+        !QUESTION_KEYS.includes(key) && !ANSWER_KEYS.includes(key) && ['string', 'number', 'boolean'].includes(typeof value)
+      ));
+      return {
+        content: `Q: ${question}\nA: ${answer}`,
+        metadata: {
+          ...extra,
+          program: item.program || item.course || null,
+          section: item.section || item.category || item.topic || null,
+          question,
+          index
+        }
+      };
+    })
+    .filter(Boolean);
+}
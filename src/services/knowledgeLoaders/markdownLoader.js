@@ -0,0 +1,78 @@
+/**
+ * markdownLoader.js
+ * -----------------
+ * Markdown brochures, chunked by heading. The first "# Title" (or a
+ * "program:" line in front matter) names the program; every chunk carries
+ * its heading path as the section and starts with it, so a chunk about
+ * "Fees > Scholarships" says so even out of context.
+ */
+
+import { splitText } from './textLoader.js';
+
+/**
+ * Read simple "key: value" front matter
+ * @param {string} content - File contents
+ * @returns {{attributes: Object, body: string}} Front matter and the rest of the file
+ */
+function parseFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { attributes: {}, body: content };
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const [, key, value] = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/) || [];
+    if (key && value) attributes[key] = value.replace(/^["']|["']$/g, '');
+  }
+  return { attributes, body: content.slice(match[0].length) };
+}
+
+/**
+ * Load a Markdown document
+ * @param {string} content - File contents
+ * @param {Object} options - { chunkSize, chunkOverlap }
+ * @returns {Array<{content: string, metadata: Object}>} Chunks
+ */
+export function loadMarkdown(content, options) {
+  const { attributes, body } = parseFrontMatter(content);
+  const sections = [];
+  const headings = [];
+  let title = null;
+  let lines = [];
+  let inCodeBlock = false;
+
+  const closeSection = () => {
+    const text = lines.join('\n').trim();
+    if (text) sections.push({ path: headings.filter(Boolean).join(' > '), text });
+    lines = [];
+  };
+
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+    const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!heading) {
+      lines.push(line);
+      continue;
+    }
+
+    closeSection();
+    const level = heading[1].length;
+    if (level === 1 && !title) {
+      title = heading[2];
+      continue;
+    }
+    // A heading replaces its own level and clears everything below it
+    const depth = Math.max(level - 2, 0);
+    headings.length = depth;
+    headings[depth] = heading[2];
+  }
+  closeSection();
+
+  const program = attributes.program || title || null;
+  return sections.flatMap(({ path, text }) => {
+    const heading = [title, path].filter(Boolean).join(' > ');
+    return splitText(text, options).map(chunk => ({
+      content: heading ? `${heading}\n${chunk}` : chunk,
+      metadata: { ...attributes, program, section: path || null }
+    }));
+  });
+}
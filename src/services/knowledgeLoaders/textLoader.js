@@ -0,0 +1,92 @@
+/**
+ * textLoader.js
+ * -------------
+ * Plain text, including text extracted from PDFs. Paragraphs are packed
+ * into chunks of up to chunkSize characters, each starting with the last
+ * chunkOverlap characters' worth of sentences from the one before, so a
+ * fact split across a boundary is still found whole.
+ */
+
+/**
+ * Split text into sentences (a sentence longer than maxLength is cut into pieces)
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Longest piece allowed
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text, maxLength) {
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n+|$)/g) || [];
+  return sentences
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(sentence => {
+      const pieces = [];
+      for (let i = 0; i < sentence.length; i += maxLength) {
+        pieces.push(sentence.slice(i, i + maxLength));
+      }
+      return pieces;
+    });
+}
+
+/**
+ * Pack text into overlapping chunks. Paragraphs that fit are kept whole and
+ * packed together, blank line between, until the next one would overflow;
+ * longer paragraphs are packed sentence by sentence.
+ * @param {string} text - Text to split
+ * @param {Object} options - Options
+ * @param {number} options.chunkSize - Maximum characters per chunk
+ * @param {number} options.chunkOverlap - Characters repeated from the end of the previous chunk
+ * @returns {Array<string>} Chunks
+ */
+export function splitText(text, { chunkSize, chunkOverlap }) {
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const chunks = [];
+  // Pieces of the chunk being built ({ text, separator }), and how many are new since the last flush
+  let current = [];
+  let added = 0;
+
+  const join = pieces => pieces.map((piece, i) => (i === 0 ? '' : piece.separator) + piece.text).join('');
+
+  const flush = () => {
+    if (added === 0) return;
+    chunks.push(join(current));
+    // Carry the tail of this chunk into the next one
+    const carried = [];
+    for (let i = current.length - 1; i >= 0 && join([current[i], ...carried]).length <= chunkOverlap; i--) {
+      carried.unshift(current[i]);
+    }
+    current = carried;
+    added = 0;
+  };
+
+  const add = (piece) => {
+    if (join([...current, piece]).length > chunkSize) {
+      flush();
+      // The carried overlap may still leave no room; start clean rather than overflow
+      if (join([...current, piece]).length > chunkSize) current = [];
+    }
+    current.push(piece);
+    added++;
+  };
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= chunkSize) {
+      add({ text: paragraph, separator: '\n\n' });
+      continue;
+    }
+    splitSentences(paragraph, chunkSize).forEach((sentence, i) => {
+      add({ text: sentence, separator: i === 0 ? '\n\n' : ' ' });
+    });
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Load a text document
+ * @param {string} content - File contents
+ * @param {Object} options - { chunkSize, chunkOverlap }
+ * @returns {Array<{content: string, metadata: Object}>} Chunks
+ */
+export function loadText(content, options) {
+  return splitText(content, options).map(chunk => ({ content: chunk, metadata: {} }));
+}
@@ -0,0 +1,17 @@
+/**
+ * knowledgeWorker.js
+ * ------------------
+ * Worker thread for the knowledge base pool: reads and chunks one file per
+ * task ({ file, baseDir }) and answers with the chunks.
+ */
+
+import { parentPort } from 'worker_threads';
+import { chunkFile } from './knowledgeChunker.js';
+
+parentPort.on('message', async ({ id, data }) => {
+  try {
+    parentPort.postMessage({ id, result: await chunkFile(data.file, data.baseDir) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * leadProfileService.js
+ * ---------------------
+ * Twilio never sends lead details on an outbound call, so the profile given
+ * to /trigger-call (or a campaign) is stored under the new CallSid and read
+ * back by /start when the call connects.
+ */
+
+import { logger } from '../utils/logger.js';
+import { getCache, setCache, generateCacheKey, TTL } from './cacheService.js';
+
+const CACHE_PREFIX = 'lead';
+
+// Profile fields we understand; anything else is kept as extra metadata
+const PROFILE_FIELDS = ['name', 'programInterested', 'source', 'workingStatus', 'currentRole', 'workExperience', 'phoneNumber'];
+
+/**
+ * Normalize a lead profile from request input
+ * @param {Object} input - Lead details from the API caller
+ * @returns {Object} Profile with known fields set to a value or null
+ */
+export function normalizeLeadProfile(input = {}) {
+  const profile = { ...input };
+  for (const field of PROFILE_FIELDS) {
+    const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+    profile[field] = value || null;
+  }
+  return profile;
+}
+
+/**
+ * Store the lead profile for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} profile - Lead details
+ */
+export async function saveLeadProfile(callSid, profile) {
+  await setCache(generateCacheKey(CACHE_PREFIX, callSid), normalizeLeadProfile(profile), TTL.LEAD_PROFILE);
+  logger.info('Saved lead profile', { callSid, name: profile.name || null });
+}
+
+/**
+ * Get the lead profile stored for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<Object|null>} Lead profile or null
+ */
+export async function getLeadProfile(callSid) {
+  return getCache(generateCacheKey(CACHE_PREFIX, callSid));
+}
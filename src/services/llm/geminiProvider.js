@@ -0,0 +1,68 @@
+/**
+ * geminiProvider.js
+ * -----------------
+ * Google Gemini implementation of the LLM provider interface.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+let genAI = null;
+
+/**
+ * Create a Gemini client for one model.
+ * @param {string} modelName - Gemini model, e.g. gemini-2.0-flash
+ * @returns {Object} Provider client with generate(prompt, options) and stream(prompt, options)
+ * @throws {Error} If GEMINI_API_KEY is not set
+ */
+export function createGeminiProvider(modelName) {
+  if (!genAI) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required but not set');
+    }
+    genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  return {
+    /**
+     * Generate a complete response
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Options
+     * @param {Object} [options.schema] - JSON schema the response must follow
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<string>} Response text
+     */
+    async generate(prompt, { schema, signal } = {}) {
+      const request = {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      };
+      if (schema) {
+        request.generationConfig = {
+          responseMimeType: 'application/json',
+          responseSchema: schema
+        };
+      }
+      const result = await model.generateContent(request, { signal });
+      return result.response.text();
+    },
+
+    /**
+     * Stream a response
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {AsyncGenerator<string>} Text fragments
+     */
+    async *stream(prompt, { signal } = {}) {
+      const result = await model.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+}
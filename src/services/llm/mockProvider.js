@@ -0,0 +1,60 @@
+/**
+ * mockProvider.js
+ * ---------------
+ * Deterministic local LLM provider for tests and offline development.
+ * The model name picks the behaviour:
+ *   echo    - replies to the caller's last line (default)
+ *   error   - always fails
+ *   timeout - never answers, so the request times out
+ */
+
+/**
+ * Build the deterministic reply for a prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string} Reply text
+ */
+function mockReply(prompt) {
+  const lastUserLine = prompt.match(/^User: (.*)$/gm)?.pop()?.slice('User: '.length).trim();
+  return lastUserLine
+    ? `Got it, you said: ${lastUserLine}. Would you like to join our free-trial workshop?`
+    : 'Hi there! Would you like to join our free-trial workshop?';
+}
+
+/**
+ * Wait until the request is aborted
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<never>} Rejects once aborted
+ */
+function waitForAbort(signal) {
+  return new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => reject(new Error('Mock LLM request aborted')));
+  });
+}
+
+/**
+ * Create a mock client for one model.
+ * @param {string} modelName - echo, error or timeout
+ * @returns {Object} Provider client with generate(prompt, options) and stream(prompt, options)
+ */
+export function createMockProvider(modelName = 'echo') {
+  const respond = async (prompt, signal) => {
+    if (modelName === 'error') throw new Error('Mock LLM error');
+    if (modelName === 'timeout') return waitForAbort(signal);
+    return mockReply(prompt);
+  };
+
+  return {
+    async generate(prompt, { schema, signal } = {}) {
+      const text = await respond(prompt, signal);
+      if (!schema) return text;
+      return JSON.stringify({ text, intent: 'other', nextState: 'speaking', slots: {}, endCall: false });
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      const text = await respond(prompt, signal);
+      for (const word of text.split(/(?<= )/)) {
+        yield word;
+      }
+    }
+  };
+}
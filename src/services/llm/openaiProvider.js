@@ -0,0 +1,96 @@
+/**
+ * openaiProvider.js
+ * -----------------
+ * LLM provider for any OpenAI-compatible chat completions API (OpenAI,
+ * Azure OpenAI, Groq, Together, vLLM, Ollama, ...), spoken to over plain HTTP.
+ */
+
+/**
+ * Build the request for a chat completion
+ * @param {string} modelName - Model name
+ * @param {string} prompt - Prompt text
+ * @param {Object} extra - Extra body fields
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Response>} Fetch response
+ */
+async function requestCompletion(modelName, prompt, extra, signal) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+    },
+    body: JSON.stringify({
+      model: modelName,
+      messages: [{ role: 'user', content: prompt }],
+      ...extra
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`OpenAI-compatible API error ${response.status}: ${body.slice(0, 200)}`);
+  }
+  return response;
+}
+
+/**
+ * Create an OpenAI-compatible client for one model.
+ * @param {string} modelName - Model name, e.g. gpt-4o-mini
+ * @returns {Object} Provider client with generate(prompt, options) and stream(prompt, options)
+ * @throws {Error} If OPENAI_API_KEY is not set
+ */
+export function createOpenAiProvider(modelName) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is required but not set');
+  }
+
+  return {
+    /**
+     * Generate a complete response
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Options
+     * @param {Object} [options.schema] - JSON schema; requests JSON mode (the prompt describes the shape)
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<string>} Response text
+     */
+    async generate(prompt, { schema, signal } = {}) {
+      const extra = schema ? { response_format: { type: 'json_object' } } : {};
+      const response = await requestCompletion(modelName, prompt, extra, signal);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    /**
+     * Stream a response (server-sent events)
+     * @param {string} prompt - Prompt text
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {AsyncGenerator<string>} Text fragments
+     */
+    async *stream(prompt, { signal } = {}) {
+      const response = await requestCompletion(modelName, prompt, { stream: true }, signal);
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          // Only data lines carry tokens; skip comments, event names and the end marker
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice('data:'.length).trim();
+          if (!data || data === '[DONE]') continue;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) {
+            yield text;
+          }
+        }
+      }
+    }
+  };
+}
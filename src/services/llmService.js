@@ -0,0 +1,230 @@
+/**
+ * llmService.js
+ * -------------
+ * Pluggable LLM access with failover. LLM_CHAIN lists provider:model pairs
+ * in order of preference; every request walks the chain until one answers
+ * within LLM_TIMEOUT_MS. Latency, errors and timeouts are counted per
+ * provider:model so a flaky model shows up in /health.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createGeminiProvider } from './llm/geminiProvider.js';
+import { createOpenAiProvider } from './llm/openaiProvider.js';
+import { createMockProvider } from './llm/mockProvider.js';
+
+const DEFAULT_CHAIN = 'gemini:gemini-2.0-flash-exp,gemini:gemini-2.0-flash,gemini:gemini-1.5-flash,gemini:gemini-pro';
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Registered LLM providers, keyed by name
+const providers = new Map([
+  ['gemini', createGeminiProvider],
+  ['openai', createOpenAiProvider],
+  ['mock', createMockProvider]
+]);
+
+// Provider clients, keyed by provider:model
+const clients = new Map();
+
+// Per provider:model counters
+const metrics = new Map();
+
+/**
+ * Register an additional LLM provider.
+ * @param {string} name - Provider name used in LLM_CHAIN
+ * @param {Function} factory - Receives a model name and returns { generate(prompt, options), stream(prompt, options) }
+ */
+export function registerLlmProvider(name, factory) {
+  providers.set(name, factory);
+  logger.info('Registered LLM provider', { name });
+}
+
+/**
+ * The configured provider/model chain, in order of preference
+ * @returns {Array<{provider: string, model: string, id: string}>} Chain entries
+ */
+export function getLlmChain() {
+  return (process.env.LLM_CHAIN || DEFAULT_CHAIN)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [provider, ...model] = entry.split(':');
+      return { provider, model: model.join(':'), id: entry };
+    });
+}
+
+/**
+ * Get (or create) the client for a chain entry
+ * @param {Object} entry - Chain entry
+ * @returns {Object} Provider client
+ */
+function getClient(entry) {
+  if (!clients.has(entry.id)) {
+    const factory = providers.get(entry.provider);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${entry.provider}`);
+    }
+    clients.set(entry.id, factory(entry.model));
+  }
+  return clients.get(entry.id);
+}
+
+/**
+ * Counters for a chain entry
+ * @param {string} id - provider:model
+ * @returns {Object} Mutable metrics record
+ */
+function getMetrics(id) {
+  if (!metrics.has(id)) {
+    metrics.set(id, {
+      requests: 0,
+      successes: 0,
+      errors: 0,
+      timeouts: 0,
+      totalLatencyMs: 0,
+      lastError: null,
+      lastErrorAt: null
+    });
+  }
+  return metrics.get(id);
+}
+
+/**
+ * Record a failed attempt against a chain entry
+ * @param {Object} entry - Chain entry
+ * @param {Error} error - What went wrong
+ * @param {number} latencyMs - Time spent before giving up
+ */
+function recordFailure(entry, error, latencyMs) {
+  const stats = getMetrics(entry.id);
+  if (error.timedOut) {
+    stats.timeouts++;
+  } else {
+    stats.errors++;
+  }
+  stats.lastError = error.message;
+  stats.lastErrorAt = new Date().toISOString();
+  logger.warn('LLM request failed, trying next in chain', { llm: entry.id, error: error.message, latencyMs });
+}
+
+/**
+ * Race a provider call against the timeout, aborting it if it loses
+ * @param {Function} run - Receives an AbortSignal and returns a promise
+ * @returns {Promise<any>} The provider's result
+ */
+async function withTimeout(run) {
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Generate a complete response, failing over along the chain
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - Options
+ * @param {Object} [options.schema] - JSON schema the response must follow
+ * @returns {Promise<{text: string, llm: string}>} Response text and the provider:model that produced it
+ * @throws {Error} If every provider in the chain fails
+ */
+export async function generateText(prompt, { schema } = {}) {
+  const failures = [];
+
+  for (const entry of getLlmChain()) {
+    const stats = getMetrics(entry.id);
+    const startTime = Date.now();
+    stats.requests++;
+
+    try {
+      const client = getClient(entry);
+      const text = await withTimeout(signal => client.generate(prompt, { schema, signal }));
+      stats.successes++;
+      stats.totalLatencyMs += Date.now() - startTime;
+      logger.verbose('LLM response generated', { llm: entry.id, latencyMs: Date.now() - startTime });
+      return { text, llm: entry.id };
+    } catch (error) {
+      recordFailure(entry, error, Date.now() - startTime);
+      failures.push(`${entry.id}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+}
+
+/**
+ * Stream a response, failing over along the chain until a provider produces
+ * its first fragment. Once text has been yielded it may already have been
+ * spoken, so later errors are thrown rather than retried elsewhere.
+ * @param {string} prompt - Prompt text
+ * @returns {AsyncGenerator<string>} Text fragments
+ * @throws {Error} If every provider in the chain fails before producing text
+ */
+export async function* streamText(prompt) {
+  const failures = [];
+
+  for (const entry of getLlmChain()) {
+    const stats = getMetrics(entry.id);
+    const startTime = Date.now();
+    stats.requests++;
+
+    let iterator;
+    let first;
+    try {
+      const client = getClient(entry);
+      first = await withTimeout(signal => {
+        iterator = client.stream(prompt, { signal })[Symbol.asyncIterator]();
+        return iterator.next();
+      });
+    } catch (error) {
+      iterator?.return?.().catch(() => {});
+      recordFailure(entry, error, Date.now() - startTime);
+      failures.push(`${entry.id}: ${error.message}`);
+      continue;
+    }
+
+    logger.verbose('LLM stream started', { llm: entry.id, firstTokenMs: Date.now() - startTime });
+    try {
+      for (let result = first; !result.done; result = await iterator.next()) {
+        yield result.value;
+      }
+      stats.successes++;
+      stats.totalLatencyMs += Date.now() - startTime;
+      return;
+    } catch (error) {
+      stats.errors++;
+      stats.lastError = error.message;
+      stats.lastErrorAt = new Date().toISOString();
+      throw error;
+    } finally {
+      // Also runs when the caller stops early (barge-in), closing the provider stream
+      iterator.return?.().catch(() => {});
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+}
+
+/**
+ * Per provider:model latency and error counts
+ * @returns {Object} Metrics keyed by provider:model
+ */
+export function getLlmMetrics() {
+  return Object.fromEntries(Array.from(metrics.entries()).map(([id, stats]) => [id, {
+    ...stats,
+    avgLatencyMs: stats.successes > 0 ? Math.round(stats.totalLatencyMs / stats.successes) : null
+  }]));
+}
@@ -0,0 +1,279 @@
+/**
+ * mediaStreamService.js
+ * ---------------------
+ * Real-time voice pipeline for Twilio <Connect><Stream> calls.
+ * Caller μ-law audio goes to streaming STT, each finished utterance is
+ * answered with streamed LLM tokens, and every completed sentence is
+ * synthesized and written back onto the socket as μ-law media frames.
+ */
+
+import { logger } from '../utils/logger.js';
+import { splitSentences } from '../utils/sentences.js';
+import { createSpeechStream } from './streamingSttService.js';
+import { generateReplyStream } from './geminiService.js';
+import { resolveVoice, synthesize } from './ttsService.js';
+import { getConversation, saveMessage } from '../utils/conversationManager.js';
+import { STATES, updateState, getConversationMetadata } from '../utils/conversationStateManager.js';
+import { handleBookingTurn } from './bookingService.js';
+import {
+  END_REASONS,
+  detectCallerEnding,
+  shouldConfirmEnding,
+  hasExceededMaxDuration,
+  endConversation
+} from './callTerminationService.js';
+import { getPrompt } from './promptLibraryService.js';
+import { hangupCall } from './twilioService.js';
+import { detectOptOut, recordOptOut } from './suppressionService.js';
+
+// 20ms of 8kHz μ-law audio, the frame size Twilio itself streams
+const FRAME_SIZE = 160;
+
+/**
+ * Create a media-stream session for a single call
+ * @param {Object} options - Session options
+ * @param {string} options.callSid - The Twilio Call SID
+ * @param {string} options.streamSid - The Twilio Stream SID
+ * @param {Function} options.send - Writes a Twilio media-stream message to the socket
+ * @returns {Object} Session with handleAudio, handleMark, speak and close methods
+ */
+export function createMediaStreamSession({ callSid, streamSid, send }) {
+  // Incremented on every new turn so stale audio from an interrupted turn is dropped
+  let turn = 0;
+  let playback = Promise.resolve();
+  const pendingMarks = new Set();
+  // True from the first frame of a turn until Twilio confirms playback finished
+  let speaking = false;
+  // Set once the closing line is queued; the call is hung up when it finishes playing
+  let closing = false;
+  // The lead's voice; Twilio <Say> voices can't be streamed, so those fall back to Deepgram
+  const voice = getConversationMetadata(callSid).then(conversation => resolveVoice(conversation?.metadata?.voice));
+
+  const sendAudio = (audio) => {
+    speaking = true;
+    for (let offset = 0; offset < audio.length; offset += FRAME_SIZE) {
+      send({
+        event: 'media',
+        streamSid,
+        media: { payload: audio.subarray(offset, offset + FRAME_SIZE).toString('base64') }
+      });
+    }
+  };
+
+  const sendMark = (name) => {
+    pendingMarks.add(name);
+    send({ event: 'mark', streamSid, mark: { name } });
+  };
+
+  /**
+   * Queue a sentence for synthesis; playback order is preserved while
+   * synthesis of later sentences starts immediately. Generated replies
+   * pass cache: false, as their audio is never reused.
+   */
+  const enqueueSentence = (text, sentenceTurn, { cache = true } = {}) => {
+    const audio = voice.then(profile => synthesize(text, profile, 'mulaw', { cache })).then(result => result.audio);
+    audio.catch(() => {}); // handled when its turn in the playback queue comes up
+
+    playback = playback
+      .then(async () => {
+        const buffer = await audio;
+        if (sentenceTurn !== turn) return;
+        sendAudio(buffer);
+      })
+      .catch(err => {
+        logger.error('media-stream: sentence synthesis failed', { callSid, errorMessage: err.message });
+      });
+  };
+
+  // Queue a complete piece of text, sentence by sentence
+  const enqueueText = (text, textTurn, options) => {
+    const { sentences, rest } = splitSentences(text);
+    [...sentences, rest.trim()]
+      .filter(Boolean)
+      .forEach(sentence => enqueueSentence(sentence, textTurn, options));
+  };
+
+  const finishTurn = (sentenceTurn) => {
+    playback = playback.then(() => {
+      if (sentenceTurn === turn) {
+        sendMark(`turn-${sentenceTurn}`);
+      }
+    });
+    return playback;
+  };
+
+  const bargeIn = () => {
+    // Let the closing line play out
+    if (!speaking || closing) return;
+    logger.info('media-stream: caller barged in, clearing playback', { callSid });
+    turn++;
+    speaking = false;
+    pendingMarks.clear();
+    send({ event: 'clear', streamSid });
+  };
+
+  /**
+   * Speak a fixed piece of text (e.g. the greeting) on a new turn
+   * @param {string} text - Text to speak
+   */
+  const speak = async (text) => {
+    const speakTurn = ++turn;
+    enqueueText(text, speakTurn);
+    await finishTurn(speakTurn);
+  };
+
+  /**
+   * Answer a finished caller utterance with streamed LLM + TTS
+   * @param {string} speech - The caller's utterance
+   */
+  const respond = async (speech) => {
+    if (closing) return;
+    const replyTurn = ++turn;
+    const startTime = Date.now();
+    logger.info('media-stream: caller utterance', { callSid, speech });
+
+    await updateState(callSid, STATES.PROCESSING);
+    const history = await getConversation(callSid);
+    saveMessage(callSid, 'user', speech);
+
+    // The caller wants out, or the call has run long: say goodbye and hang up
+    const optedOut = detectOptOut(speech);
+    const endReason = (optedOut ? END_REASONS.OPTED_OUT : detectCallerEnding(speech, history))
+      || (await hasExceededMaxDuration(callSid) ? END_REASONS.MAX_DURATION : null);
+    if (endReason) {
+      closing = true;
+      if (optedOut) {
+        await recordOptOut(callSid, (await getConversationMetadata(callSid))?.metadata?.phoneNumber);
+      }
+      const closingLine = await endConversation(callSid, endReason);
+      saveMessage(callSid, 'assistant', closingLine);
+      enqueueText(closingLine, replyTurn);
+      await finishTurn(replyTurn);
+      return;
+    }
+
+    // "Not interested" may be about one option; check before hanging up
+    if (shouldConfirmEnding(speech, history)) {
+      await updateState(callSid, STATES.SPEAKING);
+      const confirmEnd = getPrompt('confirmEnd');
+      saveMessage(callSid, 'assistant', confirmEnd);
+      enqueueText(confirmEnd, replyTurn);
+      await finishTurn(replyTurn);
+      return;
+    }
+
+    // Booking details that need reading back are confirmed before the LLM moves on
+    const { confirmationPrompt } = await handleBookingTurn(callSid, speech, history);
+    if (confirmationPrompt) {
+      if (replyTurn !== turn) return;
+      await updateState(callSid, STATES.BOOKING);
+      saveMessage(callSid, 'assistant', confirmationPrompt);
+      enqueueText(confirmationPrompt, replyTurn, { cache: false });
+      await finishTurn(replyTurn);
+      return;
+    }
+
+    let buffer = '';
+    let reply = '';
+    let firstSentenceAt = null;
+    let sources = null;
+
+    // The phase (e.g. BOOKING after a read-back) picks the prompt
+    const conversation = await getConversationMetadata(callSid);
+
+    try {
+      const options = {
+        state: conversation?.phase,
+        booking: conversation?.booking,
+        onSources: (turnSources) => { sources = turnSources; }
+      };
+      for await (const token of generateReplyStream(speech, history, conversation?.metadata, options)) {
+        if (replyTurn !== turn) break;
+        buffer += token;
+        reply += token;
+
+        const { sentences, rest } = splitSentences(buffer);
+        buffer = rest;
+        sentences.forEach(sentence => {
+          if (!firstSentenceAt) {
+            firstSentenceAt = Date.now();
+            // Not awaited, so speech isn't held up; a refused transition is logged, not thrown
+            updateState(callSid, STATES.SPEAKING).catch(err => {
+              logger.error('media-stream: failed to move to speaking', { callSid, errorMessage: err.message });
+            });
+            logger.verbose('media-stream: first sentence ready', { callSid, latencyMs: firstSentenceAt - startTime });
+          }
+          enqueueSentence(sentence, replyTurn, { cache: false });
+        });
+      }
+
+      if (replyTurn === turn && buffer.trim()) {
+        enqueueSentence(buffer.trim(), replyTurn, { cache: false });
+      }
+    } catch (err) {
+      logger.error('media-stream: reply generation failed', { callSid, errorMessage: err.message });
+    }
+
+    if (reply.trim()) {
+      const { flagged = [], ...kbSources } = sources || {};
+      saveMessage(callSid, 'assistant', reply.trim(), sources ? { sources: kbSources, flagged } : {});
+    }
+    await finishTurn(replyTurn);
+    logger.verbose('media-stream: turn finished', { callSid, totalLatencyMs: Date.now() - startTime });
+  };
+
+  const stt = createSpeechStream({
+    onSpeechStarted: bargeIn,
+    onTranscript: (text) => {
+      if (text.trim()) bargeIn();
+    },
+    onUtterance: (text) => {
+      respond(text).catch(err => {
+        logger.error('media-stream: failed to respond', { callSid, errorMessage: err.message });
+      });
+    },
+    onError: (err) => {
+      logger.error('media-stream: streaming STT error', { callSid, errorMessage: err.message });
+    }
+  });
+
+  logger.info('media-stream: session started', { callSid, streamSid });
+
+  return {
+    /**
+     * Forward a base64 μ-law payload from Twilio to the STT provider
+     * @param {string} payload - Base64 encoded audio
+     */
+    handleAudio(payload) {
+      stt.send(Buffer.from(payload, 'base64'));
+    },
+
+    /**
+     * Twilio echoes marks back once the audio before them has played
+     * @param {string} name - Mark name
+     */
+    handleMark(name) {
+      // Marks from a cleared (barged-in) turn are ignored
+      if (pendingMarks.delete(name) && pendingMarks.size === 0) {
+        speaking = false;
+        if (closing) {
+          hangupCall(callSid).catch(err => {
+            logger.error('media-stream: failed to hang up', { callSid, errorMessage: err.message });
+          });
+          return;
+        }
+        updateState(callSid, STATES.LISTENING).catch(err => {
+          logger.error('media-stream: failed to move to listening', { callSid, errorMessage: err.message });
+        });
+      }
+    },
+
+    speak,
+
+    close() {
+      turn++;
+      stt.close();
+      logger.info('media-stream: session closed', { callSid, streamSid });
+    }
+  };
+}
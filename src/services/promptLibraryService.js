@@ -0,0 +1,84 @@
+/**
+ * promptLibraryService.js
+ * -----------------------
+ * Named library of the fixed lines the agent speaks (no-speech reprompt,
+ * interruption, objection holding line, error fallbacks, closing lines).
+ * The library is rendered into the TTS audio cache at startup so these
+ * lines play straight away instead of waiting on a TTS round-trip.
+ */
+
+import { logger } from '../utils/logger.js';
+import { TTL } from './cacheService.js';
+import { resolveVoice, synthesize, isAudioVoice } from './ttsService.js';
+import { CLOSING_LINES, CONFIRM_END_LINE } from './callTerminationService.js';
+
+const PROMPTS = {
+  interruption: 'I apologize for the interruption. Please go ahead.',
+  noSpeech: "Sorry, I didn't hear anything. Please try again.",
+  objection: 'I understand your concern. Let me provide more information or address your question.',
+  // Replaces a reply that quoted figures its sources don't back up
+  checkWithTeam: "Good one! I'm not 100% sure on that, but I'll check with my team and get back to you.",
+  error: 'Sorry, an error occurred. Please try again.',
+  startError: 'Sorry, an error occurred. Please try again later.',
+  // Asked before hanging up on "not interested"
+  confirmEnd: CONFIRM_END_LINE,
+  // Closing lines are keyed closing:<end reason>
+  ...Object.fromEntries(Object.entries(CLOSING_LINES).map(([reason, text]) => [`closing:${reason}`, text]))
+};
+
+/**
+ * Text of a named prompt
+ * @param {string} name - Prompt name, e.g. 'noSpeech' or 'closing:silence'
+ * @returns {string} Prompt text
+ * @throws {Error} If there is no prompt with that name
+ */
+export function getPrompt(name) {
+  const text = PROMPTS[name];
+  if (!text) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  return text;
+}
+
+/**
+ * Names of every prompt in the library
+ * @returns {Array<string>} Prompt names
+ */
+export function listPrompts() {
+  return Object.keys(PROMPTS);
+}
+
+/**
+ * Pre-render every prompt into the audio cache, in the formats both
+ * pipelines play: the voice's file encoding for <Play> and μ-law for media
+ * streams. Failures are logged and left for the first live use to retry.
+ * @param {Array<Object>} [voices] - Voice profiles to render (defaults to the configured voice)
+ * @returns {Promise<{rendered: number, cached: number, failed: number}>} Counts
+ */
+export async function renderPromptLibrary(voices = [resolveVoice()]) {
+  const startTime = Date.now();
+  const counts = { rendered: 0, cached: 0, failed: 0 };
+
+  for (const voice of voices) {
+    if (!isAudioVoice(voice)) {
+      // Twilio speaks these itself; there is nothing to render
+      logger.info('Prompt library not rendered for a Twilio-spoken voice', { engine: voice.engine, voice: voice.voice });
+      continue;
+    }
+
+    for (const [name, text] of Object.entries(PROMPTS)) {
+      for (const format of new Set([voice.encoding, 'mulaw'])) {
+        try {
+          const result = await synthesize(text, voice, format, { ttl: TTL.PROMPT_AUDIO });
+          counts[result.cached ? 'cached' : 'rendered']++;
+        } catch (error) {
+          counts.failed++;
+          logger.warn('Failed to render prompt', { name, format, engine: voice.engine, error: error.message });
+        }
+      }
+    }
+  }
+
+  logger.info('Prompt library rendered', { ...counts, prompts: listPrompts().length, durationMs: Date.now() - startTime });
+  return counts;
+}
@@ -0,0 +1,274 @@
+/**
+ * promptTemplateService.js
+ * ------------------------
+ * Personas and their prompt templates, loaded from PROMPTS_DIR. Each
+ * persona is a directory holding a persona.json ({ version, description,
+ * variables }) and one template per conversation phase: greeting.txt
+ * (the /start greeting), conversation.txt, booking.txt and closing.txt,
+ * plus any partials they include (pricing.txt, schedule.txt, ...).
+ *
+ * Templates are filled from the persona's variables and the lead's
+ * metadata:
+ *   {{name}}                 the value, or nothing if it is unknown
+ *   {{name|fallback}}        the value, or the fallback text
+ *   {{#name}}...{{/name}}    rendered only when the value is known
+ *   {{^name}}...{{/name}}    rendered only when it isn't
+ *   {{> pricing}}            another template of the same persona
+ * Single-brace {placeholders} are left alone; they are for the model.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { STATES } from '../utils/conversationStateManager.js';
+import { watchDirectory } from '../utils/directoryWatcher.js';
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(process.cwd(), 'prompts');
+const DEFAULT_PERSONA = process.env.PROMPT_PERSONA || 'ritwik';
+const REQUIRED_TEMPLATES = ['greeting', 'conversation', 'booking', 'closing'];
+const MAX_PARTIAL_DEPTH = 5;
+const WATCH_DEBOUNCE_MS = 500;
+
+// Reply template for each conversation phase; anything else gets the
+// conversation template (greeting.txt is only spoken at /start)
+const PHASE_TEMPLATES = {
+  [STATES.BOOKING]: 'booking',
+  [STATES.CLOSING]: 'closing'
+};
+
+const SECTION = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const PARTIAL = /\{\{>\s*(\w+)\s*\}\}/g;
+const VARIABLE = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Loaded personas by name: { name, version, description, hash, variables, templates }
+let personas = new Map();
+let watcher = null;
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode property
+ */
+function templateError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether a variable counts as known
+ * @param {any} value - Variable value
+ * @returns {boolean} False for null, undefined, false and empty strings
+ */
+function isKnown(value) {
+  return value !== null && value !== undefined && value !== false && value !== '';
+}
+
+/**
+ * Fill a template
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by name
+ * @param {Object} templates - The persona's templates, for partials
+ * @param {number} [depth=0] - Partial nesting depth
+ * @returns {string} Rendered text
+ */
+function render(text, variables, templates, depth = 0) {
+  return text
+    .replace(PARTIAL, (match, name) => {
+      if (depth >= MAX_PARTIAL_DEPTH || templates[name] === undefined) {
+        logger.warn('Prompt partial not rendered', { partial: name, depth });
+        return '';
+      }
+      return render(templates[name], variables, templates, depth + 1).trim();
+    })
+    .replace(SECTION, (match, type, name, inner) => {
+      const show = type === '#' ? isKnown(variables[name]) : !isKnown(variables[name]);
+      return show ? render(inner, variables, templates, depth) : '';
+    })
+    .replace(VARIABLE, (match, name, fallback) => {
+      const value = variables[name];
+      return isKnown(value) ? String(value) : (fallback ?? '').trim();
+    });
+}
+
+/**
+ * Read one persona directory
+ * @param {string} name - Persona name (the directory name)
+ * @returns {Promise<Object>} Persona
+ * @throws {Error} If persona.json or a required template is missing or unreadable
+ */
+async function readPersona(name) {
+  const dir = path.join(PROMPTS_DIR, name);
+  const manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'persona.json'), 'utf-8'));
+  if (!manifest.version) {
+    throw new Error('persona.json has no version');
+  }
+
+  const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.txt')).sort();
+  const templates = {};
+  const hash = crypto.createHash('sha256').update(JSON.stringify(manifest));
+  for (const file of files) {
+    const content = await fs.promises.readFile(path.join(dir, file), 'utf-8');
+    templates[path.basename(file, '.txt')] = content;
+    hash.update(`${file}\n${content}`);
+  }
+
+  const missing = REQUIRED_TEMPLATES.filter(template => templates[template] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing templates: ${missing.join(', ')}`);
+  }
+
+  return {
+    name,
+    version: String(manifest.version),
+    description: manifest.description || null,
+    // Content hash, so an edit made without bumping the version still shows up
+    hash: hash.digest('hex').slice(0, 12),
+    variables: manifest.variables || {},
+    templates
+  };
+}
+
+/**
+ * Load every persona in PROMPTS_DIR. A persona that can't be read is
+ * logged and keeps its previous version, if it had one.
+ * @returns {Promise<Array<Object>>} Loaded personas ({ name, version, hash, description })
+ * @throws {Error} If the default persona (PROMPT_PERSONA) can't be loaded
+ */
+export async function loadPromptTemplates() {
+  const entries = await fs.promises.readdir(PROMPTS_DIR, { withFileTypes: true }).catch(() => []);
+  const next = new Map();
+
+  for (const entry of entries.filter(entry => entry.isDirectory())) {
+    try {
+      next.set(entry.name, await readPersona(entry.name));
+    } catch (error) {
+      logger.error('Failed to load persona', { persona: entry.name, error: error.message });
+      if (personas.has(entry.name)) next.set(entry.name, personas.get(entry.name));
+    }
+  }
+
+  if (!next.has(DEFAULT_PERSONA)) {
+    throw new Error(`Default persona "${DEFAULT_PERSONA}" not found in ${PROMPTS_DIR}`);
+  }
+
+  personas = next;
+  logger.info('Prompt templates loaded', {
+    personas: [...personas.values()].map(persona => `${persona.name}@${persona.version}`)
+  });
+  return listPersonas();
+}
+
+/**
+ * Watch PROMPTS_DIR and reload the templates (debounced) when a file changes
+ */
+export function startPromptTemplateWatcher() {
+  if (watcher) return;
+
+  let timer = null;
+  try {
+    watcher = watchDirectory(PROMPTS_DIR, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        loadPromptTemplates().catch(error => {
+          logger.error('Prompt template reload failed', { error: error.message });
+        });
+      }, WATCH_DEBOUNCE_MS);
+    }, {
+      onError: error => logger.error('Prompt template watcher failed', { error: error.message })
+    });
+  } catch (error) {
+    logger.error('Failed to watch prompt templates', { path: PROMPTS_DIR, error: error.message });
+  }
+}
+
+/**
+ * Loaded personas
+ * @returns {Array<Object>} { name, version, hash, description } for each persona
+ */
+export function listPersonas() {
+  return [...personas.values()].map(({ name, version, hash, description }) => ({ name, version, hash, description }));
+}
+
+/**
+ * Check a persona name from an API caller
+ * @param {string} [name] - Persona name
+ * @throws {Error} With statusCode 400 if no persona has that name
+ */
+export function validatePersona(name) {
+  if (name === undefined || name === null) return;
+  if (typeof name !== 'string' || !personas.has(name)) {
+    throw templateError(400, `Unknown persona "${name}"; use one of ${[...personas.keys()].join(', ')}`);
+  }
+}
+
+/**
+ * The persona to use, falling back to the default for unknown names
+ * @param {string} [name] - Persona name
+ * @returns {Object} Persona
+ */
+function getPersona(name) {
+  if (name && personas.has(name)) return personas.get(name);
+  if (name) {
+    logger.warn('Unknown persona, using the default', { persona: name, default: DEFAULT_PERSONA });
+  }
+  const persona = personas.get(DEFAULT_PERSONA);
+  if (!persona) {
+    throw new Error('Prompt templates are not loaded');
+  }
+  return persona;
+}
+
+/**
+ * The template version a call records
+ * @param {string} [name] - Persona name (defaults to PROMPT_PERSONA)
+ * @returns {{persona: string, version: string, hash: string}} Template version
+ */
+export function getTemplateVersion(name) {
+  const { name: persona, version, hash } = getPersona(name);
+  return { persona, version, hash };
+}
+
+/**
+ * The template name for a conversation phase
+ * @param {string} [phase] - Conversation phase (one of STATES)
+ * @returns {string} Template name
+ */
+export function getPhaseTemplate(phase) {
+  return PHASE_TEMPLATES[phase] || 'conversation';
+}
+
+/**
+ * Render one of a persona's templates
+ * @param {string} [name] - Persona name (defaults to PROMPT_PERSONA)
+ * @param {string} template - Template name, e.g. 'booking' or 'pricing'
+ * @param {Object} [variables] - Lead metadata and prompt parts; the persona's own variables fill any gaps
+ * @returns {string} Rendered text
+ * @throws {Error} If the persona has no such template
+ */
+export function renderTemplate(name, template, variables = {}) {
+  const persona = getPersona(name);
+  const text = persona.templates[template];
+  if (text === undefined) {
+    throw new Error(`Persona "${persona.name}" has no ${template} template`);
+  }
+  return renderTemplateText(persona.name, text, variables);
+}
+
+/**
+ * Render template text that doesn't live in the persona's directory (an
+ * experiment variant's greeting, say) with the persona's variables and partials
+ * @param {string} [name] - Persona name (defaults to PROMPT_PERSONA)
+ * @param {string} text - Template text
+ * @param {Object} [variables] - Lead metadata; the persona's own variables fill any gaps
+ * @returns {string} Rendered text
+ */
+export function renderTemplateText(name, text, variables = {}) {
+  const persona = getPersona(name);
+  return render(text, { ...persona.variables, ...variables }, persona.templates)
+    // Sections left out leave blank lines behind
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,207 @@
+/**
+ * recordingService.js
+ * -------------------
+ * Dual-channel call recording (caller and agent on separate channels).
+ * Recording is requested when the call is created, or started on the live
+ * call for inbound calls; when Twilio reports the recording complete it is
+ * downloaded and stored next to the conversation transcript, and the call
+ * record points at it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { assertCallSid } from '../utils/conversationManager.js';
+import { getCallRecord, updateCallRecord } from './callLifecycleService.js';
+
+const RECORDINGS_DIR = 'conversations';
+const RECORDING_FORMATS = { wav: 'audio/wav', mp3: 'audio/mpeg' };
+const RECORDING_SID_PATTERN = /^RE[0-9a-f]{32}$/i;
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+const DEFAULT_DISCLOSURE = 'Just so you know, this call is recorded for quality and training purposes.';
+
+export const RECORDING_STATUS = {
+  PENDING: 'pending',
+  STORED: 'stored',
+  FAILED: 'failed'
+};
+
+/**
+ * Format recordings are downloaded in
+ * @returns {string} wav or mp3
+ */
+function getRecordingFormat() {
+  const format = process.env.RECORDING_FORMAT || 'wav';
+  return RECORDING_FORMATS[format] ? format : 'wav';
+}
+
+/**
+ * Resolve whether a call is recorded and what is said about it.
+ * @param {Object} [settings] - Per-call or campaign override: { enabled, disclosure }
+ *   where disclosure is true (default line), false (none) or custom text
+ * @returns {{enabled: boolean, disclosure: string|null}} Recording decision
+ */
+export function resolveRecording(settings = {}) {
+  const enabled = settings?.enabled ?? process.env.CALL_RECORDING === 'true';
+  if (!enabled) {
+    return { enabled: false, disclosure: null };
+  }
+
+  // RECORDING_DISCLOSURE is the default line, or 'off' to say nothing unless a campaign asks for it
+  const envDisclosure = process.env.RECORDING_DISCLOSURE;
+  const disclosure = settings?.disclosure ?? envDisclosure !== 'off';
+  if (typeof disclosure === 'string') {
+    return { enabled: true, disclosure };
+  }
+  const defaultLine = envDisclosure && envDisclosure !== 'off' ? envDisclosure : DEFAULT_DISCLOSURE;
+  return { enabled: true, disclosure: disclosure ? defaultLine : null };
+}
+
+/**
+ * Check recording settings from an API caller
+ * @param {Object} settings - { enabled, disclosure }
+ * @throws {Error} With statusCode 400 if the settings are invalid
+ */
+export function validateRecording(settings) {
+  if (settings === undefined || settings === null) return;
+
+  let message = null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    message = 'recording must be an object';
+  } else if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    message = 'recording.enabled must be true or false';
+  } else if (settings.disclosure !== undefined && !['boolean', 'string'].includes(typeof settings.disclosure)) {
+    message = 'recording.disclosure must be true, false or the text to say';
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Twilio options that record a call on two channels and report back to /recording-status
+ * @returns {Object} Options for calls.create or recordings.create
+ */
+export function getRecordingOptions() {
+  return {
+    recordingChannels: 'dual',
+    recordingStatusCallback: `${process.env.SERVER_HOST}/recording-status`,
+    recordingStatusCallbackEvent: ['completed'],
+    recordingStatusCallbackMethod: 'POST'
+  };
+}
+
+/**
+ * Path of a call's stored recording
+ * @param {string} callSid - The Twilio Call SID
+ * @param {string} format - wav or mp3
+ * @returns {string} File path
+ * @throws {Error} With statusCode 400 if the CallSid is malformed
+ */
+function recordingPath(callSid, format) {
+  assertCallSid(callSid);
+  return path.join(RECORDINGS_DIR, `${callSid}.recording.${format}`);
+}
+
+/**
+ * Media URL of a recording on our own Twilio account. Built from the
+ * RecordingSid rather than the callback's RecordingUrl, so the account
+ * credentials are only ever sent to api.twilio.com.
+ * @param {string} recordingSid - The Twilio Recording SID
+ * @param {string} format - wav or mp3
+ * @param {number} channels - Channels to download
+ * @returns {string} Recording media URL
+ * @throws {Error} If the RecordingSid is malformed
+ */
+function recordingMediaUrl(recordingSid, format, channels) {
+  if (!RECORDING_SID_PATTERN.test(String(recordingSid || ''))) {
+    throw new Error(`Invalid RecordingSid: ${recordingSid}`);
+  }
+  const accountSid = encodeURIComponent(process.env.TWILIO_ACCOUNT_SID || '');
+  return `${TWILIO_API_BASE}/Accounts/${accountSid}/Recordings/${recordingSid}.${format}?RequestedChannels=${channels}`;
+}
+
+/**
+ * Merge fields into a call record's recording details
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} fields - Recording fields to set
+ * @returns {Promise<Object>} Updated call record
+ */
+async function updateRecording(callSid, fields) {
+  const record = await getCallRecord(callSid);
+  return updateCallRecord(callSid, { recording: { ...record?.recording, ...fields } });
+}
+
+/**
+ * Download a finished recording from Twilio and store it next to the conversation.
+ * @param {Object} payload - Twilio recording status callback body
+ * @returns {Promise<Object>} Updated call record
+ */
+export async function handleRecordingStatus(payload) {
+  const {
+    CallSid: callSid,
+    RecordingSid: recordingSid,
+    RecordingStatus: status,
+    RecordingDuration: duration,
+    RecordingChannels: channels
+  } = payload;
+  assertCallSid(callSid);
+
+  if (status !== 'completed') {
+    logger.warn('Recording not completed', { callSid, recordingSid, status, errorCode: payload.ErrorCode });
+    return updateRecording(callSid, { sid: recordingSid, status: RECORDING_STATUS.FAILED, error: status });
+  }
+
+  const format = getRecordingFormat();
+  const channelCount = Number(channels) || 2;
+  try {
+    const auth = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+    const response = await fetch(recordingMediaUrl(recordingSid, format, channelCount), {
+      headers: { Authorization: `Basic ${auth}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Recording download failed with status ${response.status}`);
+    }
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    await fs.promises.writeFile(recordingPath(callSid, format), audio);
+    logger.info('Call recording stored', { callSid, recordingSid, bytes: audio.length, duration });
+
+    return updateRecording(callSid, {
+      sid: recordingSid,
+      status: RECORDING_STATUS.STORED,
+      format,
+      channels: channelCount,
+      duration: Number(duration) || 0,
+      bytes: audio.length,
+      storedAt: new Date().toISOString(),
+      error: null
+    });
+  } catch (error) {
+    logger.error('Failed to store call recording', { callSid, recordingSid, error: error.message });
+    return updateRecording(callSid, { sid: recordingSid, status: RECORDING_STATUS.FAILED, error: error.message });
+  }
+}
+
+/**
+ * Find a call's stored recording
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<{path: string, contentType: string, bytes: number}>} Stored recording
+ * @throws {Error} With statusCode 404 if the call has no stored recording
+ */
+export async function getRecordingFile(callSid) {
+  const record = await getCallRecord(callSid);
+  const recording = record?.recording;
+  const filePath = recording?.status === RECORDING_STATUS.STORED ? recordingPath(callSid, recording.format) : null;
+  const stats = filePath ? await fs.promises.stat(filePath).catch(() => null) : null;
+
+  if (!stats) {
+    const error = new Error(`No recording stored for call ${callSid}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return { path: filePath, contentType: RECORDING_FORMATS[recording.format], bytes: stats.size };
+}
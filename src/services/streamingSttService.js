@@ -0,0 +1,132 @@
+/**
+ * streamingSttService.js
+ * ----------------------
+ * Pluggable streaming speech-to-text used by the media-stream pipeline.
+ * A provider receives raw 8kHz μ-law audio from Twilio and reports
+ * transcripts back through callbacks.
+ */
+
+import { LiveTranscriptionEvents } from '@deepgram/sdk';
+import { logger } from '../utils/logger.js';
+import { getDeepgramClient } from './deepgramService.js';
+
+/**
+ * Deepgram live transcription provider.
+ * @param {Object} handlers - Transcript callbacks.
+ * @param {Function} handlers.onSpeechStarted - Called when the caller starts talking.
+ * @param {Function} handlers.onTranscript - Called with (text, isFinal) for every transcript.
+ * @param {Function} handlers.onUtterance - Called with the full text once the caller stops talking.
+ * @param {Function} handlers.onError - Called with an Error if the provider fails.
+ * @returns {Object} Stream with send(audio) and close() methods.
+ */
+function createDeepgramStream({ onSpeechStarted, onTranscript, onUtterance, onError }) {
+  const connection = getDeepgramClient().listen.live({
+    model: process.env.DEEPGRAM_STT_MODEL || 'nova-2',
+    encoding: 'mulaw',
+    sample_rate: 8000,
+    channels: 1,
+    interim_results: true,
+    smart_format: true,
+    endpointing: 300,
+    utterance_end_ms: 1000,
+    vad_events: true
+  });
+
+  // Audio that arrives before the socket is open is buffered here
+  const pending = [];
+  let open = false;
+  let finalParts = [];
+
+  const flushUtterance = () => {
+    const text = finalParts.join(' ').trim();
+    finalParts = [];
+    if (text) {
+      onUtterance(text);
+    }
+  };
+
+  connection.on(LiveTranscriptionEvents.Open, () => {
+    open = true;
+    pending.splice(0).forEach(audio => connection.send(audio));
+    logger.debug('Deepgram live transcription connected');
+  });
+
+  connection.on(LiveTranscriptionEvents.SpeechStarted, () => onSpeechStarted());
+
+  connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+    const text = data.channel?.alternatives?.[0]?.transcript || '';
+    if (!text) {
+      if (data.speech_final) flushUtterance();
+      return;
+    }
+
+    onTranscript(text, data.is_final);
+    if (data.is_final) {
+      finalParts.push(text);
+    }
+    if (data.speech_final) {
+      flushUtterance();
+    }
+  });
+
+  connection.on(LiveTranscriptionEvents.UtteranceEnd, () => flushUtterance());
+
+  connection.on(LiveTranscriptionEvents.Error, (err) => {
+    onError(err instanceof Error ? err : new Error(err?.message || 'Deepgram live transcription error'));
+  });
+
+  connection.on(LiveTranscriptionEvents.Close, () => {
+    open = false;
+    logger.debug('Deepgram live transcription closed');
+  });
+
+  return {
+    send(audio) {
+      if (open) {
+        connection.send(audio);
+      } else {
+        pending.push(audio);
+      }
+    },
+    close() {
+      connection.requestClose();
+    }
+  };
+}
+
+// Registered streaming STT providers, keyed by name
+const providers = new Map([
+  ['deepgram', createDeepgramStream]
+]);
+
+/**
+ * Register an additional streaming STT provider.
+ * @param {string} name - Provider name (selected via STREAMING_STT_PROVIDER)
+ * @param {Function} factory - Receives the handler callbacks and returns { send, close }
+ */
+export function registerSttProvider(name, factory) {
+  providers.set(name, factory);
+  logger.info('Registered streaming STT provider', { name });
+}
+
+/**
+ * Open a streaming transcription session with the configured provider.
+ * @param {Object} handlers - Transcript callbacks, see createDeepgramStream
+ * @returns {Object} Stream with send(audio) and close() methods
+ */
+export function createSpeechStream(handlers) {
+  const name = process.env.STREAMING_STT_PROVIDER || 'deepgram';
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown streaming STT provider: ${name}`);
+  }
+
+  const noop = () => {};
+  return factory({
+    onSpeechStarted: noop,
+    onTranscript: noop,
+    onUtterance: noop,
+    onError: noop,
+    ...handlers
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * suppressionService.js
+ * ---------------------
+ * Do-not-call list. Numbers land here when a caller asks not to be called
+ * again or when the outbound team adds them; initiateCall refuses to dial
+ * anything on the list. Entries are persisted under data/suppressions, one
+ * file per number.
+ */
+
+import { logger } from '../utils/logger.js';
+import { readJson, writeJson, readAllJson, removeJson } from '../utils/jsonFileStore.js';
+import { parseCsv } from '../utils/csv.js';
+import { updateCallRecord, getCallRecord } from './callLifecycleService.js';
+
+const SUPPRESSIONS_DIR = 'suppressions';
+
+// Disposition recorded for calls where the caller asked to be removed (campaigns never retry it)
+export const OPT_OUT_DISPOSITION = 'opted-out';
+
+// Error code initiateCall uses when it refuses a suppressed number
+export const SUPPRESSED_ERROR_CODE = 'NUMBER_SUPPRESSED';
+
+// Only wording that is clearly permanent: "don't call me now, call me tomorrow" or
+// "don't call me on this number" are about this call, not the do-not-call list
+const OPT_OUT_PATTERNS = [
+  /\b(do ?n[o']?t|never)( ever)? (call|ring|contact) (me|this number)( ever)? (again|anymore|any more)\b/i,
+  /\bstop calling (me|this number)( again| anymore| altogether| for good)?\s*(please)?\s*([.!]|$)/i,
+  /\b(remove (me|my (number|name))|take me off) (from |of )?(your|the|this) (calling |call )?(list|database)\b/i,
+  /\bremove my (phone )?number\b/i,
+  /\bunsubscribe\b/i,
+  /\b(put|add) me (on|to) (the|your) do[- ]not[- ]call\b/i
+];
+
+/**
+ * Normalize a phone number so "+91 98765-43210" and "+919876543210" match
+ * @param {string} phoneNumber - Phone number as entered or spoken
+ * @returns {string|null} Normalized number or null if it has no digits
+ */
+export function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return String(phoneNumber).trim().startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Storage path for a number's entry
+ * @param {string} normalized - Normalized phone number
+ * @returns {string} Path relative to DATA_DIR
+ */
+function entryPath(normalized) {
+  return `${SUPPRESSIONS_DIR}/${normalized.replace(/\D/g, '')}.json`;
+}
+
+/**
+ * Whether the caller is asking not to be called again
+ * @param {string} speech - What the caller said
+ * @returns {boolean} True for opt-out requests
+ */
+export function detectOptOut(speech = '') {
+  return OPT_OUT_PATTERNS.some(pattern => pattern.test(speech));
+}
+
+/**
+ * Whether a number is on the do-not-call list
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<boolean>} True if it must not be dialed
+ */
+export async function isSuppressed(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) return false;
+  return !!(await readJson(entryPath(normalized)));
+}
+
+/**
+ * Add a number to the do-not-call list (re-adding keeps the original entry)
+ * @param {string} phoneNumber - Phone number
+ * @param {Object} [details] - Why it was added
+ * @param {string} [details.reason] - Free-text reason
+ * @param {string} [details.source] - 'opt-out', 'admin' or 'import'
+ * @param {string} [details.callSid] - Call the opt-out happened on
+ * @returns {Promise<Object>} The suppression entry
+ */
+export async function addSuppression(phoneNumber, { reason = null, source = 'admin', callSid = null } = {}) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    const error = new Error('A valid phoneNumber is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const existing = await readJson(entryPath(normalized));
+  if (existing) return existing;
+
+  const entry = {
+    phoneNumber: normalized,
+    reason,
+    source,
+    callSid,
+    addedAt: new Date().toISOString()
+  };
+  await writeJson(entryPath(normalized), entry);
+  logger.info('Number added to do-not-call list', { phoneNumber: normalized, source, callSid });
+  return entry;
+}
+
+/**
+ * Remove a number from the do-not-call list
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<boolean>} True if the number was on the list
+ */
+export async function removeSuppression(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) return false;
+
+  const removed = await removeJson(entryPath(normalized));
+  if (removed) {
+    logger.info('Number removed from do-not-call list', { phoneNumber: normalized });
+  }
+  return removed;
+}
+
+/**
+ * List the do-not-call list, newest first
+ * @returns {Promise<Array>} Suppression entries
+ */
+export async function listSuppressions() {
+  const entries = await readAllJson(SUPPRESSIONS_DIR);
+  return entries.sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+}
+
+/**
+ * Import numbers from CSV. The phone column is any header containing "phone"
+ * (or the first column); an optional "reason" column is kept.
+ * @param {string} csvText - CSV with a header row
+ * @returns {Promise<{added: number, skipped: number}>} Import summary
+ */
+export async function importSuppressions(csvText) {
+  const rows = parseCsv(csvText || '');
+  let added = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const keys = Object.keys(row);
+    const phoneKey = keys.find(key => /phone/i.test(key)) || keys[0];
+    const reasonKey = keys.find(key => /reason/i.test(key));
+    const normalized = normalizePhoneNumber(row[phoneKey]);
+
+    if (!normalized || await isSuppressed(normalized)) {
+      skipped++;
+      continue;
+    }
+    await addSuppression(normalized, { reason: reasonKey ? row[reasonKey] || null : null, source: 'import' });
+    added++;
+  }
+
+  logger.info('Imported do-not-call list', { added, skipped });
+  return { added, skipped };
+}
+
+/**
+ * Honor a spoken opt-out: suppress the caller's number and mark the call
+ * @param {string} callSid - The Twilio Call SID
+ * @param {string} [phoneNumber] - The caller's phone number (defaults to the number we dialed)
+ * @returns {Promise<void>}
+ */
+export async function recordOptOut(callSid, phoneNumber) {
+  const number = phoneNumber || (await getCallRecord(callSid))?.to;
+  if (number) {
+    await addSuppression(number, { reason: 'Caller asked not to be called again', source: 'opt-out', callSid });
+  } else {
+    logger.warn('Caller opted out but their number is unknown', { callSid });
+  }
+  await updateCallRecord(callSid, { disposition: OPT_OUT_DISPOSITION });
+}
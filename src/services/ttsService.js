@@ -0,0 +1,275 @@
+/**
+ * ttsService.js
+ * -------------
+ * Pluggable text-to-speech. A voice profile (engine, voice, language, speed,
+ * encoding) is resolved from the environment, the campaign and the lead, and
+ * every line the agent speaks on a call (greeting, replies, voicemail,
+ * closing lines) goes through the same engine so the caller hears one voice.
+ *
+ * Engines either render audio (Deepgram, the local offline engine) or are
+ * spoken by Twilio itself (<Say> with a Polly voice).
+ *
+ * Rendered audio is content-addressed by text + voice + format and kept in
+ * the cache, so a repeated phrase plays without another TTS round-trip.
+ * Files for <Play> are written through audioStorageService, per call.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { synthesizeSpeech } from './deepgramService.js';
+import { getCache, setCache, generateCacheKey, TTL } from './cacheService.js';
+import { saveCallAudio } from './audioStorageService.js';
+
+// File extension for each audio format written for <Play>
+const FILE_EXTENSIONS = { wav: 'wav', mp3: 'mp3' };
+
+const CACHE_PREFIX = 'tts';
+
+/**
+ * Build a WAV (8kHz, 16-bit mono) header for PCM data
+ * @param {number} dataLength - PCM byte length
+ * @returns {Buffer} 44-byte header
+ */
+function wavHeader(dataLength) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(16000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+// Registered engines, keyed by name. Audio engines implement synthesize(text, voice, format);
+// 'say' engines are rendered by Twilio and only work on the <Gather> pipeline. `options`
+// lists the profile settings an engine honours (all of them when left out).
+const engines = new Map([
+  ['deepgram', {
+    kind: 'audio',
+    defaultVoice: 'aura-asteria-en',
+    formats: ['wav', 'mp3', 'mulaw'],
+    // Aura voices speak at one rate, in the language of the model (aura-asteria-en)
+    options: [],
+    synthesize: (text, voice, format) => synthesizeSpeech(text, { format, model: voice.voice })
+  }],
+  ['twilio-say', {
+    kind: 'say',
+    defaultVoice: 'Polly.Joanna',
+    options: ['language', 'speed']
+  }],
+  ['local', {
+    kind: 'audio',
+    defaultVoice: 'silence',
+    formats: ['wav', 'mulaw'],
+    options: ['speed'],
+    // Offline engine for tests: silence roughly as long as the text would take to say
+    synthesize: async (text, voice, format) => {
+      const samples = Math.round((text.length * 0.06 / (voice.speed || 1)) * 8000);
+      if (format === 'mulaw') {
+        return Buffer.alloc(samples, 0xff);
+      }
+      return Buffer.concat([wavHeader(samples * 2), Buffer.alloc(samples * 2)]);
+    }
+  }]
+]);
+
+/**
+ * Register an additional TTS engine.
+ * @param {string} name - Engine name used in voice profiles
+ * @param {Object} engine - { kind: 'audio', defaultVoice, formats, options, synthesize(text, voice, format) }
+ *   or { kind: 'say', defaultVoice, options }; options lists the supported settings ('language', 'speed')
+ */
+export function registerTtsEngine(name, engine) {
+  engines.set(name, engine);
+  logger.info('Registered TTS engine', { name });
+}
+
+/**
+ * Whether an engine honours a voice setting
+ * @param {string} name - Engine name
+ * @param {string} option - 'language' or 'speed'
+ * @returns {boolean} True if the setting changes how the engine speaks
+ */
+function supportsOption(name, option) {
+  return engines.get(name)?.options?.includes(option) ?? true;
+}
+
+/**
+ * Check a voice profile from an API caller. Settings the engine (the
+ * profile's own, else TTS_ENGINE) would ignore are refused rather than
+ * silently dropped.
+ * @param {Object} voice - Partial voice profile
+ * @throws {Error} With statusCode 400 if the profile is invalid
+ */
+export function validateVoice(voice) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  if (voice === undefined || voice === null) return;
+  if (typeof voice !== 'object' || Array.isArray(voice)) fail('voice must be an object');
+  if (voice.engine && !engines.has(voice.engine)) {
+    fail(`Unknown TTS engine "${voice.engine}" (available: ${Array.from(engines.keys()).join(', ')})`);
+  }
+  if (voice.speed !== undefined && !(Number(voice.speed) >= 0.5 && Number(voice.speed) <= 2)) {
+    fail('voice.speed must be between 0.5 and 2');
+  }
+  if (voice.encoding && !FILE_EXTENSIONS[voice.encoding]) {
+    fail(`voice.encoding must be one of ${Object.keys(FILE_EXTENSIONS).join(', ')}`);
+  }
+
+  const engine = voice.engine || process.env.TTS_ENGINE || 'deepgram';
+  for (const option of ['language', 'speed']) {
+    if (voice[option] !== undefined && !supportsOption(engine, option)) {
+      fail(`The ${engine} engine does not support voice.${option}`);
+    }
+  }
+}
+
+/**
+ * Resolve the voice profile for a call. Later layers win; a layer that
+ * switches engine without naming a voice gets that engine's default voice.
+ * @param {...Object} overrides - Partial profiles, e.g. campaign then lead
+ * @returns {{engine: string, voice: string, language: string, speed: number, encoding: string}} Voice profile
+ */
+export function resolveVoice(...overrides) {
+  const profile = {
+    engine: process.env.TTS_ENGINE || 'deepgram',
+    voice: process.env.TTS_VOICE || null,
+    language: process.env.TTS_LANGUAGE || 'en-US',
+    speed: Number(process.env.TTS_SPEED) || 1,
+    encoding: process.env.TTS_ENCODING || 'wav'
+  };
+
+  for (const layer of overrides.filter(Boolean)) {
+    if (layer.engine && layer.engine !== profile.engine) {
+      profile.engine = layer.engine;
+      profile.voice = null;
+    }
+    for (const field of ['voice', 'language', 'encoding']) {
+      if (layer[field]) profile[field] = layer[field];
+    }
+    if (layer.speed) profile.speed = Number(layer.speed);
+  }
+
+  if (!engines.has(profile.engine)) {
+    logger.warn('Unknown TTS engine, using deepgram', { engine: profile.engine });
+    profile.engine = 'deepgram';
+    profile.voice = null;
+  }
+  profile.voice = profile.voice || engines.get(profile.engine).defaultVoice;
+  // A speed the engine can't apply would only split the audio cache
+  if (!supportsOption(profile.engine, 'speed')) profile.speed = 1;
+  return profile;
+}
+
+/**
+ * Whether a voice profile renders audio (as opposed to being spoken by Twilio)
+ * @param {Object} voice - Resolved voice profile
+ * @returns {boolean} True for audio engines
+ */
+export function isAudioVoice(voice) {
+  return engines.get(voice.engine)?.kind === 'audio';
+}
+
+/**
+ * Content address for a rendered phrase
+ * @param {string} text - Text to speak
+ * @param {Object} voice - Resolved voice profile
+ * @param {string} format - Output format
+ * @returns {string} Hex digest
+ */
+function audioHash(text, voice, format) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([voice.engine, voice.voice, voice.language, voice.speed, format, text]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Render text to audio with the profile's engine, or take it from the audio
+ * cache. Engines that can't produce audio (Twilio <Say>) fall back to
+ * Deepgram, e.g. on media streams.
+ * @param {string} text - Text to speak
+ * @param {Object} voice - Resolved voice profile
+ * @param {string} [format] - wav, mp3 or mulaw (defaults to the profile's encoding)
+ * @param {Object} [options] - Options
+ * @param {number} [options.ttl] - How long to keep the audio cached, in seconds
+ * @param {boolean} [options.cache=true] - Store newly rendered audio; one-off lines such as
+ *   generated replies are never heard again, so caching them only fills the cache
+ * @returns {Promise<{audio: Buffer, format: string, hash: string, cached: boolean}>} Audio, its format and content hash
+ */
+export async function synthesize(text, voice, format = voice.encoding, { ttl = TTL.TTS_AUDIO, cache = true } = {}) {
+  let engine = engines.get(voice.engine);
+  let profile = voice;
+
+  if (engine.kind !== 'audio') {
+    logger.warn('TTS engine cannot render audio here, falling back to deepgram', { engine: voice.engine });
+    profile = resolveVoice({ ...voice, engine: 'deepgram', voice: null });
+    engine = engines.get('deepgram');
+  }
+
+  // Engines that can't produce the requested file format fall back to WAV
+  const outputFormat = engine.formats.includes(format) ? format : 'wav';
+  const hash = audioHash(text, profile, outputFormat);
+  const cacheKey = generateCacheKey(CACHE_PREFIX, hash);
+
+  const cached = await getCache(cacheKey);
+  if (cached) {
+    logger.debug('TTS audio cache hit', { hash, format: outputFormat });
+    return { audio: Buffer.from(cached.audio, 'base64'), format: outputFormat, hash, cached: true };
+  }
+
+  const audio = await engine.synthesize(text, profile, outputFormat);
+  if (cache) {
+    await setCache(cacheKey, { audio: audio.toString('base64'), format: outputFormat }, ttl);
+  }
+  return { audio, format: outputFormat, hash, cached: false };
+}
+
+/**
+ * Add a spoken line to a TwiML response: <Play> of rendered audio, or
+ * <Say> for Twilio-rendered voices. If rendering fails the line is still
+ * said, in the Polly voice, rather than dropped.
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {string} text - Text to speak
+ * @param {Object} voice - Resolved voice profile
+ * @param {Object} [options] - Options
+ * @param {string} [options.prefix='response'] - Audio file name prefix
+ * @param {string} [options.callSid] - Call the audio file belongs to
+ * @param {boolean} [options.cache=true] - Keep the rendered audio for reuse (false for generated replies)
+ * @returns {Promise<void>}
+ */
+export async function appendSpeech(twiml, text, voice, { prefix = 'response', callSid, cache = true } = {}) {
+  const engine = engines.get(voice.engine);
+
+  if (engine.kind === 'audio') {
+    try {
+      const { audio, format, hash } = await synthesize(text, voice, voice.encoding, { cache });
+      const audioPath = await saveCallAudio(callSid, audio, FILE_EXTENSIONS[format], { prefix, contentHash: hash });
+      twiml.play(`${process.env.SERVER_HOST}${audioPath}`);
+      return;
+    } catch (error) {
+      logger.error('TTS failed, falling back to <Say>', { engine: voice.engine, error: error.message });
+    }
+  }
+
+  const sayVoice = engine.kind === 'say' ? voice.voice : engines.get('twilio-say').defaultVoice;
+  const say = twiml.say({ voice: sayVoice, language: voice.language });
+  if (voice.speed && voice.speed !== 1) {
+    say.prosody({ rate: `${Math.round(voice.speed * 100)}%` }, text);
+  } else {
+    say.addText(text);
+  }
+}
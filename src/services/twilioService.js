@@ -6,27 +6,79 @@
 
 import twilio from 'twilio';
 import { logger } from '../utils/logger.js';
+import { createCallRecord } from './callLifecycleService.js';
+import { isSuppressed, SUPPRESSED_ERROR_CODE } from './suppressionService.js';
+import { evaluateCallingHours, OUTSIDE_HOURS_ERROR_CODE } from './callingHoursService.js';
+import { resolveRecording, getRecordingOptions, RECORDING_STATUS } from './recordingService.js';
 
 const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
+// Status events Twilio should report to /call-status
+const STATUS_CALLBACK_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+
+/**
+ * Answering-machine detection options for calls.create.
+ * DetectMessageEnd waits for the voicemail beep so a dropped message isn't cut off;
+ * set MACHINE_DETECTION=off to disable detection.
+ * @returns {object} Twilio call options.
+ */
+function getMachineDetectionOptions() {
+  const mode = process.env.MACHINE_DETECTION || 'DetectMessageEnd';
+  if (mode === 'off') {
+    return {};
+  }
+  return {
+    machineDetection: mode,
+    machineDetectionTimeout: Number(process.env.MACHINE_DETECTION_TIMEOUT) || 30,
+  };
+}
+
 /**
  * Initiates a call using Twilio REST API.
  * @param {string} toNumber - The recipient's phone number.
  * @param {string} webhookUrl - Your /start webhook URL for TwiML instructions.
- * @returns {object} Twilio call SID and status.
+ * @param {object} [details] - Extra fields stored on the call's lifecycle record (campaignId, leadId, timezone, ...).
+ *   `details.recording` ({ enabled, disclosure }) overrides the CALL_RECORDING default for this call.
+ * @returns {object} Twilio call SID, status and the calling-hours decision.
+ * @throws {Error} With code NUMBER_SUPPRESSED (statusCode 403) if the number is on the do-not-call list,
+ *   or OUTSIDE_CALLING_HOURS (statusCode 409, with the decision attached) outside the lead's calling hours.
+ *   Nothing is thrown once Twilio has accepted the call; a failure to record it is only logged.
  */
-export async function initiateCall(toNumber, webhookUrl) {
+export async function initiateCall(toNumber, webhookUrl, details = {}) {
+  if (await isSuppressed(toNumber)) {
+    logger.warn('🚫 Refusing to call number on the do-not-call list', { to: toNumber });
+    const error = new Error(`${toNumber} is on the do-not-call list`);
+    error.code = SUPPRESSED_ERROR_CODE;
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const callingHours = evaluateCallingHours(toNumber, { timezone: details.timezone });
+  if (!callingHours.allowed) {
+    logger.warn('🕘 Refusing to call outside calling hours', { to: toNumber, reason: callingHours.reason });
+    const error = new Error(`It is ${callingHours.localTime} for ${toNumber} (${callingHours.reason}); calling opens at ${callingHours.nextAllowedAt}`);
+    error.code = OUTSIDE_HOURS_ERROR_CODE;
+    error.statusCode = 409;
+    error.callingHours = callingHours;
+    throw error;
+  }
+
+  const recording = resolveRecording(details.recording);
+
+  let call;
   try {
-    logger.info('📞 Initiating Twilio call', { to: toNumber });
+    logger.info('📞 Initiating Twilio call', { to: toNumber, record: recording.enabled });
 
-    const call = await client.calls.create({
+    call = await client.calls.create({
       url: webhookUrl,
       to: toNumber,
       from: process.env.TWILIO_NUMBER,
+      statusCallback: `${process.env.SERVER_HOST}/call-status`,
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+      statusCallbackMethod: 'POST',
+      ...getMachineDetectionOptions(),
+      ...(recording.enabled ? { record: true, ...getRecordingOptions() } : {}),
     });
-
-    logger.info('✅ Call initiated successfully', { sid: call.sid, status: call.status });
-    return { sid: call.sid, status: call.status };
   } catch (err) {
     logger.error('❌ Failed to initiate Twilio call', {
       message: err.message,
@@ -34,4 +86,75 @@ export async function initiateCall(toNumber, webhookUrl) {
     });
     throw err;
   }
+
+  logger.info('✅ Call initiated successfully', { sid: call.sid, status: call.status });
+
+  // The call is placed now, so a failure from here on must not look like a
+  // failed dial: the caller would retry and ring the lead twice
+  try {
+    await createCallRecord(call.sid, {
+      ...details,
+      direction: 'outbound-api',
+      to: toNumber,
+      from: process.env.TWILIO_NUMBER,
+      status: call.status,
+      callingHours,
+      // /start reads this to add the consent disclosure to the greeting
+      recording: recording.enabled ? { ...recording, status: RECORDING_STATUS.PENDING } : null,
+    });
+  } catch (err) {
+    logger.error('Failed to record initiated call', { sid: call.sid, error: err.message });
+  }
+  return { sid: call.sid, status: call.status, callingHours };
+}
+
+/**
+ * Checks the X-Twilio-Signature header of a webhook request against TWILIO_AUTH_TOKEN.
+ * Twilio signs the full URL it called (SERVER_HOST + path) and the POSTed form fields.
+ * Set TWILIO_VALIDATE_SIGNATURES=off to accept unsigned requests (local testing only).
+ * @param {object} request - The Fastify request.
+ * @returns {boolean} True if the request came from Twilio (or validation is off).
+ */
+export function isValidTwilioRequest(request) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURES === 'off') {
+    return true;
+  }
+  const signature = request.headers['x-twilio-signature'];
+  if (!signature || !process.env.TWILIO_AUTH_TOKEN) {
+    return false;
+  }
+  const url = `${process.env.SERVER_HOST || ''}${request.url}`;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, request.body || {});
+}
+
+/**
+ * Fetches the current status of a call from the Twilio REST API.
+ * @param {string} callSid - The Twilio Call SID.
+ * @returns {object} Call status and duration in seconds.
+ */
+export async function getCallStatus(callSid) {
+  const call = await client.calls(callSid).fetch();
+  return { sid: call.sid, status: call.status, duration: Number(call.duration) || 0 };
+}
+
+/**
+ * Hangs up an in-progress call (used by the media-stream pipeline, which has no TwiML turn to end on).
+ * @param {string} callSid - The Twilio Call SID.
+ * @returns {object} Call SID and status.
+ */
+export async function hangupCall(callSid) {
+  const call = await client.calls(callSid).update({ status: 'completed' });
+  logger.info('📴 Call hung up', { sid: call.sid });
+  return { sid: call.sid, status: call.status };
+}
+
+/**
+ * Starts a dual-channel recording on a live call (inbound calls, which aren't created through initiateCall).
+ * @param {string} callSid - The Twilio Call SID.
+ * @returns {object} Recording SID and status.
+ */
+export async function startCallRecording(callSid) {
+  const recording = await client.calls(callSid).recordings.create(getRecordingOptions());
+  logger.info('⏺️ Call recording started', { sid: callSid, recordingSid: recording.sid });
+  return { sid: recording.sid, status: recording.status };
 }
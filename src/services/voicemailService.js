@@ -0,0 +1,70 @@
+/**
+ * voicemailService.js
+ * -------------------
+ * Voicemail drop for outbound calls answered by a machine. Twilio's
+ * answering-machine detection reports AnsweredBy on /start; machines get a
+ * short personalized message in the call's voice, then a hang-up.
+ */
+
+import { logger } from '../utils/logger.js';
+import { updateCallRecord } from './callLifecycleService.js';
+
+// Disposition recorded for calls where we left a message (campaigns can retry it)
+export const VOICEMAIL_DISPOSITION = 'voicemail-left';
+
+const DEFAULT_VOICEMAIL_MESSAGE = 'Hi {Name}, this is Ritwik from Crio Dot Do. I was calling about {Program Interested} and our free-trial workshop. I\'ll try you again soon. Have a great day!';
+
+// Placeholder values used when the lead profile doesn't have the field
+const PLACEHOLDER_FALLBACKS = {
+  'Name': ['name', 'there'],
+  'Program Interested': ['programInterested', 'our hands-on programs'],
+  'Source': ['source', 'our website']
+};
+
+/**
+ * Whether Twilio's AnsweredBy value means a machine picked up
+ * @param {string} answeredBy - AnsweredBy from the Twilio webhook
+ * @returns {boolean} True for answering machines and fax
+ */
+export function isMachine(answeredBy) {
+  return typeof answeredBy === 'string' && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+}
+
+/**
+ * Build the voicemail text for a lead
+ * @param {Object} metadata - Lead metadata
+ * @returns {string} Voicemail message
+ */
+export function buildVoicemailMessage(metadata = {}) {
+  const template = process.env.VOICEMAIL_MESSAGE || DEFAULT_VOICEMAIL_MESSAGE;
+  return template.replace(/\{([A-Za-z ]+)\}/g, (match, placeholder) => {
+    const [field, fallback] = PLACEHOLDER_FALLBACKS[placeholder] || [];
+    if (!field) return match;
+    return metadata[field] || fallback;
+  });
+}
+
+/**
+ * Prepare the voicemail drop for a call and record the outcome
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} metadata - Lead metadata
+ * @param {string} answeredBy - AnsweredBy from the Twilio webhook
+ * @returns {Promise<{message: string|null, leaveMessage: boolean}>} What to say
+ */
+export async function prepareVoicemail(callSid, metadata, answeredBy) {
+  // Nobody listens to a fax line; just hang up
+  if (answeredBy === 'fax') {
+    await updateCallRecord(callSid, { answeredBy, disposition: 'fax' });
+    return { message: null, leaveMessage: false };
+  }
+
+  const message = buildVoicemailMessage(metadata);
+  await updateCallRecord(callSid, {
+    answeredBy,
+    disposition: VOICEMAIL_DISPOSITION,
+    voicemailMessage: message
+  });
+  logger.info('Voicemail drop prepared', { callSid, answeredBy });
+
+  return { message, leaveMessage: true };
+}
@@ -1,47 +1,106 @@
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
 import { logger } from './logger.js';
+import { createFileConversationStore } from '../services/conversationStores/fileStore.js';
+import { createRedisConversationStore } from '../services/conversationStores/redisStore.js';
+import { createSqliteConversationStore } from '../services/conversationStores/sqliteStore.js';
 
-const CONVERSATIONS_DIR = 'conversations';
-const MAX_CONVERSATION_SIZE = 100; // Maximum number of messages per conversation
-const MAX_FILE_SIZE = 1024 * 1024; // 1MB max file size
+const MAX_CONVERSATION_SIZE = 100; // Maximum number of messages handed to the model
+const CALL_SID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
-// Ensure conversations directory exists
-if (!fs.existsSync(CONVERSATIONS_DIR)) {
-  fs.mkdirSync(CONVERSATIONS_DIR);
+// Registered conversation stores, keyed by name. A store implements
+// appendMessage, getMessages, saveInfo, getInfo, findByPhoneKey,
+// listConversations and removeConversation (see conversationStores/fileStore.js).
+const stores = new Map([
+  ['file', createFileConversationStore],
+  ['redis', createRedisConversationStore],
+  ['sqlite', createSqliteConversationStore]
+]);
+
+let storePromise = null;
+let retentionTimer = null;
+
+// Per-call write chains, so messages land in the order they were saved
+const writeQueues = new Map();
+
+/**
+ * Register an additional conversation store.
+ * @param {string} name - Store name used in CONVERSATION_STORE
+ * @param {Function} factory - Returns (or resolves to) a store
+ */
+export function registerConversationStore(name, factory) {
+  stores.set(name, factory);
+  logger.info('Registered conversation store', { name });
 }
 
 /**
- * Get conversation history for a specific call
- * @param {string} callSid - The Twilio Call SID
- * @returns {Array} Array of conversation messages
+ * Open the configured store, falling back to the filesystem if it can't be used
+ * @returns {Promise<Object>} Conversation store
  */
-export function getConversation(callSid) {
-  const filePath = path.join(CONVERSATIONS_DIR, `${callSid}.txt`);
+async function openStore() {
+  const name = process.env.CONVERSATION_STORE || 'file';
   try {
-    if (fs.existsSync(filePath)) {
-      // Check file size before reading
-      const stats = fs.statSync(filePath);
-      if (stats.size > MAX_FILE_SIZE) {
-        logger.warn('Conversation file too large, truncating', { 
-          callSid, 
-          size: stats.size 
-        });
-        return [];
-      }
-      
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const conversation = JSON.parse(content);
-      
-      // Ensure conversation is an array
-      if (!Array.isArray(conversation)) {
-        logger.warn('Invalid conversation format, resetting', { callSid });
-        return [];
-      }
-      
-      return conversation;
+    const factory = stores.get(name);
+    if (!factory) {
+      throw new Error(`Unknown conversation store: ${name}`);
     }
-    return [];
+    const store = await factory();
+    logger.info('Conversation store ready', { store: name });
+    return store;
+  } catch (error) {
+    if (name === 'file') throw error;
+    logger.error('Conversation store unavailable, using the filesystem', { store: name, error: error.message });
+    return createFileConversationStore();
+  }
+}
+
+/**
+ * The conversation store in use
+ * @returns {Promise<Object>} Conversation store
+ */
+function getStore() {
+  if (!storePromise) {
+    storePromise = openStore();
+  }
+  return storePromise;
+}
+
+/**
+ * Key for looking calls up by phone number (digits only, so +91 98... and 9198... match)
+ * @param {string} phoneNumber - Phone number
+ * @returns {string|null} Digits, or null if there are none
+ */
+function toPhoneKey(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+/**
+ * Check a CallSid before it is used as a storage key or file name
+ * @param {string} callSid - The Twilio Call SID
+ * @throws {Error} With statusCode 400 if the CallSid is malformed
+ */
+export function assertCallSid(callSid) {
+  if (!CALL_SID_PATTERN.test(String(callSid || ''))) {
+    const error = new Error(`Invalid CallSid: ${callSid}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Get recent conversation history for a specific call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<Array>} Array of conversation messages (the most recent MAX_CONVERSATION_SIZE)
+ */
+export async function getConversation(callSid) {
+  try {
+    assertCallSid(callSid);
+    await writeQueues.get(callSid);
+    const messages = await (await getStore()).getMessages(callSid);
+    return messages.slice(-MAX_CONVERSATION_SIZE);
   } catch (error) {
     logger.error('Error reading conversation', { callSid, error: error.message });
     return [];
@@ -49,53 +108,90 @@ export function getConversation(callSid) {
 }
 
 /**
- * Save a new message to the conversation
+ * Save a new message to the conversation. Messages are appended; nothing is rewritten.
  * @param {string} callSid - The Twilio Call SID
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - The message content
+ * @param {Object} [details] - Extra fields stored with the message, e.g. an assistant turn's
+ *   knowledge base sources ({ retrieved, cited } chunk IDs) and any flagged figures
+ * @returns {Promise<void>} Resolves once the message is stored (errors are logged, not thrown)
  */
-export function saveMessage(callSid, role, content) {
-  const filePath = path.join(CONVERSATIONS_DIR, `${callSid}.txt`);
+export function saveMessage(callSid, role, content, details = {}) {
+  const message = { role, content, ...details, timestamp: new Date().toISOString() };
+
+  const previous = writeQueues.get(callSid) || Promise.resolve();
+  const write = previous.then(async () => {
+    assertCallSid(callSid);
+    await (await getStore()).appendMessage(callSid, message);
+    logger.info('Saved message to conversation', { callSid, role });
+  }).catch(error => {
+    logger.error('Error saving message', { callSid, error: error.message });
+  });
+
+  writeQueues.set(callSid, write);
+  write.then(() => {
+    if (writeQueues.get(callSid) === write) writeQueues.delete(callSid);
+  });
+  return write;
+}
+
+/**
+ * Record who a call is with, so the lead's earlier calls can be found by number
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} info - Call details
+ * @param {string} [info.phoneNumber] - The lead's phone number
+ * @param {string} [info.direction] - inbound or outbound
+ * @returns {Promise<void>}
+ */
+export async function startConversation(callSid, { phoneNumber, ...info } = {}) {
   try {
-    const conversation = getConversation(callSid);
-    
-    // Add new message
-    conversation.push({ 
-      role, 
-      content, 
-      timestamp: new Date().toISOString() 
-    });
-    
-    // Limit conversation size to prevent memory issues
-    if (conversation.length > MAX_CONVERSATION_SIZE) {
-      conversation.splice(0, conversation.length - MAX_CONVERSATION_SIZE);
-      logger.info('Conversation truncated to prevent memory issues', { 
-        callSid, 
-        maxSize: MAX_CONVERSATION_SIZE 
-      });
-    }
-    
-    // Write to file with error handling
-    const jsonContent = JSON.stringify(conversation, null, 2);
-    fs.writeFileSync(filePath, jsonContent);
-    
-    logger.info('Saved message to conversation', { 
-      callSid, 
-      role, 
-      messageCount: conversation.length 
+    assertCallSid(callSid);
+    await (await getStore()).saveInfo(callSid, {
+      ...info,
+      callSid,
+      phoneNumber: phoneNumber || null,
+      phoneKey: toPhoneKey(phoneNumber),
+      startedAt: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error saving message', { callSid, error: error.message });
+    logger.error('Error saving conversation details', { callSid, error: error.message });
   }
 }
 
+/**
+ * Full stored conversation for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<{info: Object|null, messages: Array}|null>} Call details and every message, or null if unknown
+ * @throws {Error} With statusCode 400 for a malformed CallSid
+ */
+export async function getConversationDetails(callSid) {
+  assertCallSid(callSid);
+  await writeQueues.get(callSid);
+  const store = await getStore();
+  const [info, messages] = await Promise.all([store.getInfo(callSid), store.getMessages(callSid)]);
+  if (!info && messages.length === 0) return null;
+  return { info, messages };
+}
+
+/**
+ * A lead's calls, newest first
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<Array>} Call details ({ callSid, phoneNumber, direction, startedAt, ... })
+ */
+export async function findConversationsByPhoneNumber(phoneNumber) {
+  const phoneKey = toPhoneKey(phoneNumber);
+  if (!phoneKey) return [];
+  const infos = await (await getStore()).findByPhoneKey(phoneKey);
+  return infos.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
 /**
  * Format conversation history for Gemini API
  * @param {string} callSid - The Twilio Call SID
- * @returns {Array} Formatted conversation history
+ * @returns {Promise<Array>} Formatted conversation history
  */
-export function getFormattedConversation(callSid) {
-  const conversation = getConversation(callSid);
+export async function getFormattedConversation(callSid) {
+  const conversation = await getConversation(callSid);
   return conversation.map(msg => ({
     role: msg.role,
     parts: [{ text: msg.content }]
@@ -103,27 +199,55 @@ export function getFormattedConversation(callSid) {
 }
 
 /**
- * Clean up old conversation files
- * @param {number} maxAge - Maximum age in hours (default: 24)
+ * Archive (or delete) conversations with no activity for
+ * CONVERSATION_RETENTION_DAYS. Archives are gzipped JSON files
+ * ({ info, messages, archivedAt }) in CONVERSATION_ARCHIVE_DIR.
+ * @returns {Promise<{archived: number, deleted: number}>} Counts
  */
-export function cleanupOldConversations(maxAge = 24) {
-  try {
-    const files = fs.readdirSync(CONVERSATIONS_DIR);
-    const now = Date.now();
-    const maxAgeMs = maxAge * 60 * 60 * 1000;
-    
-    files.forEach(file => {
-      if (file.endsWith('.txt')) {
-        const filePath = path.join(CONVERSATIONS_DIR, file);
-        const stats = fs.statSync(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAgeMs) {
-          fs.unlinkSync(filePath);
-          logger.info('Cleaned up old conversation file', { file });
-        }
+export async function applyConversationRetention() {
+  const retentionDays = Number(process.env.CONVERSATION_RETENTION_DAYS) || 30;
+  const action = process.env.CONVERSATION_RETENTION_ACTION === 'delete' ? 'delete' : 'archive';
+  const archiveDir = process.env.CONVERSATION_ARCHIVE_DIR || path.join('conversations', 'archive');
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const counts = { archived: 0, deleted: 0 };
+
+  const store = await getStore();
+  const expired = (await store.listConversations()).filter(c => Date.parse(c.updatedAt) < cutoff);
+  if (expired.length > 0 && action === 'archive') {
+    await fs.promises.mkdir(archiveDir, { recursive: true });
+  }
+
+  for (const { callSid } of expired) {
+    try {
+      if (action === 'archive') {
+        const [info, messages] = await Promise.all([store.getInfo(callSid), store.getMessages(callSid)]);
+        const archive = zlib.gzipSync(JSON.stringify({ info, messages, archivedAt: new Date().toISOString() }));
+        await fs.promises.writeFile(path.join(archiveDir, `${callSid}.json.gz`), archive);
+        counts.archived++;
+      } else {
+        counts.deleted++;
       }
-    });
-  } catch (error) {
-    logger.error('Error cleaning up conversations', { error: error.message });
+      await store.removeConversation(callSid);
+    } catch (error) {
+      logger.error('Failed to apply conversation retention', { callSid, action, error: error.message });
+    }
   }
-} 
\ No newline at end of file
+
+  logger.info('Conversation retention applied', { ...counts, retentionDays, store: store.name });
+  return counts;
+}
+
+/**
+ * Apply conversation retention now and then every few hours
+ */
+export async function startConversationRetention() {
+  const run = () => applyConversationRetention().catch(error => {
+    logger.error('Conversation retention failed', { error: error.message });
+  });
+
+  await run();
+  if (!retentionTimer) {
+    retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+    retentionTimer.unref();
+  }
+}
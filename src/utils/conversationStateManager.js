@@ -1,7 +1,8 @@
 import { logger } from './logger.js';
+import { getCache, setCache, deleteCache, generateCacheKey, TTL } from '../services/cacheService.js';
 
 // Conversation states
-const STATES = {
+export const STATES = {
   GREETING: 'greeting',
   LISTENING: 'listening',
   PROCESSING: 'processing',
@@ -10,133 +11,382 @@ const STATES = {
   CLOSING: 'closing'
 };
 
-// Conversation metadata
-const conversationMetadata = new Map();
+// States a reply can leave the conversation in (the model picks one of these as nextState)
+export const REPLY_STATES = [STATES.SPEAKING, STATES.BOOKING, STATES.CLOSING];
+
+// Allowed transitions, from -> to. Staying in the same state is always allowed.
+// CLOSING can still lead back into a turn while the agent is wrapping up; once
+// the call is ending (an endReason is recorded) the guard below keeps it there.
+const TRANSITIONS = {
+  [STATES.GREETING]: [STATES.LISTENING, STATES.PROCESSING, STATES.SPEAKING, STATES.CLOSING],
+  [STATES.LISTENING]: [STATES.PROCESSING, STATES.CLOSING],
+  [STATES.PROCESSING]: [STATES.SPEAKING, STATES.LISTENING, STATES.BOOKING, STATES.CLOSING],
+  [STATES.SPEAKING]: [STATES.LISTENING, STATES.PROCESSING, STATES.BOOKING, STATES.CLOSING],
+  [STATES.BOOKING]: [STATES.PROCESSING, STATES.SPEAKING, STATES.LISTENING, STATES.CLOSING],
+  [STATES.CLOSING]: [STATES.PROCESSING, STATES.SPEAKING, STATES.LISTENING]
+};
+
+// Transition guards, keyed by name. A guard gets { conversation, from, to, context }
+// and returns false to block the transition.
+const guards = new Map();
+
+// Entry and exit hooks per state. Hooks run inside the state update, get
+// (conversation, { callSid, from, to, context }) and may change the conversation
+// in place; they must not call back into this module.
+const hooks = new Map(Object.values(STATES).map(state => [state, { onEnter: [], onExit: [] }]));
+
+// Conversation state lives in the shared cache so every instance, and a
+// restarted one, sees the same state for a CallSid. Entries expire
+// TTL.CONVERSATION seconds after the last change.
+const CACHE_PREFIX = 'conversation-state';
+const STALE_TIMEOUT_MS = (Number(process.env.CONVERSATION_STALE_MINUTES) || 20) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Calls this instance has touched, checked by the stale sweep
+const knownCalls = new Set();
+// Per-call update chains, so read-modify-write updates in this process don't overwrite each other
+const updateQueues = new Map();
+let sweepTimer = null;
+
+/**
+ * Read a call's state from the cache
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<Object|null>} Conversation state or null
+ */
+async function loadConversation(callSid) {
+  if (!callSid) return null;
+  return getCache(generateCacheKey(CACHE_PREFIX, callSid));
+}
+
+/**
+ * Write a call's state to the cache, refreshing its TTL
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} conversation - Conversation state
+ */
+async function saveConversation(callSid, conversation) {
+  knownCalls.add(callSid);
+  await setCache(generateCacheKey(CACHE_PREFIX, callSid), conversation, TTL.CONVERSATION);
+}
+
+/**
+ * Apply a change to a call's state and write it back. Calls with no state are left alone.
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Function} change - Mutates the state and may return a result
+ * @returns {Promise<any>} What change returned, or undefined if the call has no state
+ */
+function mutateConversation(callSid, change) {
+  const previous = updateQueues.get(callSid) || Promise.resolve();
+  const update = previous.then(async () => {
+    const conversation = await loadConversation(callSid);
+    if (!conversation) return undefined;
+    const result = change(conversation);
+    await saveConversation(callSid, conversation);
+    return result;
+  });
+
+  const settled = update.catch(() => {});
+  updateQueues.set(callSid, settled);
+  settled.then(() => {
+    if (updateQueues.get(callSid) === settled) updateQueues.delete(callSid);
+  });
+  return update;
+}
+
+/**
+ * Register a transition guard.
+ * @param {string} name - Guard name, logged when it blocks a transition
+ * @param {Function} guard - ({ conversation, from, to, context }) => boolean
+ */
+export function registerTransitionGuard(name, guard) {
+  guards.set(name, guard);
+  logger.info('Registered conversation transition guard', { name });
+}
+
+/**
+ * Register entry and/or exit hooks for a state.
+ * @param {string} state - One of STATES
+ * @param {Object} stateHooks - Hooks
+ * @param {Function} [stateHooks.onEnter] - (conversation, { callSid, from, to, context }) => void
+ * @param {Function} [stateHooks.onExit] - (conversation, { callSid, from, to, context }) => void
+ */
+export function registerStateHook(state, { onEnter, onExit } = {}) {
+  const stateHooks = hooks.get(state);
+  if (!stateHooks) {
+    throw new Error(`Unknown conversation state: ${state}`);
+  }
+  if (onEnter) stateHooks.onEnter.push(onEnter);
+  if (onExit) stateHooks.onExit.push(onExit);
+}
+
+/**
+ * Why a transition isn't allowed
+ * @param {Object} conversation - Conversation state
+ * @param {string} to - Target state
+ * @param {Object} context - Transition context
+ * @returns {string|null} Reason, or null if the transition is allowed
+ */
+function checkTransition(conversation, to, context) {
+  const from = conversation.state;
+  if (!hooks.has(to)) return 'unknown state';
+  if (from !== to && !TRANSITIONS[from]?.includes(to)) return 'transition not allowed';
+  for (const [name, guard] of guards) {
+    if (!guard({ conversation, from, to, context })) return `blocked by ${name}`;
+  }
+  return null;
+}
+
+// The phase is the state the agent's last reply left the conversation in.
+// PROCESSING and LISTENING come and go every turn; prompts and TwiML follow the phase.
+for (const state of [STATES.GREETING, ...REPLY_STATES]) {
+  registerStateHook(state, {
+    onEnter: (conversation, { to }) => {
+      conversation.phase = to;
+    }
+  });
+}
+
+registerStateHook(STATES.CLOSING, {
+  onEnter: (conversation, { context }) => {
+    conversation.endReason = context.endReason ?? conversation.endReason ?? null;
+  }
+});
+
+registerTransitionGuard('call-ending', ({ conversation, from, to }) =>
+  from !== STATES.CLOSING || to === STATES.CLOSING || !conversation.endReason
+);
 
 /**
  * Initialize conversation metadata
  * @param {string} callSid - The Twilio Call SID
  * @param {Object} metadata - Initial metadata
+ * @returns {Promise<void>}
  */
-export function initializeConversation(callSid, metadata) {
-  conversationMetadata.set(callSid, {
+export async function initializeConversation(callSid, metadata) {
+  await saveConversation(callSid, {
     state: STATES.GREETING,
+    phase: STATES.GREETING,
+    stateChangedAt: Date.now(),
+    endReason: null,
     metadata: metadata || {},
+    startedAt: Date.now(),
     lastInteraction: Date.now(),
     interruptions: 0,
+    silentTurns: 0,
     bookingAttempts: 0,
-    objections: new Set()
+    booking: null,
+    objections: []
   });
   logger.info('Initialized conversation', { callSid, state: STATES.GREETING });
 }
 
 /**
- * Update conversation state
+ * Move the conversation to a new state. Transitions outside TRANSITIONS, or
+ * blocked by a guard, are logged and rejected; otherwise the old state's exit
+ * hooks and the new state's entry hooks run as part of the same update.
  * @param {string} callSid - The Twilio Call SID
- * @param {string} newState - The new state
+ * @param {string} newState - One of STATES
+ * @param {Object} [context] - Passed to guards and hooks (e.g. { endReason } for CLOSING)
+ * @returns {Promise<boolean>} Whether the transition happened
  */
-export function updateState(callSid, newState) {
-  const conversation = conversationMetadata.get(callSid);
-  if (conversation) {
+export async function updateState(callSid, newState, context = {}) {
+  const applied = await mutateConversation(callSid, (conversation) => {
+    const from = conversation.state;
+    const reason = checkTransition(conversation, newState, context);
+    if (reason) {
+      logger.warn('Rejected conversation state transition', { callSid, from, to: newState, reason });
+      return false;
+    }
+
+    const transition = { callSid, from, to: newState, context };
+    hooks.get(from)?.onExit.forEach(hook => hook(conversation, transition));
     conversation.state = newState;
+    conversation.stateChangedAt = Date.now();
     conversation.lastInteraction = Date.now();
-    logger.info('Updated conversation state', { callSid, newState });
-  }
+    hooks.get(newState).onEnter.forEach(hook => hook(conversation, transition));
+
+    logger.info('Updated conversation state', { callSid, from, newState, phase: conversation.phase });
+    return true;
+  });
+  return applied ?? false;
 }
 
 /**
  * Handle user interruption
  * @param {string} callSid - The Twilio Call SID
- * @returns {boolean} Whether to stop current response
+ * @returns {Promise<boolean>} Whether to stop current response
  */
-export function handleInterruption(callSid) {
-  const conversation = conversationMetadata.get(callSid);
-  if (conversation) {
+export async function handleInterruption(callSid) {
+  const shouldStop = await mutateConversation(callSid, (conversation) => {
     conversation.interruptions++;
     conversation.lastInteraction = Date.now();
-    
+
     // Stop response if too many interruptions
-    const shouldStop = conversation.interruptions >= 2;
-    logger.info('Handled interruption', { 
-      callSid, 
+    const stop = conversation.interruptions >= 2;
+    logger.info('Handled interruption', {
+      callSid,
       interruptions: conversation.interruptions,
-      shouldStop 
+      shouldStop: stop
     });
-    return shouldStop;
-  }
-  return false;
+    return stop;
+  });
+  return shouldStop ?? false;
+}
+
+/**
+ * Count a turn where the caller said nothing
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<number>} Consecutive silent turns so far
+ */
+export async function recordSilentTurn(callSid) {
+  const silentTurns = await mutateConversation(callSid, (conversation) => {
+    conversation.silentTurns++;
+    conversation.lastInteraction = Date.now();
+    logger.info('Recorded silent turn', { callSid, silentTurns: conversation.silentTurns });
+    return conversation.silentTurns;
+  });
+  return silentTurns ?? 0;
+}
+
+/**
+ * Reset the silent turn counter once the caller speaks
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<void>}
+ */
+export async function resetSilentTurns(callSid) {
+  await mutateConversation(callSid, (conversation) => {
+    conversation.silentTurns = 0;
+  });
 }
 
 /**
  * Track booking attempt
  * @param {string} callSid - The Twilio Call SID
- * @returns {number} Number of booking attempts
+ * @returns {Promise<number>} Number of booking attempts
  */
-export function trackBookingAttempt(callSid) {
-  const conversation = conversationMetadata.get(callSid);
-  if (conversation) {
+export async function trackBookingAttempt(callSid) {
+  const attempts = await mutateConversation(callSid, (conversation) => {
     conversation.bookingAttempts++;
-    logger.info('Tracked booking attempt', { 
-      callSid, 
-      attempts: conversation.bookingAttempts 
+    logger.info('Tracked booking attempt', {
+      callSid,
+      attempts: conversation.bookingAttempts
     });
     return conversation.bookingAttempts;
-  }
-  return 0;
+  });
+  return attempts ?? 0;
+}
+
+/**
+ * Merge newly learned lead details into the conversation metadata
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} fields - Metadata fields to set
+ * @returns {Promise<void>}
+ */
+export async function updateConversationMetadata(callSid, fields) {
+  await mutateConversation(callSid, (conversation) => {
+    conversation.metadata = { ...conversation.metadata, ...fields };
+    logger.info('Updated conversation metadata', { callSid, fields: Object.keys(fields) });
+  });
+}
+
+/**
+ * Get the in-progress booking for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<Object|null>} Booking draft or null
+ */
+export async function getBookingDraft(callSid) {
+  const conversation = await getConversationMetadata(callSid);
+  return conversation ? conversation.booking : null;
+}
+
+/**
+ * Store the in-progress booking for a call
+ * @param {string} callSid - The Twilio Call SID
+ * @param {Object} draft - Booking draft (slot, email, pending confirmation, ...)
+ * @returns {Promise<void>}
+ */
+export async function updateBookingDraft(callSid, draft) {
+  await mutateConversation(callSid, (conversation) => {
+    conversation.booking = draft;
+    conversation.lastInteraction = Date.now();
+  });
 }
 
 /**
  * Track objection
  * @param {string} callSid - The Twilio Call SID
  * @param {string} objection - The objection type
+ * @returns {Promise<void>}
  */
-export function trackObjection(callSid, objection) {
-  const conversation = conversationMetadata.get(callSid);
-  if (conversation) {
-    conversation.objections.add(objection);
-    logger.info('Tracked objection', { 
-      callSid, 
+export async function trackObjection(callSid, objection) {
+  await mutateConversation(callSid, (conversation) => {
+    if (!conversation.objections.includes(objection)) {
+      conversation.objections.push(objection);
+    }
+    logger.info('Tracked objection', {
+      callSid,
       objection,
-      totalObjections: conversation.objections.size 
+      totalObjections: conversation.objections.length
     });
-  }
+  });
 }
 
 /**
  * Get conversation metadata
  * @param {string} callSid - The Twilio Call SID
- * @returns {Object} Conversation metadata
+ * @returns {Promise<Object|null>} Conversation metadata
  */
-export function getConversationMetadata(callSid) {
-  return conversationMetadata.get(callSid) || null;
+export async function getConversationMetadata(callSid) {
+  // Let this process's pending updates land first
+  await updateQueues.get(callSid);
+  return loadConversation(callSid);
 }
 
 /**
- * Check if conversation is stale
+ * Check if conversation is stale. Stale conversations are cleaned up.
  * @param {string} callSid - The Twilio Call SID
  * @param {number} timeout - Timeout in milliseconds
- * @returns {boolean} Whether conversation is stale
+ * @returns {Promise<boolean>} Whether conversation is stale
  */
-export function isConversationStale(callSid, timeout = 300000) { // 5 minutes default
-  const conversation = conversationMetadata.get(callSid);
+export async function isConversationStale(callSid, timeout = STALE_TIMEOUT_MS) {
+  const conversation = await getConversationMetadata(callSid);
   if (conversation) {
     const isStale = Date.now() - conversation.lastInteraction > timeout;
     if (isStale) {
-      logger.info('Conversation is stale', { 
-        callSid, 
-        lastInteraction: conversation.lastInteraction 
+      logger.info('Conversation is stale', {
+        callSid,
+        lastInteraction: conversation.lastInteraction
       });
+      await cleanupConversation(callSid);
     }
     return isStale;
   }
+  knownCalls.delete(callSid);
   return true;
 }
 
 /**
  * Clean up conversation
  * @param {string} callSid - The Twilio Call SID
+ * @returns {Promise<void>}
  */
-export function cleanupConversation(callSid) {
-  conversationMetadata.delete(callSid);
+export async function cleanupConversation(callSid) {
+  knownCalls.delete(callSid);
+  await deleteCache(generateCacheKey(CACHE_PREFIX, callSid));
   logger.info('Cleaned up conversation', { callSid });
-} 
\ No newline at end of file
+}
+
+/**
+ * Check this instance's calls for staleness every minute. Calls that never
+ * get a final status callback are cleaned up instead of lingering.
+ */
+export function startStaleConversationSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(async () => {
+    for (const callSid of Array.from(knownCalls)) {
+      await isConversationStale(callSid).catch(error => {
+        logger.error('Stale conversation check failed', { callSid, error: error.message });
+      });
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
@@ -0,0 +1,74 @@
+/**
+ * Escape a single CSV field
+ * @param {any} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<Object>} rows - Records to export
+ * @param {Array<{key: string, header: string}|string>} columns - Columns in order; a key may be a dotted path
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map(col => (typeof col === 'string' ? { key: col, header: col } : col));
+  const getValue = (row, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+
+  const lines = [cols.map(col => escapeField(col.header)).join(',')];
+  for (const row of rows) {
+    lines.push(cols.map(col => escapeField(getValue(row, col.key))).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV text (quoted fields and "" escapes are supported)
+ * @returns {Array<Object>} One object per data row
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(cell => cell.trim());
+  return data.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+}
@@ -0,0 +1,84 @@
+/**
+ * directoryWatcher.js
+ * -------------------
+ * Watch a directory tree for changes. fs.watch's recursive option throws
+ * on Linux before Node 20, so every directory gets its own non-recursive
+ * watcher instead; subdirectories created later are picked up on the next
+ * change and watchers of removed ones are closed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directories under root, root included
+ * @param {string} root - Directory to list
+ * @returns {Array<string>} Absolute directory paths
+ */
+function listDirectories(root) {
+  const directories = [root];
+  for (let i = 0; i < directories.length; i++) {
+    try {
+      for (const entry of fs.readdirSync(directories[i], { withFileTypes: true })) {
+        if (entry.isDirectory()) directories.push(path.join(directories[i], entry.name));
+      }
+    } catch {
+      // Removed while listing; the next change drops its watcher
+    }
+  }
+  return directories;
+}
+
+/**
+ * Watch a directory and everything below it. The watchers never keep the
+ * process alive.
+ * @param {string} root - Directory to watch
+ * @param {Function} onChange - Called on every change, with no arguments
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onError] - Called with watcher errors
+ * @returns {{close: Function}} Watcher; close() stops watching
+ * @throws {Error} If root can't be watched
+ */
+export function watchDirectory(root, onChange, { onError } = {}) {
+  const watchers = new Map();
+
+  const sync = () => {
+    const current = new Set(listDirectories(root));
+    for (const [directory, watcher] of watchers) {
+      if (!current.has(directory)) {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    }
+    for (const directory of current) {
+      if (watchers.has(directory)) continue;
+      try {
+        const watcher = fs.watch(directory, handleChange);
+        watcher.on('error', error => {
+          watcher.close();
+          watchers.delete(directory);
+          onError?.(error);
+        });
+        watcher.unref();
+        watchers.set(directory, watcher);
+      } catch (error) {
+        // The root must be watchable; a subdirectory may vanish between listing and watching
+        if (directory === root) throw error;
+      }
+    }
+  };
+
+  function handleChange() {
+    sync();
+    onChange();
+  }
+
+  sync();
+
+  return {
+    close() {
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Root directory for persistent JSON records (campaigns, call records, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * Resolve a path inside the data directory
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @returns {string} Absolute path
+ */
+function resolveDataPath(relativePath) {
+  return path.join(DATA_DIR, relativePath);
+}
+
+/**
+ * Read a JSON record from the data directory
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @param {any} fallback - Value returned when the file does not exist or is unreadable
+ * @returns {Promise<any>} Parsed JSON
+ */
+export async function readJson(relativePath, fallback = null) {
+  const filePath = resolveDataPath(relativePath);
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading JSON record', { filePath, error: error.message });
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON record atomically (write to a temp file, then rename)
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @param {any} data - Value to serialize
+ */
+export async function writeJson(relativePath, data) {
+  const filePath = resolveDataPath(relativePath);
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Read every JSON record in a data subdirectory
+ * @param {string} relativeDir - Directory relative to DATA_DIR
+ * @returns {Promise<Array>} Parsed records
+ */
+export async function readAllJson(relativeDir) {
+  const dir = resolveDataPath(relativeDir);
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error listing JSON records', { dir, error: error.message });
+    }
+    return [];
+  }
+
+  const records = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJson(path.join(relativeDir, file)))
+  );
+  return records.filter(Boolean);
+}
+
+/**
+ * Delete a JSON record from the data directory
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @returns {Promise<boolean>} True if a record was deleted
+ */
+export async function removeJson(relativePath) {
+  try {
+    await fs.promises.unlink(resolveDataPath(relativePath));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return false;
+  }
+}
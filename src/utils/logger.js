@@ -23,6 +23,10 @@ export const logger = {
     console.log('[INFO]', msg, meta || '');
     writeLog('INFO', msg, meta);
   },
+  warn: (msg, meta) => {
+    console.warn('[WARN]', msg, meta || '');
+    writeLog('WARN', msg, meta);
+  },
   error: (msg, meta) => {
     console.error('[ERROR]', msg, meta || '');
     writeLog('ERROR', msg, meta);
@@ -0,0 +1,42 @@
+/**
+ * sentences.js
+ * ------------
+ * Splitting streamed reply text into sentences that can be spoken (and
+ * checked) one at a time.
+ */
+
+// Flush a sentence once its closing punctuation is followed by whitespace
+// (a trailing "₹2." may still become "₹2.7 lakh"; callers flush the rest
+// when the stream ends)...
+const SENTENCE_END = /[.!?…](["')\]]*)\s+/;
+// ...or once it gets long enough to break on a comma
+const SOFT_BREAK_LENGTH = 120;
+
+/**
+ * Split buffered text into speakable sentences
+ * @param {string} buffer - Text received so far
+ * @returns {{sentences: Array<string>, rest: string}} Complete sentences and the leftover text,
+ *   which the caller speaks once no more text is coming
+ */
+export function splitSentences(buffer) {
+  const sentences = [];
+  let rest = buffer;
+  let match;
+
+  while ((match = rest.match(SENTENCE_END))) {
+    const end = match.index + match[0].length;
+    sentences.push(rest.slice(0, end).trim());
+    rest = rest.slice(end);
+  }
+
+  if (rest.length > SOFT_BREAK_LENGTH) {
+    // Break after ", " so figures like 2,70,000 stay whole
+    const comma = rest.lastIndexOf(', ');
+    if (comma > 0) {
+      sentences.push(rest.slice(0, comma + 1).trim());
+      rest = rest.slice(comma + 1);
+    }
+  }
+
+  return { sentences: sentences.filter(Boolean), rest };
+}
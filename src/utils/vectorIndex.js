@@ -0,0 +1,147 @@
+/**
+ * vectorIndex.js
+ * --------------
+ * In-memory hybrid search index. Every entry is scored two ways, BM25 over
+ * its words and cosine similarity between embeddings, and the two are
+ * blended: semanticWeight * cosine + (1 - semanticWeight) * BM25, with BM25
+ * scaled so the best match scores 1.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Function words that would otherwise match almost every chunk
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'have', 'has', 'had',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'us', 'it', 'its', 'this', 'that', 'there', 'they', 'them',
+  'what', 'when', 'where', 'which', 'who', 'how', 'can', 'could', 'will', 'would', 'should',
+  'so', 'as', 'about', 'any', 'some', 'just', 'here', 'hi', 'hello', 'hey', 'ok', 'okay'
+]);
+
+/**
+ * Split text into lowercase words, dropping function words and plural "s"
+ * ("workshops" matches "workshop"). Short words are kept ("fee", "job", "SQL").
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Length of a vector
+ * @param {Array<number>} vector - Vector
+ * @returns {number} Euclidean norm
+ */
+function norm(vector) {
+  return Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+}
+
+/**
+ * Count how often each word appears
+ * @param {Array<string>} words - Words
+ * @returns {Map<string, number>} Term frequencies
+ */
+function termFrequencies(words) {
+  const frequencies = new Map();
+  for (const word of words) {
+    frequencies.set(word, (frequencies.get(word) || 0) + 1);
+  }
+  return frequencies;
+}
+
+/**
+ * Build an index over entries.
+ * @param {Array<Object>} entries - Items to index; each needs content and may carry an embedding
+ * @returns {Object} Index with size and search(query, queryEmbedding, options)
+ */
+export function createVectorIndex(entries) {
+  const documents = entries.map(entry => {
+    const words = tokenize(entry.content);
+    return {
+      entry,
+      length: words.length,
+      frequencies: termFrequencies(words),
+      embedding: entry.embedding || null,
+      embeddingNorm: entry.embedding ? norm(entry.embedding) : 0
+    };
+  });
+
+  const documentFrequencies = new Map();
+  for (const document of documents) {
+    for (const word of document.frequencies.keys()) {
+      documentFrequencies.set(word, (documentFrequencies.get(word) || 0) + 1);
+    }
+  }
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1);
+
+  /**
+   * BM25 score of a document for the query words
+   * @param {Object} document - Indexed document
+   * @param {Array<string>} queryWords - Unique query words
+   * @returns {number} Score
+   */
+  const bm25 = (document, queryWords) => queryWords.reduce((score, word) => {
+    const frequency = document.frequencies.get(word);
+    if (!frequency) return score;
+    const df = documentFrequencies.get(word);
+    const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+    const lengthNorm = 1 - BM25_B + BM25_B * (document.length / (averageLength || 1));
+    return score + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+  }, 0);
+
+  /**
+   * Cosine similarity between a document and the query
+   * @param {Object} document - Indexed document
+   * @param {Array<number>|null} queryEmbedding - Query vector
+   * @param {number} queryNorm - Query vector length
+   * @returns {number} Similarity, or 0 if either side has no vector
+   */
+  const cosine = (document, queryEmbedding, queryNorm) => {
+    if (!queryEmbedding || !document.embedding || !queryNorm || !document.embeddingNorm) return 0;
+    if (queryEmbedding.length !== document.embedding.length) return 0;
+    const dot = queryEmbedding.reduce((sum, value, i) => sum + value * document.embedding[i], 0);
+    return dot / (queryNorm * document.embeddingNorm);
+  };
+
+  return {
+    size: documents.length,
+
+    /**
+     * Find the best matching entries
+     * @param {string} query - Query text
+     * @param {Array<number>|null} queryEmbedding - Query vector (null searches by BM25 alone)
+     * @param {Object} [options] - Options
+     * @param {number} [options.topK=3] - Maximum results
+     * @param {number} [options.semanticWeight=0.6] - Share of the score from cosine similarity
+     * @param {number} [options.minScore=0] - Drop results scoring below this
+     * @returns {Array<{entry: Object, score: number, bm25: number, cosine: number}>} Best first
+     */
+    search(query, queryEmbedding, { topK = 3, semanticWeight = 0.6, minScore = 0 } = {}) {
+      const queryWords = [...new Set(tokenize(query))];
+      const queryNorm = queryEmbedding ? norm(queryEmbedding) : 0;
+      const weight = queryNorm ? semanticWeight : 0;
+
+      const scored = documents.map(document => ({
+        document,
+        bm25: bm25(document, queryWords),
+        cosine: cosine(document, queryEmbedding, queryNorm)
+      }));
+      const maxBm25 = Math.max(0, ...scored.map(result => result.bm25));
+
+      return scored
+        .map(({ document, bm25: lexical, cosine: semantic }) => ({
+          entry: document.entry,
+          score: weight * Math.max(semantic, 0) + (1 - weight) * (maxBm25 > 0 ? lexical / maxBm25 : 0),
+          bm25: lexical,
+          cosine: semantic
+        }))
+        .filter(result => result.score > 0 && result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * workerPool.js
+ * -------------
+ * A fixed-size pool of worker threads running one module. Tasks queue
+ * until a worker is free; once maxQueue tasks are waiting, run() holds new
+ * tasks back until there is room, so a caller feeding a large batch can't
+ * flood memory. Workers are started on demand, replaced if they crash and
+ * stopped after a while idle; an idle worker never keeps the process alive.
+ *
+ * The worker module answers { id, data } messages with { id, result } or
+ * { id, error }.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Create a worker pool.
+ * @param {string|URL} workerFile - Worker module
+ * @param {Object} [options] - Options
+ * @param {number} [options.size] - Maximum workers (defaults to the CPU count, at most 4)
+ * @param {number} [options.maxQueue] - Tasks allowed to wait before run() applies backpressure (defaults to 8 per worker)
+ * @param {number} [options.idleTimeoutMs=30000] - Stop a worker after this long without work
+ * @returns {Object} Pool with run(data), stats() and close()
+ */
+export function createWorkerPool(workerFile, {
+  size = Math.min(os.availableParallelism?.() || os.cpus().length || 1, 4),
+  maxQueue = size * 8,
+  idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS
+} = {}) {
+  const idle = [];
+  const busy = new Map(); // worker -> task
+  const queue = [];
+  const waitingForRoom = [];
+  let nextId = 1;
+  let closed = false;
+
+  /**
+   * Error for a task whose worker failed, as opposed to the task itself failing
+   * @param {string} message - Error message
+   * @returns {Error} Error with code WORKER_FAILED
+   */
+  const workerError = (message) => {
+    const error = new Error(message);
+    error.code = 'WORKER_FAILED';
+    return error;
+  };
+
+  /**
+   * Start a worker and wire up its events
+   * @returns {Worker} Worker
+   */
+  const spawn = () => {
+    const worker = new Worker(workerFile);
+
+    worker.on('message', ({ id, result, error }) => {
+      const task = busy.get(worker);
+      if (!task || task.id !== id) return;
+      busy.delete(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      release(worker);
+    });
+
+    const fail = (error) => {
+      const task = busy.get(worker);
+      busy.delete(worker);
+      const index = idle.findIndex(entry => entry.worker === worker);
+      if (index >= 0) {
+        clearTimeout(idle[index].timer);
+        idle.splice(index, 1);
+      }
+      task?.reject(workerError(error?.message || 'Worker exited'));
+      dispatch();
+    };
+    worker.on('error', fail);
+    // Also covers a worker that dies while idle, so it is never handed another task
+    worker.on('exit', (code) => fail(new Error(`Worker exited with code ${code}`)));
+
+    return worker;
+  };
+
+  /**
+   * Give a worker its next task, or park it as idle
+   * @param {Worker} worker - Worker that just finished
+   */
+  const release = (worker) => {
+    if (queue.length > 0) {
+      start(worker, queue.shift());
+      waitingForRoom.shift()?.();
+      return;
+    }
+    const timer = setTimeout(() => {
+      const index = idle.findIndex(entry => entry.worker === worker);
+      if (index >= 0) idle.splice(index, 1);
+      worker.terminate();
+    }, idleTimeoutMs);
+    timer.unref();
+    // Idle workers don't keep the process alive; busy ones do, until their task settles
+    worker.unref();
+    idle.push({ worker, timer });
+  };
+
+  /**
+   * Hand a task to a worker
+   * @param {Worker} worker - Free worker
+   * @param {Object} task - Queued task
+   */
+  const start = (worker, task) => {
+    worker.ref();
+    busy.set(worker, task);
+    worker.postMessage({ id: task.id, data: task.data });
+  };
+
+  /**
+   * Start queued tasks on idle workers, spawning new ones up to the pool size
+   */
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let worker;
+      if (idle.length > 0) {
+        const entry = idle.pop();
+        clearTimeout(entry.timer);
+        worker = entry.worker;
+      } else if (busy.size < size) {
+        try {
+          worker = spawn();
+        } catch (error) {
+          // Worker threads unavailable: fail what is queued so callers can fall back
+          queue.splice(0).forEach(task => task.reject(workerError(error.message)));
+          waitingForRoom.splice(0).forEach(resume => resume());
+          return;
+        }
+      } else {
+        return;
+      }
+      start(worker, queue.shift());
+      waitingForRoom.shift()?.();
+    }
+  };
+
+  return {
+    /**
+     * Run a task on the pool
+     * @param {any} data - Task data (must be structured-cloneable)
+     * @returns {Promise<any>} The worker's result
+     * @throws {Error} The task's error, or code WORKER_FAILED if the worker itself failed
+     */
+    async run(data) {
+      // Backpressure: wait for room rather than growing the queue without bound
+      while (!closed && queue.length >= maxQueue) {
+        await new Promise(resume => waitingForRoom.push(resume));
+      }
+      if (closed) {
+        throw workerError('Worker pool is closed');
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, data, resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Current load
+     * @returns {{size: number, busy: number, idle: number, queued: number}} Counts
+     */
+    stats() {
+      return { size, busy: busy.size, idle: idle.length, queued: queue.length };
+    },
+
+    /**
+     * Stop every worker; queued and running tasks are rejected
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      queue.splice(0).forEach(task => task.reject(workerError('Worker pool is closed')));
+      waitingForRoom.splice(0).forEach(resume => resume());
+      const workers = [...idle.splice(0).map(entry => {
+        clearTimeout(entry.timer);
+        return entry.worker;
+      }), ...busy.keys()];
+      busy.forEach(task => task.reject(workerError('Worker pool is closed')));
+      busy.clear();
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.REDIS_URL = 'memory://';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+
+const { handleBookingTurn, listBookings } = await import('../src/services/bookingService.js');
+const { initializeConversation, getBookingDraft } = await import('../src/utils/conversationStateManager.js');
+
+let calls = 0;
+
+/**
+ * Start a fresh in-memory conversation
+ * @returns {Promise<string>} CallSid
+ */
+async function newCall() {
+  const callSid = `CAbooking${++calls}`;
+  await initializeConversation(callSid, { name: 'Asha', phoneNumber: '+919800000000' });
+  return callSid;
+}
+
+test('naming a slot only reads it back', async () => {
+  const callSid = await newCall();
+
+  const { confirmationPrompt } = await handleBookingTurn(callSid, 'Is there anything other than 7 PM?');
+
+  assert.match(confirmationPrompt, /SkillQ trial at 7 PM/);
+  const draft = await getBookingDraft(callSid);
+  assert.equal(draft.slot, 'skillq-7pm');
+  assert.equal(draft.slotConfirmed, false);
+  assert.equal(draft.pending, 'slot');
+});
+
+test('a slot is confirmed only by a clear yes to the read-back', async () => {
+  const callSid = await newCall();
+  await handleBookingTurn(callSid, 'The 7 PM one');
+
+  await handleBookingTurn(callSid, 'Hmm, maybe, I guess');
+  assert.equal((await getBookingDraft(callSid)).slotConfirmed, false);
+
+  await handleBookingTurn(callSid, 'Yes, please book it');
+  assert.equal((await getBookingDraft(callSid)).slotConfirmed, true);
+});
+
+test('saying no to the read-back drops the slot', async () => {
+  const callSid = await newCall();
+  await handleBookingTurn(callSid, 'What about 2 PM?');
+
+  await handleBookingTurn(callSid, "No, that doesn't work for me");
+
+  const draft = await getBookingDraft(callSid);
+  assert.equal(draft.slot, null);
+  assert.equal(draft.slotConfirmed, false);
+});
+
+test('a slot and email given together are read back one after the other, then booked', async () => {
+  const callSid = await newCall();
+
+  const first = await handleBookingTurn(callSid, 'Book me for 8:30 PM, my email is asha dot k at gmail dot com');
+  assert.match(first.confirmationPrompt, /Workshop at 8:30 PM/);
+
+  const second = await handleBookingTurn(callSid, 'Yes');
+  assert.match(second.confirmationPrompt, /Is that correct\?/);
+  assert.equal(second.booking, null);
+
+  const third = await handleBookingTurn(callSid, 'Yes, correct');
+  assert.equal(third.confirmationPrompt, null);
+  assert.equal(third.booking.slot, 'workshop-830pm');
+  assert.equal(third.booking.email, 'asha.k@gmail.com');
+  assert.ok((await listBookings()).some(booking => booking.callSid === callSid));
+});
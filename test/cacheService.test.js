@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { chunkDocument } from '../src/services/knowledgeChunker.js';
+
+const TEST_REDIS_URL = process.env.TEST_REDIS_URL || 'redis://localhost:6379';
+
+const MARKDOWN = `# Crio SkillQ - Data Analytics
+
+## Fees
+The programme costs ₹2,70,000, payable in 12 monthly instalments.
+
+## Schedule
+Trial classes run at 7 PM and 2 PM; the workshop is at 8:30 PM.
+`;
+
+/**
+ * A knowledge base documents entry as the knowledge base service caches it
+ * @returns {Object} Documents by source
+ */
+function buildDocuments() {
+  const source = 'programs/data-analytics.md';
+  const chunks = chunkDocument(MARKDOWN, source);
+  return { [source]: { source, format: 'markdown', mtimeMs: 1718000000000.5, size: MARKDOWN.length, chunks } };
+}
+
+/**
+ * Whether a Redis server answers at a URL
+ * @param {string} url - Redis URL
+ * @returns {Promise<boolean>} True if a TCP connection opens
+ */
+function isReachable(url) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: hostname, port: Number(port) || 6379 });
+    socket.setTimeout(500);
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('timeout', () => { socket.destroy(); resolve(false); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Load a fresh copy of cacheService against a Redis URL (it connects on import)
+ * @param {string} url - REDIS_URL to use
+ * @param {string} instance - Distinguishes the module copy
+ * @returns {Promise<Object>} cacheService module
+ */
+async function loadCacheService(url, instance) {
+  process.env.REDIS_URL = url;
+  return import(`../src/services/cacheService.js?${instance}`);
+}
+
+/**
+ * Round-trip knowledge base chunks through a cacheService copy
+ * @param {Object} cache - cacheService module
+ */
+async function assertChunksRoundTrip(cache) {
+  const documents = buildDocuments();
+  const key = cache.generateCacheKey('test', `kb:${process.pid}:${Date.now()}`);
+
+  await cache.setCache(key, documents, cache.TTL.KNOWLEDGE_BASE);
+  const cached = await cache.getCache(key);
+
+  assert.deepEqual(cached, documents);
+  const [chunk] = Object.values(cached)[0].chunks;
+  assert.equal(chunk.id, 'programs/data-analytics.md#1');
+  assert.equal(chunk.metadata.format, 'markdown');
+
+  // Callers get their own copy, never the cached object
+  cached['programs/data-analytics.md'].chunks.length = 0;
+  assert.deepEqual(await cache.getCache(key), documents);
+
+  await cache.deleteCache(key);
+  assert.equal(await cache.getCache(key), null);
+}
+
+test('memory fallback round-trips knowledge base chunks', async () => {
+  // An unusable REDIS_URL makes cacheService fall back to memory
+  const cache = await loadCacheService('memory://', 'memory');
+  assert.equal(cache.getRedisClient(), null);
+  await assertChunksRoundTrip(cache);
+});
+
+test('memory fallback expires entries after their TTL', async () => {
+  const cache = await loadCacheService('memory://', 'memory-ttl');
+  await cache.setCache('test:short', { value: 1 }, 0.05);
+  assert.deepEqual(await cache.getCache('test:short'), { value: 1 });
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(await cache.getCache('test:short'), null);
+});
+
+test('Redis round-trips knowledge base chunks', async (t) => {
+  if (!(await isReachable(TEST_REDIS_URL))) {
+    t.skip(`no Redis at ${TEST_REDIS_URL} (set TEST_REDIS_URL)`);
+    return;
+  }
+  const cache = await loadCacheService(TEST_REDIS_URL, 'redis');
+  try {
+    assert.ok(cache.getRedisClient(), 'expected a connected Redis client');
+    await assertChunksRoundTrip(cache);
+  } finally {
+    await cache.getRedisClient()?.close();
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REDIS_URL = 'memory://';
+
+const { END_REASONS, CONFIRM_END_LINE, detectCallerEnding, shouldConfirmEnding } =
+  await import('../src/services/callTerminationService.js');
+
+const agentSaid = (content) => [{ role: 'user', content: 'Hello?' }, { role: 'assistant', content }];
+
+test('a goodbye inside ordinary speech does not end the call', () => {
+  const history = agentSaid('The workshop is on Saturday at 7 PM.');
+  for (const speech of [
+    "I'll see you at the workshop",
+    "I don't want to miss it",
+    'talk later about pricing?',
+    'bye the way, is it online?',
+    'I have to go check my calendar',
+    'Can I hang up and call you back about the fees?'
+  ]) {
+    assert.equal(detectCallerEnding(speech, history), null, speech);
+    assert.equal(shouldConfirmEnding(speech, history), false, speech);
+  }
+});
+
+test('a closing phrase as the whole utterance ends the call', () => {
+  const history = agentSaid('The workshop is on Saturday at 7 PM.');
+  for (const speech of ['Bye', 'Okay, bye!', 'Thanks, goodbye.', 'I have to go now', 'Talk to you later', 'Alright, take care']) {
+    assert.equal(detectCallerEnding(speech, history), END_REASONS.CALLER_GOODBYE, speech);
+  }
+});
+
+test('a short no or a goodbye answers a wrap-up question', () => {
+  const history = agentSaid("You're all set for Saturday. Is there anything else I can help you with?");
+
+  assert.equal(detectCallerEnding("No, that's all, thanks", history), END_REASONS.CALLER_GOODBYE);
+  assert.equal(detectCallerEnding('Nope, see you on Saturday', history), END_REASONS.CALLER_GOODBYE);
+  assert.equal(detectCallerEnding('No, what about the fees?', history), null);
+  assert.equal(detectCallerEnding("No, that's all", agentSaid('Shall I book the 7 PM slot?')), null);
+});
+
+test('"not interested" is confirmed before the call ends', () => {
+  const history = agentSaid('Would you like to join the free workshop?');
+
+  assert.equal(detectCallerEnding("I'm not interested", history), null);
+  assert.equal(shouldConfirmEnding("I'm not interested", history), true);
+
+  const asked = [...history, { role: 'user', content: "I'm not interested" }, { role: 'assistant', content: CONFIRM_END_LINE }];
+  assert.equal(shouldConfirmEnding("Yes, I'm not interested", asked), false);
+  assert.equal(detectCallerEnding('Yes please', asked), END_REASONS.NOT_INTERESTED);
+  assert.equal(detectCallerEnding('No wait, what about weekends?', asked), null);
+  assert.equal(detectCallerEnding('Yes, but is there a weekend batch?', asked), null);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once, EventEmitter } from 'events';
+import { watchDirectory } from '../src/utils/directoryWatcher.js';
+
+/**
+ * Wait for the next change; the watchers are unref'd, so a timer keeps the test alive meanwhile
+ * @param {EventEmitter} changes - Change events
+ * @returns {Promise<void>} Resolves on the next change
+ */
+async function nextChange(changes) {
+  const keepAlive = setTimeout(() => changes.emit('error', new Error('No change seen')), 5000);
+  try {
+    await once(changes, 'change');
+  } finally {
+    clearTimeout(keepAlive);
+  }
+}
+
+/**
+ * Watch a directory, emitting 'change' on every change
+ * @param {string} root - Directory to watch
+ * @returns {{changes: EventEmitter, watcher: Object}} Change events and the watcher
+ */
+function watch(root) {
+  const changes = new EventEmitter();
+  const watcher = watchDirectory(root, () => changes.emit('change'));
+  return { changes, watcher };
+}
+
+test('a change in a subdirectory is reported', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  fs.mkdirSync(path.join(root, 'programs'));
+  const { changes, watcher } = watch(root);
+
+  const changed = nextChange(changes);
+  fs.writeFileSync(path.join(root, 'programs', 'fees.md'), '# Fees');
+  await changed;
+  watcher.close();
+});
+
+test('subdirectories created after watching starts are watched too', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  const { changes, watcher } = watch(root);
+
+  let changed = nextChange(changes);
+  fs.mkdirSync(path.join(root, 'a'));
+  await changed;
+  changed = nextChange(changes);
+  fs.mkdirSync(path.join(root, 'a', 'b'));
+  await changed;
+
+  changed = nextChange(changes);
+  fs.writeFileSync(path.join(root, 'a', 'b', 'notes.md'), 'notes');
+  await changed;
+  watcher.close();
+});
+
+test('a directory that does not exist cannot be watched', () => {
+  assert.throws(() => watchDirectory(path.join(os.tmpdir(), 'missing-watch-dir'), () => {}), { code: 'ENOENT' });
+});
@@ -0,0 +1,19 @@
+/**
+ * Worker for the worker pool tests: answers each task with its value after
+ * delayMs, fails tasks that ask to, and exits after replying when told to.
+ */
+
+import { parentPort } from 'worker_threads';
+
+parentPort.on('message', ({ id, data }) => {
+  setTimeout(() => {
+    if (data.fail) {
+      parentPort.postMessage({ id, error: data.fail });
+    } else {
+      parentPort.postMessage({ id, result: data.value });
+    }
+    if (data.exitAfterReply) {
+      setTimeout(() => process.exit(0), 10);
+    }
+  }, data.delayMs || 0);
+});
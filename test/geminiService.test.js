@@ -0,0 +1,104 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const KB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-'));
+fs.writeFileSync(path.join(KB_DIR, 'fees.md'), `# Crio SkillQ - Data Analytics
+
+## Fees
+The programme fee is ₹2,70,000, payable in 12 monthly instalments.
+`);
+
+process.env.REDIS_URL = 'memory://';
+process.env.KNOWLEDGE_BASE_DIR = KB_DIR;
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+process.env.EMBEDDING_MODEL = 'local';
+process.env.KB_WATCH = 'false';
+process.env.KB_MIN_SCORE = '0';
+// Imported services check their keys at load time; no request reaches the real APIs
+process.env.DEEPGRAM_API_KEY ??= 'test-key';
+process.env.GEMINI_API_KEY ??= 'test-key';
+
+const { generateReply, generateReplyStream } = await import('../src/services/geminiService.js');
+const { registerLlmProvider } = await import('../src/services/llmService.js');
+const { loadPromptTemplates } = await import('../src/services/promptTemplateService.js');
+const { getPrompt } = await import('../src/services/promptLibraryService.js');
+
+// The scripted model answers with whatever the test sets here; streams
+// arrive in scriptedTokens when set
+let scriptedText = '';
+let scriptedTokens = null;
+registerLlmProvider('scripted', () => ({
+  async generate(prompt, { schema } = {}) {
+    if (!schema) return scriptedText;
+    return JSON.stringify({ text: scriptedText, intent: 'question', nextState: 'speaking', slots: {}, endCall: false, citations: [] });
+  },
+  async *stream() {
+    yield* scriptedTokens || [scriptedText];
+  }
+}));
+
+before(async () => {
+  await loadPromptTemplates();
+});
+
+test('a figure from a retrieved chunk is allowed and the chunk is credited', async () => {
+  process.env.LLM_CHAIN = 'scripted:test';
+  scriptedText = 'The Data Analytics fee is 2.7 lakh rupees.';
+
+  const reply = await generateReply('What is the fee for Data Analytics?');
+
+  assert.deepEqual(reply.flagged, []);
+  assert.equal(reply.text, scriptedText);
+  assert.ok(reply.sources.retrieved.includes('fees.md#1'));
+});
+
+test("the caller's own figures and the lead's details may be read back", async () => {
+  process.env.LLM_CHAIN = 'scripted:test';
+  scriptedText = "Sure, I'll call you at 6:30 PM on 98765 43210, and send the notes to the 560001 address.";
+  const history = [
+    { role: 'user', content: 'Call me after 6:30 PM.' },
+    { role: 'assistant', content: 'Sure, which number should I use?' }
+  ];
+
+  const reply = await generateReply('This one, 98765 43210.', history, { pincode: '560001' });
+
+  assert.deepEqual(reply.flagged, []);
+  assert.equal(reply.text, scriptedText);
+});
+
+test("a figure the agent said earlier in the call doesn't ground the reply", async () => {
+  process.env.LLM_CHAIN = 'scripted:test';
+  scriptedText = 'Yes, it comes to ₹99,000 all in.';
+  const history = [
+    { role: 'user', content: 'How much is the bootcamp?' },
+    { role: 'assistant', content: 'The bootcamp is ₹99,000.' }
+  ];
+
+  const reply = await generateReply('Can you repeat the price?', history);
+
+  assert.deepEqual(reply.flagged, ['₹99,000']);
+  assert.equal(reply.text, getPrompt('checkWithTeam'));
+});
+
+test('a figure split across streamed tokens is spoken whole', async () => {
+  process.env.LLM_CHAIN = 'scripted:test';
+  scriptedTokens = ['The Data Analytics fee is ₹2', '.', '7 lakh', ' in total. Shall I', ' book you in?'];
+  let sources = null;
+
+  const spoken = [];
+  try {
+    for await (const sentence of generateReplyStream('How much is Data Analytics, the fee?', [], {}, {
+      onSources: (turnSources) => { sources = turnSources; }
+    })) {
+      spoken.push(sentence.trim());
+    }
+  } finally {
+    scriptedTokens = null;
+  }
+
+  assert.deepEqual(spoken, ['The Data Analytics fee is ₹2.7 lakh in total.', 'Shall I book you in?']);
+  assert.deepEqual(sources.flagged, []);
+});
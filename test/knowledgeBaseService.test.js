@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const KB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-'));
+fs.writeFileSync(path.join(KB_DIR, 'faq.md'), `# FAQ
+
+## Fees
+Course fees are payable in three monthly instalments.
+
+## Batches
+Weekend batches meet on Saturday and Sunday mornings.
+`);
+
+process.env.REDIS_URL = 'memory://';
+process.env.KNOWLEDGE_BASE_DIR = KB_DIR;
+process.env.KB_WATCH = 'false';
+process.env.KB_MIN_SCORE = '0';
+process.env.EMBEDDING_MODEL = 'stalling';
+process.env.EMBEDDING_TIMEOUT_MS = '50';
+
+const { registerEmbedder, embedQuery } = await import('../src/services/embeddingService.js');
+const { createLocalEmbedder } = await import('../src/services/embeddings/localEmbedder.js');
+const { getRelevantChunks } = await import('../src/services/knowledgeBaseService.js');
+
+// Documents embed locally; queries hang until aborted, like a stalled embedding API
+const aborted = [];
+registerEmbedder('stalling', () => {
+  const local = createLocalEmbedder();
+  return {
+    id: 'stalling',
+    async embed(texts, { type, signal } = {}) {
+      if (type !== 'query') return local.embed(texts);
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          aborted.push(texts[0]);
+          reject(signal.reason);
+        });
+      });
+    }
+  };
+});
+
+test('a query embedding that stalls times out and is aborted', async () => {
+  await assert.rejects(embedQuery('weekend batches'), error => error.timedOut === true);
+  assert.ok(aborted.includes('weekend batches'));
+});
+
+test('retrieval falls back to keywords when the query embedding times out', async () => {
+  const startTime = Date.now();
+  const chunks = await getRelevantChunks('When do the weekend batches meet?');
+
+  assert.ok(Date.now() - startTime < 2000);
+  assert.match(chunks[0].content, /Weekend batches meet on Saturday/);
+  assert.equal(chunks[0].scores.cosine, 0);
+  assert.ok(chunks[0].scores.bm25 > 0);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_TIMEOUT_MS = '50';
+
+const { generateText, streamText, getLlmMetrics } = await import('../src/services/llmService.js');
+
+/**
+ * Metrics for one chain entry, zeroed if it hasn't been used yet
+ * @param {string} id - provider:model
+ * @returns {Object} Metrics record
+ */
+function metricsFor(id) {
+  return getLlmMetrics()[id] || { requests: 0, successes: 0, errors: 0, timeouts: 0 };
+}
+
+test('a request fails over past an erroring and a hanging model', async () => {
+  process.env.LLM_CHAIN = 'mock:error,mock:timeout,mock:echo';
+  const before = ['mock:error', 'mock:timeout', 'mock:echo'].map(metricsFor);
+
+  const { text, llm } = await generateText('User: do you have weekend batches?');
+
+  assert.equal(llm, 'mock:echo');
+  assert.match(text, /you said: do you have weekend batches\?/);
+  const [error, timeout, echo] = ['mock:error', 'mock:timeout', 'mock:echo'].map(metricsFor);
+  assert.equal(error.errors - before[0].errors, 1);
+  assert.equal(error.lastError, 'Mock LLM error');
+  assert.equal(timeout.timeouts - before[1].timeouts, 1);
+  assert.equal(echo.successes - before[2].successes, 1);
+  assert.equal(typeof echo.avgLatencyMs, 'number');
+});
+
+test('a schema request returns JSON from the answering model', async () => {
+  process.env.LLM_CHAIN = 'mock:echo';
+
+  const { text } = await generateText('User: yes please', { schema: { type: 'object' } });
+
+  const reply = JSON.parse(text);
+  assert.match(reply.text, /you said: yes please/);
+  assert.equal(reply.endCall, false);
+});
+
+test('a stream fails over before its first fragment', async () => {
+  process.env.LLM_CHAIN = 'mock:error,mock:echo';
+  const before = metricsFor('mock:echo');
+
+  const fragments = [];
+  for await (const fragment of streamText('User: what does it cost?')) {
+    fragments.push(fragment);
+  }
+
+  assert.ok(fragments.length > 1);
+  assert.match(fragments.join(''), /^Got it, you said: what does it cost\?/);
+  assert.equal(metricsFor('mock:echo').successes - before.successes, 1);
+});
+
+test('every model failing is reported with each failure', async () => {
+  process.env.LLM_CHAIN = 'mock:error,mock:timeout';
+
+  await assert.rejects(generateText('User: hello'), error => {
+    assert.match(error.message, /^All LLM providers failed/);
+    assert.match(error.message, /mock:error: Mock LLM error/);
+    assert.match(error.message, /mock:timeout: Timed out after 50ms/);
+    return true;
+  });
+  await assert.rejects(async () => {
+    for await (const fragment of streamText('User: hello')) assert.fail(`unexpected ${fragment}`);
+  }, /All LLM providers failed/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.REDIS_URL = 'memory://';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+process.env.DEEPGRAM_API_KEY ??= 'test-key';
+process.env.GEMINI_API_KEY ??= 'test-key';
+
+const { default: Fastify } = await import('fastify');
+const { default: processSpeechRoute } = await import('../src/routes/processSpeechRoute.js');
+const { STATES, initializeConversation, updateConversationMetadata, registerStateHook } =
+  await import('../src/utils/conversationStateManager.js');
+const { registerTtsEngine } = await import('../src/services/ttsService.js');
+const { getPrompt } = await import('../src/services/promptLibraryService.js');
+
+let synthesized = 0;
+registerTtsEngine('counting', {
+  kind: 'audio',
+  defaultVoice: 'test',
+  formats: ['wav'],
+  synthesize: async () => {
+    synthesized++;
+    return Buffer.from('audio');
+  }
+});
+
+registerStateHook(STATES.PROCESSING, {
+  onEnter: (conversation) => {
+    if (conversation.metadata.failProcessing) throw new Error('processing failed');
+  }
+});
+
+test('a failed turn is answered with a plain <Say> and keeps listening', async () => {
+  const fastify = Fastify();
+  await fastify.register(processSpeechRoute);
+
+  const callSid = 'CAspeechfallback';
+  await initializeConversation(callSid, { name: 'Asha', phoneNumber: '+919800000000' });
+  await updateConversationMetadata(callSid, { voice: { engine: 'counting' }, failProcessing: true });
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/process-speech',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    payload: `CallSid=${callSid}&SpeechResult=hello`
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.match(response.body, new RegExp(`<Say>${getPrompt('error')}</Say>`));
+  assert.match(response.body, /<Gather [^>]*action="\/process-speech"/);
+  assert.doesNotMatch(response.body, /<Play>/);
+  assert.equal(synthesized, 0);
+  await fastify.close();
+});
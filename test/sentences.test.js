@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSentences } from '../src/utils/sentences.js';
+
+test('splits at punctuation followed by whitespace', () => {
+  assert.deepEqual(splitSentences('Hi there! The trial is at 7 PM. Does that work'), {
+    sentences: ['Hi there!', 'The trial is at 7 PM.'],
+    rest: 'Does that work'
+  });
+});
+
+test('keeps a trailing full stop in the buffer, since a decimal may follow', () => {
+  assert.deepEqual(splitSentences('The fee is ₹2.'), { sentences: [], rest: 'The fee is ₹2.' });
+  assert.deepEqual(splitSentences('The fee is ₹2.7 lakh. '), { sentences: ['The fee is ₹2.7 lakh.'], rest: '' });
+});
+
+test('keeps closing quotes and brackets with their sentence', () => {
+  assert.deepEqual(splitSentences('He said "sure." Then'), { sentences: ['He said "sure."'], rest: 'Then' });
+});
+
+test('breaks long text after a comma but never inside a figure', () => {
+  const text = `${'We cover SQL, Python and dashboards'.repeat(3)}, and the fee is ₹2,70,000 in all`;
+  const { sentences, rest } = splitSentences(text);
+  assert.equal(sentences.length, 1);
+  assert.ok(sentences[0].endsWith(','));
+  assert.equal(rest, ' and the fee is ₹2,70,000 in all');
+});
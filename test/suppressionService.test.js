@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REDIS_URL = 'memory://';
+
+const { detectOptOut, normalizePhoneNumber } = await import('../src/services/suppressionService.js');
+
+test('permanent opt-out requests are detected', () => {
+  for (const speech of [
+    "Please don't call me again",
+    'Do not call this number anymore.',
+    'Never call me again!',
+    "Don't ever contact me again",
+    'Stop calling me.',
+    'Just stop calling me please',
+    'Remove me from your list',
+    'Take me off your calling list',
+    'Remove my number',
+    'I want to unsubscribe',
+    'Put me on the do not call list'
+  ]) {
+    assert.equal(detectOptOut(speech), true, speech);
+  }
+});
+
+test('requests about this call only are not opt-outs', () => {
+  for (const speech of [
+    "Don't call me now, call me tomorrow",
+    "Don't call me on this number, use my office line",
+    'Do not call me before 10 AM',
+    'Stop calling me at work, use my mobile',
+    'Can you remove me from this call and add my brother?',
+    'Yes, call me again next week'
+  ]) {
+    assert.equal(detectOptOut(speech), false, speech);
+  }
+});
+
+test('phone numbers normalize to the same key however they are written', () => {
+  assert.equal(normalizePhoneNumber('+91 98765-43210'), '+919876543210');
+  assert.equal(normalizePhoneNumber('098765 43210'), '09876543210');
+  assert.equal(normalizePhoneNumber('n/a'), null);
+});
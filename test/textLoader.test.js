@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitText } from '../src/services/knowledgeLoaders/textLoader.js';
+
+test('short paragraphs are packed into one chunk', () => {
+  const chunks = splitText('Para one is short.\n\nPara two is short.\n\nPara three.', { chunkSize: 1000, chunkOverlap: 150 });
+
+  assert.deepEqual(chunks, ['Para one is short.\n\nPara two is short.\n\nPara three.']);
+});
+
+test('a paragraph that would overflow starts the next chunk, after the overlap', () => {
+  const chunks = splitText('Alpha beta gamma.\n\nDelta epsilon zeta.\n\nEta theta iota.', { chunkSize: 40, chunkOverlap: 20 });
+
+  assert.deepEqual(chunks, [
+    'Alpha beta gamma.\n\nDelta epsilon zeta.',
+    'Delta epsilon zeta.\n\nEta theta iota.'
+  ]);
+});
+
+test('a paragraph longer than a chunk is packed sentence by sentence', () => {
+  const text = 'Intro.\n\nOne sentence here. Two sentence here. Three sentence here.';
+  const chunks = splitText(text, { chunkSize: 40, chunkOverlap: 0 });
+
+  assert.deepEqual(chunks, ['Intro.\n\nOne sentence here.', 'Two sentence here. Three sentence here.']);
+  assert.ok(chunks.every(chunk => chunk.length <= 40));
+});
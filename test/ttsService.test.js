@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REDIS_URL = 'memory://';
+process.env.DEEPGRAM_API_KEY ??= 'test-key';
+
+const { registerTtsEngine, resolveVoice, synthesize } = await import('../src/services/ttsService.js');
+
+const rendered = [];
+registerTtsEngine('recording', {
+  kind: 'audio',
+  defaultVoice: 'test',
+  formats: ['wav'],
+  synthesize: async (text) => {
+    rendered.push(text);
+    return Buffer.from(text);
+  }
+});
+
+const voice = resolveVoice({ engine: 'recording' });
+
+test('fixed lines are rendered once and then served from the cache', async () => {
+  const first = await synthesize('Please try again.', voice, 'wav');
+  const second = await synthesize('Please try again.', voice, 'wav');
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.deepEqual(second.audio, Buffer.from('Please try again.'));
+  assert.equal(rendered.filter(text => text === 'Please try again.').length, 1);
+});
+
+test('audio rendered with cache: false is not kept', async () => {
+  await synthesize('A generated reply.', voice, 'wav', { cache: false });
+  const again = await synthesize('A generated reply.', voice, 'wav', { cache: false });
+
+  assert.equal(again.cached, false);
+  assert.equal(rendered.filter(text => text === 'A generated reply.').length, 2);
+});
+
+test('voice settings the engine would ignore are rejected', async () => {
+  const { validateVoice } = await import('../src/services/ttsService.js');
+
+  assert.throws(() => validateVoice({ engine: 'deepgram', speed: 1.2 }), { statusCode: 400, message: /deepgram engine does not support voice\.speed/ });
+  assert.throws(() => validateVoice({ engine: 'deepgram', language: 'en-IN' }), { statusCode: 400, message: /voice\.language/ });
+  assert.throws(() => validateVoice({ engine: 'local', language: 'en-IN' }), { statusCode: 400 });
+  assert.doesNotThrow(() => validateVoice({ engine: 'twilio-say', voice: 'Polly.Aditi', language: 'en-IN', speed: 1.2 }));
+  assert.doesNotThrow(() => validateVoice({ engine: 'local', speed: 1.5 }));
+  assert.doesNotThrow(() => validateVoice({ engine: 'recording', speed: 1.5 }));
+});
+
+test('a Deepgram profile always resolves to its one speaking rate', () => {
+  assert.equal(resolveVoice({ engine: 'twilio-say', speed: 1.5 }, { engine: 'deepgram' }).speed, 1);
+  assert.equal(resolveVoice({ engine: 'twilio-say', speed: 1.5 }).speed, 1.5);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVectorIndex } from '../src/utils/vectorIndex.js';
+import { createLocalEmbedder } from '../src/services/embeddings/localEmbedder.js';
+
+const CHUNKS = [
+  { id: 'analytics', content: 'The data analytics program covers SQL, Excel and Power BI dashboards.' },
+  { id: 'fees', content: 'Course fees are payable in three monthly instalments.' },
+  { id: 'schedule', content: 'Weekend batches meet on Saturday and Sunday mornings.' }
+];
+
+/**
+ * Index the sample chunks with local embeddings
+ * @param {Object} embedder - Embedder
+ * @returns {Promise<Object>} Search index
+ */
+async function buildIndex(embedder) {
+  const embeddings = await embedder.embed(CHUNKS.map(chunk => chunk.content));
+  return createVectorIndex(CHUNKS.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })));
+}
+
+test('the local embedder gives the same unit vector for the same text', async () => {
+  const embedder = createLocalEmbedder('64');
+  const [first, second, empty] = await embedder.embed(['Weekend batches', 'Weekend batches', '!!']);
+
+  assert.equal(embedder.id, 'local:64');
+  assert.equal(first.length, 64);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+  assert.ok(empty.every(value => value === 0));
+});
+
+test('word parts bring a query close to a chunk it shares no word with', async () => {
+  const embedder = createLocalEmbedder();
+  const index = await buildIndex(embedder);
+  const [query] = await embedder.embed(['analyst']);
+
+  const [best] = index.search('analyst', query, { topK: 1 });
+
+  assert.equal(best.entry.id, 'analytics');
+  assert.equal(best.bm25, 0);
+  assert.ok(best.cosine > 0);
+});
+
+test('without a query vector the index ranks by keywords alone', async () => {
+  const index = await buildIndex(createLocalEmbedder());
+
+  const results = index.search('monthly fees', null);
+
+  assert.deepEqual(results.map(result => result.entry.id), ['fees']);
+  assert.equal(results[0].cosine, 0);
+  assert.equal(results[0].score, 1);
+});
+
+test('results below the minimum score are dropped', async () => {
+  const embedder = createLocalEmbedder();
+  const index = await buildIndex(embedder);
+  const [query] = await embedder.embed(['fees for the weekend batches']);
+
+  const all = index.search('fees for the weekend batches', query);
+  const strong = index.search('fees for the weekend batches', query, { minScore: 0.5 });
+
+  assert.deepEqual(all.map(result => result.entry.id), ['schedule', 'fees']);
+  assert.deepEqual(strong.map(result => result.entry.id), ['schedule']);
+});
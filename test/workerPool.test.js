@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWorkerPool } from '../src/utils/workerPool.js';
+
+const ECHO_WORKER = new URL('./fixtures/echoWorker.js', import.meta.url);
+const execFileAsync = promisify(execFile);
+
+test('run() holds tasks back once maxQueue are waiting', async () => {
+  const pool = createWorkerPool(ECHO_WORKER, { size: 1, maxQueue: 2 });
+  let maxQueued = 0;
+  let maxInFlight = 0;
+  let inFlight = 0;
+
+  try {
+    const results = await Promise.all(Array.from({ length: 12 }, async (_, value) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      const result = await pool.run({ value, delayMs: 5 });
+      maxQueued = Math.max(maxQueued, pool.stats().queued);
+      inFlight--;
+      return result;
+    }));
+
+    assert.deepEqual(results, Array.from({ length: 12 }, (_, value) => value));
+    assert.ok(maxQueued <= 2, `queue grew to ${maxQueued}`);
+    assert.equal(maxInFlight, 12);
+    assert.equal(pool.stats().queued, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('a task error is passed through without WORKER_FAILED', async () => {
+  const pool = createWorkerPool(ECHO_WORKER, { size: 1 });
+  try {
+    await assert.rejects(pool.run({ fail: 'bad input' }), (error) => {
+      assert.equal(error.message, 'bad input');
+      assert.equal(error.code, undefined);
+      return true;
+    });
+    assert.equal(await pool.run({ value: 'still works' }), 'still works');
+  } finally {
+    await pool.close();
+  }
+});
+
+test('a worker that exits while idle is not handed another task', async () => {
+  const pool = createWorkerPool(ECHO_WORKER, { size: 1 });
+  try {
+    assert.equal(await pool.run({ value: 1, exitAfterReply: true }), 1);
+    await sleep(100);
+    assert.equal(pool.stats().idle, 0);
+
+    const next = await Promise.race([pool.run({ value: 2 }), sleep(2000, 'timed out')]);
+    assert.equal(next, 2);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('a missing worker module rejects with WORKER_FAILED', async () => {
+  const pool = createWorkerPool(new URL('./fixtures/missing.js', import.meta.url), { size: 1 });
+  try {
+    await assert.rejects(pool.run({ value: 1 }), { code: 'WORKER_FAILED' });
+  } finally {
+    await pool.close();
+  }
+});
+
+test('idle workers do not keep the process alive', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+  const script = path.join(dir, 'run-once.mjs');
+  fs.writeFileSync(script, `
+    import { createWorkerPool } from ${JSON.stringify(new URL('../src/utils/workerPool.js', import.meta.url).href)};
+    const pool = createWorkerPool(new URL(${JSON.stringify(ECHO_WORKER.href)}), { size: 1 });
+    await pool.run({ value: 1 });
+  `);
+
+  const started = Date.now();
+  try {
+    await execFileAsync(process.execPath, [script], { timeout: 10000 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.ok(Date.now() - started < 5000, 'process stayed up waiting on an idle worker');
+});